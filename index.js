@@ -46,6 +46,12 @@ const transactionRoutes = require('./routes/transactions');
 const reportRoutes = require('./routes/reports');
 const userRoutes = require('./routes/users');
 const paymentRoutes = require('./routes/payments');
+const categoryRoutes = require('./routes/categories');
+const attachmentRoutes = require('./routes/attachments');
+const statementRoutes = require('./routes/statements');
+const auditRoutes = require('./routes/audit');
+const planRoutes = require('./routes/plans');
+const couponRoutes = require('./routes/coupons');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -58,9 +64,20 @@ if (process.env.JWT_SECRET) {
   jwtSecretStatus = 'Ephemeral';
 }
 
+// Behind a reverse proxy, trust X-Forwarded-For so req.ip (recorded in the audit log) is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+// Let browser clients see when a lapsed account is read-only
+app.use(cors({ exposedHeaders: ['X-Subscription-Status'] }));
+// Keep the raw body so payment provider callbacks can be checked against their signature
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -77,6 +94,12 @@ app.use('/api/transactions', transactionRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/statements', statementRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/coupons', couponRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -1,8 +1,18 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
+const { getBillingStatus } = require('../utils/billing');
+const { isSessionActive } = require('../utils/sessions');
+const { isAdminTwoFactorRequired } = require('../utils/twoFactor');
 
-// Middleware to verify JWT token
-const authenticate = async (req, res, next) => {
+// Requests that only read data, still allowed while a lapsed subscription is read-only
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Routes still open to users who must change their (temporary) password first
+const PASSWORD_CHANGE_ROUTES = ['/api/auth/update-password', '/api/auth/logout', '/api/auth/me'];
+
+// Middleware factory to verify JWT token
+// `requirePayment: false` lets users with a lapsed subscription through (e.g. to pay it)
+const verifyToken = ({ requirePayment }) => async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     
@@ -17,10 +27,18 @@ const authenticate = async (req, res, next) => {
     
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Tokens belong to a session; logging out or revoking the session ends them before they expire
+      if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.userId))) {
+        return res.status(401).json({ 
+          success: false, 
+          message: 'Session has ended. Please log in again.' 
+        });
+      }
       
       // Check if user still exists and is approved
       const userQuery = await pool.query(
-        'SELECT id, username, email, role, approve_user FROM users WHERE id = $1',
+        'SELECT id, username, email, role, approve_user, two_factor_enabled, must_change_password FROM users WHERE id = $1',
         [decoded.userId]
       );
 
@@ -38,34 +56,44 @@ const authenticate = async (req, res, next) => {
         });
       }
 
-      // Check payment status (skip for admin users)
-      if (userQuery.rows[0].role !== 'admin') {
-        const oneMonthAgo = new Date();
-        oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
-        oneMonthAgo.setHours(0, 0, 0, 0);
-        
-        // Check for a paid payment within the last month with valid paid_at timestamp
-        const paymentCheck = await pool.query(
-          `SELECT id, status, paid_at, payment_month 
-           FROM user_payments 
-           WHERE user_id = $1 
-             AND status = 'paid' 
-             AND paid_at IS NOT NULL
-             AND paid_at >= $2
-           ORDER BY paid_at DESC 
-           LIMIT 1`,
-          [decoded.userId, oneMonthAgo]
-        );
-
-        if (paymentCheck.rows.length === 0) {
-          return res.status(403).json({ 
-            success: false, 
-            message: 'Account blocked. Please make your monthly payment (15,000 RWF) to continue using the system. Contact admin for assistance.' 
-          });
+      if (userQuery.rows[0].must_change_password && !PASSWORD_CHANGE_ROUTES.includes(req.baseUrl + req.path)) {
+        return res.status(403).json({ 
+          success: false, 
+          code: 'PASSWORD_CHANGE_REQUIRED',
+          message: 'You must change your temporary password before continuing.' 
+        });
+      }
+
+      // Check payment status against the billing policy (skip for admin users; free plans are never blocked)
+      // Plans with read-only lapsed access keep reads working; `code` tells clients which case they hit
+      if (requirePayment && userQuery.rows[0].role !== 'admin') {
+        const billing = await getBillingStatus(decoded.userId);
+
+        if (billing.blocked) {
+          const feeLabel = `${billing.fee.toLocaleString('en-US')} RWF`;
+
+          if (billing.access !== 'read_only') {
+            return res.status(403).json({ 
+              success: false, 
+              code: 'SUBSCRIPTION_BLOCKED',
+              message: `Account blocked. Please make your monthly payment (${feeLabel}) to continue using the system. Contact admin for assistance.` 
+            });
+          }
+
+          if (!READ_ONLY_METHODS.includes(req.method)) {
+            return res.status(403).json({ 
+              success: false, 
+              code: 'SUBSCRIPTION_READ_ONLY',
+              message: `Your subscription has lapsed, so your account is read-only. Please make your monthly payment (${feeLabel}) to make changes again.` 
+            });
+          }
+
+          res.set('X-Subscription-Status', 'restricted');
         }
       }
 
       req.user = userQuery.rows[0];
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       return res.status(401).json({ 
@@ -81,16 +109,34 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+const authenticate = verifyToken({ requirePayment: true });
+const authenticateUnpaid = verifyToken({ requirePayment: false });
+
 // Middleware to check admin role
-const isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
+// When 2FA is required for admins, admin accounts without it can only set it up (see /api/auth/2fa)
+const isAdmin = async (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
     return res.status(403).json({ 
       success: false, 
       message: 'Admin access required.' 
     });
   }
+
+  try {
+    if (!req.user.two_factor_enabled && await isAdminTwoFactorRequired()) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Two-factor authentication is required for admin accounts. Set it up to continue.' 
+      });
+    }
+  } catch (error) {
+    return res.status(500).json({ 
+      success: false, 
+      message: 'Authentication error.' 
+    });
+  }
+
+  next();
 };
 
 // Middleware to check if user owns resource or is admin
@@ -111,6 +157,7 @@ const authorizeUser = (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateUnpaid,
   isAdmin,
   authorizeUser
 };
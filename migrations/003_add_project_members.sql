@@ -0,0 +1,15 @@
+-- Create project_members table (users a project owner has shared the project with)
+CREATE TABLE project_members (
+    id SERIAL PRIMARY KEY,
+    project_id INT REFERENCES projects(id) ON DELETE CASCADE,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) CHECK (role IN ('viewer', 'editor', 'accountant')) NOT NULL DEFAULT 'viewer',
+    invited_by INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_project_member UNIQUE (project_id, user_id)
+);
+
+-- Create index for faster lookups
+CREATE INDEX idx_project_members_user_id ON project_members(user_id);
+CREATE INDEX idx_project_members_project_id ON project_members(project_id);
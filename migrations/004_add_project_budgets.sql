@@ -0,0 +1,22 @@
+-- Add budget columns to projects table
+-- budget_thresholds: percentages of the budget that trigger an overspend alert (NULL = use BUDGET_ALERT_THRESHOLDS)
+-- budget_alert_level: highest threshold already alerted, so each threshold is only emailed once
+ALTER TABLE projects
+ADD COLUMN budget DECIMAL(12,2),
+ADD COLUMN budget_thresholds INT[],
+ADD COLUMN budget_alert_level INT DEFAULT 0;
+
+-- Create project_budget_lines table (optional per-category budget lines)
+CREATE TABLE project_budget_lines (
+    id SERIAL PRIMARY KEY,
+    project_id INT REFERENCES projects(id) ON DELETE CASCADE,
+    category VARCHAR(100) NOT NULL,
+    amount DECIMAL(12,2) NOT NULL,
+    alert_level INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_project_budget_category UNIQUE (project_id, category)
+);
+
+-- Create index for faster lookups
+CREATE INDEX idx_project_budget_lines_project_id ON project_budget_lines(project_id);
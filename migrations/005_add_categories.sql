@@ -0,0 +1,41 @@
+-- Create categories table (hierarchical chart of accounts)
+-- user_id NULL = organization-wide category managed by admins, otherwise a user's personal category
+CREATE TABLE categories (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    parent_id INT REFERENCES categories(id) ON DELETE RESTRICT,
+    name VARCHAR(100) NOT NULL,
+    code VARCHAR(20),
+    type VARCHAR(20) CHECK (type IN ('income', 'expense')),
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A name can only be used once under the same parent for the same owner
+CREATE UNIQUE INDEX unique_category_name ON categories (COALESCE(user_id, 0), COALESCE(parent_id, 0), LOWER(name));
+CREATE INDEX idx_categories_user_id ON categories(user_id);
+CREATE INDEX idx_categories_parent_id ON categories(parent_id);
+
+-- Link tasks, transactions and budget lines to a category
+ALTER TABLE tasks
+ADD COLUMN category_id INT REFERENCES categories(id) ON DELETE SET NULL;
+
+ALTER TABLE transactions
+ADD COLUMN category_id INT REFERENCES categories(id) ON DELETE SET NULL;
+
+ALTER TABLE project_budget_lines
+ADD COLUMN category_id INT REFERENCES categories(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_tasks_category_id ON tasks(category_id);
+CREATE INDEX idx_transactions_category_id ON transactions(category_id);
+
+-- Default organization-wide categories
+INSERT INTO categories (name, code, type) VALUES
+    ('Materials', '5100', 'expense'),
+    ('Labour', '5200', 'expense'),
+    ('Transport', '5300', 'expense'),
+    ('Equipment', '5400', 'expense'),
+    ('Other Expenses', '5900', 'expense'),
+    ('Client Payments', '4100', 'income'),
+    ('Other Income', '4900', 'income');
@@ -0,0 +1,21 @@
+-- Create attachments table (receipts and documents attached to tasks or transactions)
+CREATE TABLE attachments (
+    id SERIAL PRIMARY KEY,
+    project_id INT REFERENCES projects(id) ON DELETE CASCADE,
+    task_id INT REFERENCES tasks(id) ON DELETE CASCADE,
+    transaction_id INT REFERENCES transactions(id) ON DELETE CASCADE,
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INT NOT NULL,
+    storage_backend VARCHAR(50) NOT NULL DEFAULT 'local',
+    storage_key TEXT NOT NULL,
+    uploaded_by INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Each attachment belongs to exactly one task or transaction
+    CONSTRAINT attachment_single_owner CHECK ((task_id IS NULL) <> (transaction_id IS NULL))
+);
+
+-- Create index for faster lookups
+CREATE INDEX idx_attachments_project_id ON attachments(project_id);
+CREATE INDEX idx_attachments_task_id ON attachments(task_id);
+CREATE INDEX idx_attachments_transaction_id ON attachments(transaction_id);
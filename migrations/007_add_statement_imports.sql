@@ -0,0 +1,46 @@
+-- External reference of a transaction (e.g. MoMo financial transaction ID), used to reconcile statements
+ALTER TABLE transactions ADD COLUMN reference VARCHAR(100);
+
+CREATE INDEX idx_transactions_reference ON transactions(reference);
+
+-- Create statement_imports table (one row per uploaded statement file)
+CREATE TABLE statement_imports (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('momo')),
+    project_id INT REFERENCES projects(id) ON DELETE SET NULL, -- Default project for new transactions
+    original_name VARCHAR(255),
+    line_count INT DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create statement_lines table (statement entries waiting for, or done with, reconciliation)
+CREATE TABLE statement_lines (
+    id SERIAL PRIMARY KEY,
+    import_id INT REFERENCES statement_imports(id) ON DELETE CASCADE,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    line_date DATE NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('income', 'expense')),
+    amount DECIMAL(12,2) NOT NULL,
+    fee DECIMAL(12,2),
+    reference VARCHAR(100),
+    counterparty VARCHAR(255),
+    description TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'unmatched' CHECK (status IN ('unmatched', 'matched', 'created', 'ignored')),
+    project_id INT REFERENCES projects(id) ON DELETE SET NULL,
+    transaction_id INT REFERENCES transactions(id) ON DELETE SET NULL,
+    suggested_project_id INT REFERENCES projects(id) ON DELETE SET NULL,
+    suggested_transaction_id INT REFERENCES transactions(id) ON DELETE SET NULL,
+    match_score INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The same statement line is only imported once per user
+CREATE UNIQUE INDEX unique_statement_line_reference ON statement_lines(user_id, reference) WHERE reference IS NOT NULL;
+
+-- Create index for faster lookups
+CREATE INDEX idx_statement_imports_user_id ON statement_imports(user_id);
+CREATE INDEX idx_statement_lines_import_id ON statement_lines(import_id);
+CREATE INDEX idx_statement_lines_user_status ON statement_lines(user_id, status);
+CREATE INDEX idx_statement_lines_transaction_id ON statement_lines(transaction_id);
@@ -0,0 +1,10 @@
+-- Transactions imported from bank statements start as pending and only count in project totals once confirmed
+ALTER TABLE transactions
+ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'posted' CHECK (status IN ('posted', 'pending')),
+ADD COLUMN external_id VARCHAR(255); -- Bank entry identifier (OFX FITID or CAMT.053 entry reference)
+
+-- The same bank entry is only ever imported once
+CREATE UNIQUE INDEX unique_transaction_external_id ON transactions(external_id);
+
+-- Create index for faster lookups
+CREATE INDEX idx_transactions_status ON transactions(status);
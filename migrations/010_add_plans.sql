@@ -0,0 +1,36 @@
+-- Create plans table (subscription tiers with their price, limits and features)
+CREATE TABLE plans (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    price DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (price >= 0), -- Monthly fee in RWF (0 = free, no payment required)
+    max_projects INT CHECK (max_projects IS NULL OR max_projects > 0), -- NULL = unlimited
+    features JSONB NOT NULL DEFAULT '{}'::jsonb, -- Feature flags, e.g. {"team_members": true}
+    is_active BOOLEAN NOT NULL DEFAULT true, -- Inactive plans can no longer be assigned
+    sort_order INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Starter keeps the current 15,000 RWF monthly fee
+INSERT INTO plans (code, name, description, price, max_projects, features, sort_order) VALUES
+    ('starter', 'Starter', 'Up to 3 projects, task tracking, income & expense logging, basic reports', 15000, 3,
+     '{"team_members": false, "financial_summary": false, "audit_log": false}', 1),
+    ('pro', 'Pro', 'Unlimited projects, team roles, financial summaries', 30000, NULL,
+     '{"team_members": true, "financial_summary": true, "audit_log": false}', 2),
+    ('business', 'Business', 'Everything in Pro plus project audit logs and priority support', 60000, NULL,
+     '{"team_members": true, "financial_summary": true, "audit_log": true, "priority_support": true}', 3);
+
+-- Plan of each user (NULL falls back to the default plan)
+ALTER TABLE users
+ADD COLUMN plan_id INT REFERENCES plans(id) ON DELETE SET NULL;
+
+UPDATE users SET plan_id = (SELECT id FROM plans WHERE code = 'starter') WHERE role != 'admin';
+
+-- Plan a payment was made for
+ALTER TABLE user_payments
+ADD COLUMN plan_id INT REFERENCES plans(id) ON DELETE SET NULL;
+
+-- Create index for faster lookups
+CREATE INDEX idx_users_plan_id ON users(plan_id);
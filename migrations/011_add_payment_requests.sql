@@ -0,0 +1,29 @@
+-- Payments started by users wait as 'pending' until the provider confirms them
+ALTER TABLE user_payments DROP CONSTRAINT IF EXISTS user_payments_status_check;
+ALTER TABLE user_payments
+ADD CONSTRAINT user_payments_status_check CHECK (status IN ('pending', 'paid', 'unpaid', 'late', 'overdue'));
+
+-- Create payment_requests table (each attempt to collect a subscription payment through a provider)
+CREATE TABLE payment_requests (
+    id SERIAL PRIMARY KEY,
+    payment_id INT NOT NULL REFERENCES user_payments(id) ON DELETE CASCADE,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    provider_reference VARCHAR(255), -- Provider's id for the request, used to match callbacks
+    phone VARCHAR(20) NOT NULL,
+    amount DECIMAL(12,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'RWF',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'successful', 'failed', 'expired')),
+    previous_payment_status VARCHAR(20), -- Restored on the payment when the request fails
+    failure_reason TEXT,
+    callback_data JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP
+);
+
+-- A provider never reuses a reference
+CREATE UNIQUE INDEX unique_payment_request_reference ON payment_requests(provider, provider_reference);
+
+-- Create index for faster lookups
+CREATE INDEX idx_payment_requests_payment_id ON payment_requests(payment_id);
+CREATE INDEX idx_payment_requests_status ON payment_requests(status);
@@ -0,0 +1,28 @@
+-- Create payment_claims table (payments users say they made, waiting for an admin to check them)
+CREATE TABLE payment_claims (
+    id SERIAL PRIMARY KEY,
+    payment_id INT NOT NULL REFERENCES user_payments(id) ON DELETE CASCADE,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    transaction_reference VARCHAR(100) NOT NULL, -- MoMo transaction ID from the payment SMS
+    amount DECIMAL(12,2) NOT NULL,
+    paid_on DATE, -- Date the user says they paid
+    phone VARCHAR(20), -- Number the payment was made from
+    note TEXT,
+    screenshot_name VARCHAR(255),
+    screenshot_mime_type VARCHAR(100),
+    screenshot_size_bytes INT,
+    screenshot_storage_backend VARCHAR(50),
+    screenshot_storage_key TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    previous_payment_status VARCHAR(20), -- Restored on the payment when the claim is rejected
+    rejection_reason TEXT,
+    reviewed_by INT REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for faster lookups
+CREATE INDEX idx_payment_claims_status ON payment_claims(status);
+CREATE INDEX idx_payment_claims_user_id ON payment_claims(user_id);
+CREATE INDEX idx_payment_claims_payment_id ON payment_claims(payment_id);
+CREATE INDEX idx_payment_claims_reference ON payment_claims(transaction_reference);
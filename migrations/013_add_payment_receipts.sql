@@ -0,0 +1,6 @@
+-- Receipt numbers for paid subscription payments (RCT-<year>-<sequence>), given once and never reused
+CREATE SEQUENCE payment_receipt_seq;
+
+ALTER TABLE user_payments
+ADD COLUMN receipt_number VARCHAR(30) UNIQUE,
+ADD COLUMN receipt_issued_at TIMESTAMP;
@@ -0,0 +1,4 @@
+-- What users of a plan can still do once their subscription lapses:
+-- 'read_only' keeps GET requests working (payments stay fully usable), 'blocked' refuses everything but payments
+ALTER TABLE plans
+ADD COLUMN lapsed_access VARCHAR(20) NOT NULL DEFAULT 'read_only' CHECK (lapsed_access IN ('read_only', 'blocked'));
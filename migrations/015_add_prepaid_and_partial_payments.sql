@@ -0,0 +1,28 @@
+-- A payment record can cover several consecutive months paid at once (prepaid),
+-- and be paid in parts that add up to its amount
+ALTER TABLE user_payments
+ADD COLUMN months_covered INT NOT NULL DEFAULT 1 CHECK (months_covered BETWEEN 1 AND 24), -- payment_month is the first of them
+ADD COLUMN amount_paid DECIMAL(12,2) NOT NULL DEFAULT 0; -- Received so far; the record is paid once it reaches amount
+
+UPDATE user_payments SET amount_paid = amount WHERE status = 'paid';
+
+-- 'partial': part of the amount has been received
+ALTER TABLE user_payments DROP CONSTRAINT IF EXISTS user_payments_status_check;
+ALTER TABLE user_payments
+ADD CONSTRAINT user_payments_status_check CHECK (status IN ('pending', 'paid', 'partial', 'unpaid', 'late', 'overdue'));
+
+-- Create payment_installments table (each amount received toward a payment record)
+CREATE TABLE payment_installments (
+    id SERIAL PRIMARY KEY,
+    payment_id INT NOT NULL REFERENCES user_payments(id) ON DELETE CASCADE,
+    amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+    payment_method VARCHAR(50),
+    transaction_reference VARCHAR(255),
+    source VARCHAR(20) NOT NULL CHECK (source IN ('admin', 'mobile_money', 'claim')),
+    paid_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    recorded_by INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for faster lookups
+CREATE INDEX idx_payment_installments_payment_id ON payment_installments(payment_id);
@@ -0,0 +1,39 @@
+-- Create coupons table (promo codes giving a discount on subscription payments)
+CREATE TABLE coupons (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL UNIQUE, -- Stored upper-case, matched case-insensitively
+    description TEXT,
+    discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+    discount_value DECIMAL(12,2) NOT NULL CHECK (discount_value > 0), -- Percentage of the amount, or RWF off each payment
+    valid_from TIMESTAMP, -- NULL = valid from creation
+    valid_until TIMESTAMP, -- NULL = never expires
+    max_redemptions INT CHECK (max_redemptions IS NULL OR max_redemptions > 0), -- NULL = unlimited
+    redemption_count INT NOT NULL DEFAULT 0,
+    plan_ids INT[], -- Plans the coupon can be used on; NULL = every plan
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (discount_type != 'percent' OR discount_value <= 100),
+    CHECK (valid_from IS NULL OR valid_until IS NULL OR valid_from < valid_until)
+);
+
+-- Coupon applied to a payment record; amount is what is due after the discount
+ALTER TABLE user_payments
+ADD COLUMN coupon_id INT REFERENCES coupons(id) ON DELETE SET NULL,
+ADD COLUMN coupon_code VARCHAR(50), -- Kept even if the coupon is deleted
+ADD COLUMN discount_amount DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- Create coupon_redemptions table (one row per payment record a coupon was applied to)
+CREATE TABLE coupon_redemptions (
+    id SERIAL PRIMARY KEY,
+    coupon_id INT NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    payment_id INT NOT NULL UNIQUE REFERENCES user_payments(id) ON DELETE CASCADE,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    discount_amount DECIMAL(12,2) NOT NULL,
+    redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for faster lookups
+CREATE INDEX idx_coupon_redemptions_coupon_id ON coupon_redemptions(coupon_id);
+CREATE INDEX idx_user_payments_coupon_id ON user_payments(coupon_id);
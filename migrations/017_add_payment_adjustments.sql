@@ -0,0 +1,29 @@
+-- Create payment_adjustments table (ledger of refunds, credits, corrections and reversals of a payment record)
+CREATE TABLE payment_adjustments (
+    id SERIAL PRIMARY KEY,
+    payment_id INT NOT NULL REFERENCES user_payments(id) ON DELETE CASCADE,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    adjustment_type VARCHAR(20) NOT NULL CHECK (adjustment_type IN ('refund', 'credit', 'correction', 'reversal')),
+    amount DECIMAL(12,2) NOT NULL DEFAULT 0, -- Change to the amount received (negative for refunds and reversals)
+    days INT NOT NULL DEFAULT 0, -- Change to the days of access the payment covers
+    reason TEXT NOT NULL,
+    transaction_reference VARCHAR(255), -- e.g. the MoMo transaction of a refund
+    previous_status VARCHAR(20),
+    new_status VARCHAR(20),
+    created_by INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Days added to (or taken from) a payment's coverage by its adjustments
+ALTER TABLE user_payments
+ADD COLUMN days_adjusted INT NOT NULL DEFAULT 0;
+
+-- 'refunded': all the money was given back; 'reversed': the payment was cancelled (replaces deleting paid payments)
+ALTER TABLE user_payments DROP CONSTRAINT IF EXISTS user_payments_status_check;
+ALTER TABLE user_payments
+ADD CONSTRAINT user_payments_status_check CHECK (status IN ('pending', 'paid', 'partial', 'unpaid', 'late', 'overdue', 'refunded', 'reversed'));
+
+-- Create index for faster lookups
+CREATE INDEX idx_payment_adjustments_payment_id ON payment_adjustments(payment_id);
+CREATE INDEX idx_payment_adjustments_user_id ON payment_adjustments(user_id);
+CREATE INDEX idx_payment_adjustments_created_at ON payment_adjustments(created_at);
@@ -0,0 +1,19 @@
+-- Create user_sessions table (one row per signed-in device; access tokens name their session)
+-- Only hashes of refresh tokens are stored. Each refresh replaces the token; the one before it is kept to spot reuse
+CREATE TABLE user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL UNIQUE, -- SHA-256 (hex) of the current refresh token
+    previous_token_hash VARCHAR(64), -- Token replaced by the last refresh
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(30) -- logout, revoked, password_changed, user_rejected, token_reuse
+);
+
+-- Create index for faster lookups
+CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX idx_user_sessions_previous_token_hash ON user_sessions(previous_token_hash);
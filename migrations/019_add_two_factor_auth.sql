@@ -0,0 +1,30 @@
+-- Two-factor authentication (TOTP authenticator apps) for users
+ALTER TABLE users
+ADD COLUMN two_factor_enabled BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN two_factor_secret VARCHAR(64), -- Base32 secret of the enabled authenticator
+ADD COLUMN two_factor_pending_secret VARCHAR(64), -- Secret being set up, until a code from it is confirmed
+ADD COLUMN two_factor_enabled_at TIMESTAMP,
+ADD COLUMN two_factor_last_step BIGINT; -- Time step of the last code used, so a code can't be used twice
+
+-- Create two_factor_recovery_codes table (one-time codes for when the authenticator is lost)
+CREATE TABLE two_factor_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL, -- SHA-256 (hex) of the code
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create app_settings table (settings admins change at runtime)
+CREATE TABLE app_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_by INT REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Whether every admin account must use two-factor authentication
+INSERT INTO app_settings (key, value) VALUES ('require_admin_two_factor', 'false');
+
+-- Create index for faster lookups
+CREATE INDEX idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id);
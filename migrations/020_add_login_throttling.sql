@@ -0,0 +1,20 @@
+-- Failed logins in a row and the lockout they cause
+ALTER TABLE users
+ADD COLUMN failed_login_count INT NOT NULL DEFAULT 0,
+ADD COLUMN last_failed_login_at TIMESTAMP,
+ADD COLUMN locked_until TIMESTAMP;
+
+-- Create login_attempts table (login, two-factor and password reset attempts, used to throttle them by IP address and account)
+CREATE TABLE login_attempts (
+    id SERIAL PRIMARY KEY,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('login', 'two_factor', 'forgot_password')),
+    email VARCHAR(255), -- As typed (lower case), also for emails no account uses
+    user_id INT REFERENCES users(id) ON DELETE SET NULL,
+    ip_address VARCHAR(64),
+    succeeded BOOLEAN NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index for faster lookups
+CREATE INDEX idx_login_attempts_ip_address ON login_attempts(ip_address, created_at);
+CREATE INDEX idx_login_attempts_email ON login_attempts(email, created_at);
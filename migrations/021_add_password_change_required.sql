@@ -0,0 +1,6 @@
+-- Users given a temporary password by an admin can be made to choose a new one when they next log in
+ALTER TABLE users
+ADD COLUMN must_change_password BOOLEAN NOT NULL DEFAULT false;
+
+-- reset_token now holds the SHA-256 (hex) of the emailed token; tokens stored before this are dropped
+UPDATE users SET reset_token = NULL, reset_token_expires = NULL WHERE reset_token IS NOT NULL;
@@ -0,0 +1,12 @@
+-- Whether the user proved they own their email address (by opening the emailed link)
+ALTER TABLE users
+ADD COLUMN email_verified BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN email_verified_at TIMESTAMP;
+
+-- Accounts created before verification existed have been in use already; don't make them verify now
+UPDATE users SET email_verified = true WHERE approve_user = true;
+
+-- Verification email requests are throttled like password reset requests
+ALTER TABLE login_attempts DROP CONSTRAINT IF EXISTS login_attempts_action_check;
+ALTER TABLE login_attempts
+ADD CONSTRAINT login_attempts_action_check CHECK (action IN ('login', 'two_factor', 'forgot_password', 'verification_email'));
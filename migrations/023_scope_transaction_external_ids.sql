@@ -0,0 +1,4 @@
+-- Bank entry identifiers (e.g. OFX FITIDs) are only unique per account, so a bank entry is unique per project
+-- instead of across all projects
+DROP INDEX unique_transaction_external_id;
+CREATE UNIQUE INDEX unique_transaction_project_external_id ON transactions(project_id, external_id);
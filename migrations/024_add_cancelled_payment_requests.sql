@@ -0,0 +1,4 @@
+-- Admins can cancel a payment request the provider never answered
+ALTER TABLE payment_requests DROP CONSTRAINT IF EXISTS payment_requests_status_check;
+ALTER TABLE payment_requests
+ADD CONSTRAINT payment_requests_status_check CHECK (status IN ('pending', 'successful', 'failed', 'expired', 'cancelled'));
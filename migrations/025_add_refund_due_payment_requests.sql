@@ -0,0 +1,5 @@
+-- A successful payment request whose payment was already settled some other way isn't added to it:
+-- it stays 'refund_due' until an admin has given the money back ('refunded')
+ALTER TABLE payment_requests DROP CONSTRAINT IF EXISTS payment_requests_status_check;
+ALTER TABLE payment_requests
+ADD CONSTRAINT payment_requests_status_check CHECK (status IN ('pending', 'successful', 'failed', 'expired', 'cancelled', 'refund_due', 'refunded'));
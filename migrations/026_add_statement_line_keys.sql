@@ -0,0 +1,17 @@
+-- Statement lines without a transaction ID are recognised by a key built from their date, direction, amount and
+-- description (plus a counter for identical lines), so importing the same statement again skips them too
+ALTER TABLE statement_lines ADD COLUMN line_key VARCHAR(64);
+
+-- Same key as utils/momoStatement.js computes, for lines imported before this migration
+UPDATE statement_lines sl
+SET line_key = keyed.line_key
+FROM (
+    SELECT id,
+           MD5(CONCAT_WS('|', TO_CHAR(line_date, 'YYYY-MM-DD'), type, amount::text, COALESCE(description, ''),
+               ROW_NUMBER() OVER (PARTITION BY user_id, line_date, type, amount, COALESCE(description, '') ORDER BY id))) AS line_key
+    FROM statement_lines
+    WHERE reference IS NULL
+) keyed
+WHERE sl.id = keyed.id;
+
+CREATE UNIQUE INDEX unique_statement_line_key ON statement_lines(user_id, line_key) WHERE line_key IS NOT NULL;
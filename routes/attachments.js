@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { asyncHandler, successResponse, errorResponse } = require('../utils/helpers');
+const { authenticate } = require('../middleware/auth');
+const { checkProjectAccess } = require('../utils/projectAccess');
+const { readAttachment, removeAttachmentFiles, formatAttachment } = require('../utils/attachments');
+
+// Helper function to load an attachment and check project access for it
+// Deleting needs the same permission as editing the task or transaction it belongs to
+const getAuthorizedAttachment = async (id, user, action) => {
+  const result = await pool.query('SELECT * FROM attachments WHERE id = $1', [id]);
+
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Attachment not found' };
+  }
+
+  const attachment = result.rows[0];
+  let permission = 'view';
+  if (action === 'delete') {
+    permission = attachment.task_id ? 'manage_tasks' : 'manage_transactions';
+  }
+
+  const accessCheck = await checkProjectAccess(attachment.project_id, user.id, user.role, permission);
+  if (!accessCheck.authorized) {
+    return { status: 403, error: action === 'delete' ? accessCheck.error : 'Access denied' };
+  }
+
+  return { attachment };
+};
+
+// @route   GET /api/attachments/:id
+// @desc    Get attachment details
+// @access  Private
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+  const { attachment, status, error } = await getAuthorizedAttachment(req.params.id, req.user, 'view');
+  if (error) {
+    return errorResponse(res, status, error);
+  }
+
+  successResponse(res, 200, {
+    attachment: formatAttachment(attachment)
+  }, 'Attachment retrieved successfully');
+}));
+
+// @route   GET /api/attachments/:id/download
+// @desc    Download an attachment file (?inline=true to display it in the browser)
+// @access  Private
+router.get('/:id/download', authenticate, asyncHandler(async (req, res) => {
+  const { attachment, status, error } = await getAuthorizedAttachment(req.params.id, req.user, 'view');
+  if (error) {
+    return errorResponse(res, status, error);
+  }
+
+  let content;
+  try {
+    content = await readAttachment(attachment);
+  } catch (readError) {
+    console.error(`Failed to read attachment ${attachment.id}:`, readError);
+    return errorResponse(res, 404, 'Attachment file not found');
+  }
+
+  const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+  const filename = attachment.original_name.replace(/["\\\r\n]/g, '_');
+  res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+  res.setHeader('Content-Type', attachment.mime_type);
+  res.setHeader('Content-Length', content.length);
+  res.send(content);
+}));
+
+// @route   DELETE /api/attachments/:id
+// @desc    Delete an attachment
+// @access  Private
+router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
+  const { attachment, status, error } = await getAuthorizedAttachment(req.params.id, req.user, 'delete');
+  if (error) {
+    return errorResponse(res, status, error);
+  }
+
+  await pool.query('DELETE FROM attachments WHERE id = $1', [attachment.id]);
+  await removeAttachmentFiles([attachment]);
+
+  successResponse(res, 200, {}, 'Attachment deleted successfully');
+}));
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler, successResponse, errorResponse } = require('../utils/helpers');
+const { authenticate, isAdmin } = require('../middleware/auth');
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, parsePagination, getAuditLogs } = require('../utils/audit');
+
+const ID_FILTERS = ['actor_id', 'entity_id', 'project_id'];
+const DATE_FILTERS = ['start_date', 'end_date'];
+
+// @route   GET /api/audit
+// @desc    Search the audit log (?actor_id=, ?action=, ?entity_type=, ?entity_id=, ?project_id=, ?start_date=, ?end_date=, ?page=, ?limit=)
+// @access  Private (Admin)
+router.get('/', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const { action, entity_type } = req.query;
+
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return errorResponse(res, 400, `Action must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+  }
+  if (entity_type && !AUDIT_ENTITY_TYPES.includes(entity_type)) {
+    return errorResponse(res, 400, `Entity type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`);
+  }
+
+  const invalidId = ID_FILTERS.find((field) => req.query[field] && !/^\d+$/.test(req.query[field]));
+  if (invalidId) {
+    return errorResponse(res, 400, `${invalidId} must be a numeric ID`);
+  }
+
+  const invalidDate = DATE_FILTERS.find((field) => req.query[field] && !/^\d{4}-\d{2}-\d{2}$/.test(req.query[field]));
+  if (invalidDate) {
+    return errorResponse(res, 400, `${invalidDate} must be a date (YYYY-MM-DD)`);
+  }
+
+  const pagination = parsePagination(req.query);
+  const { logs, total } = await getAuditLogs(req.query, pagination);
+
+  successResponse(res, 200, {
+    logs,
+    pagination: { page: pagination.page, limit: pagination.limit, total }
+  }, 'Audit log retrieved successfully');
+}));
+
+module.exports = router;
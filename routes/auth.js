@@ -1,11 +1,71 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const crypto = require('crypto');
 const pool = require('../config/database');
-const { generateToken, asyncHandler, successResponse, errorResponse } = require('../utils/helpers');
-const { authenticate, isAdmin } = require('../middleware/auth');
-const { sendPasswordResetEmail, sendTemporaryPasswordEmail, sendPaymentReminderEmail } = require('../utils/emailService');
+const { asyncHandler, successResponse, errorResponse } = require('../utils/helpers');
+const { authenticate, authenticateUnpaid, isAdmin } = require('../middleware/auth');
+const { sendPasswordResetEmail, sendPaymentReminderEmail } = require('../utils/emailService');
+const { recordAudit } = require('../utils/audit');
+const { getDefaultPlan, getUserPlan } = require('../utils/plans');
+const { getPlanPrice } = require('../utils/billing');
+const {
+  formatSession,
+  createSession,
+  rotateSession,
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions
+} = require('../utils/sessions');
+const {
+  isAdminTwoFactorRequired,
+  setAdminTwoFactorRequired,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  verifyTwoFactorCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createTwoFactorChallenge,
+  readTwoFactorChallenge
+} = require('../utils/twoFactor');
+const {
+  checkIpLoginThrottle,
+  checkAccountThrottle,
+  recordLoginFailure,
+  recordLoginSuccess,
+  throttleEmailRequest
+} = require('../utils/loginThrottle');
+const { createPasswordResetToken, consumePasswordResetToken } = require('../utils/passwordReset');
+const { sendEmailVerification, verifyEmailToken } = require('../utils/emailVerification');
+
+// Helper function to answer a throttled request (429 with the seconds to wait in Retry-After)
+const throttledResponse = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  return errorResponse(res, 429, throttle.error);
+};
+
+// Helper function to open a session for a user who passed every login step and build the login response
+const completeLogin = async (req, user) => {
+  // Open a session for this device: a short-lived access token plus a refresh token
+  const tokens = await createSession(req, user.id);
+
+  // Remove password from response
+  const { password: _, ...userWithoutPassword } = user;
+
+  const data = { user: userWithoutPassword, ...tokens };
+
+  // Users with a temporary password can only change it (see PASSWORD_CHANGE_ROUTES in the auth middleware)
+  if (user.must_change_password) {
+    data.password_change_required = true;
+  }
+
+  // Admins without 2FA can sign in but can't use admin features until they set it up
+  if (user.role === 'admin' && !user.two_factor_enabled && await isAdminTwoFactorRequired()) {
+    data.two_factor_setup_required = true;
+  }
+
+  return data;
+};
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -32,22 +92,86 @@ router.post('/register', asyncHandler(async (req, res) => {
   const saltRounds = 10;
   const hashedPassword = await bcrypt.hash(password, saltRounds);
 
+  // New users start on the default plan
+  const defaultPlan = await getDefaultPlan();
+
   // Insert new user
   const result = await pool.query(
-    `INSERT INTO users (username, email, password, phone, role, approve_user) 
-     VALUES ($1, $2, $3, $4, 'staff', false) 
-     RETURNING id, username, email, phone, role, approve_user`,
-    [username, email, hashedPassword, phone || null]
+    `INSERT INTO users (username, email, password, phone, role, approve_user, plan_id) 
+     VALUES ($1, $2, $3, $4, 'staff', false, $5) 
+     RETURNING id, username, email, phone, role, approve_user, plan_id, email_verified`,
+    [username, email, hashedPassword, phone || null, defaultPlan ? defaultPlan.id : null]
   );
 
+  await recordAudit(req, {
+    action: 'create',
+    entityType: 'user',
+    entityId: result.rows[0].id,
+    actorId: result.rows[0].id,
+    after: result.rows[0]
+  });
+
+  // Admins approve accounts once the address is verified, so a mistyped email gets noticed now
+  await sendEmailVerification(result.rows[0]);
+
   successResponse(res, 201, {
     user: result.rows[0],
-    message: 'User registered successfully. Please wait for admin approval.'
+    message: 'User registered successfully. Please verify your email address with the link we sent you, then wait for admin approval.'
   }, 'Registration successful');
 }));
 
+// @route   POST /api/auth/verify-email
+// @desc    Verify an email address with the token from the emailed link
+// @access  Public
+router.post('/verify-email', asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return errorResponse(res, 400, 'Token is required');
+  }
+
+  const user = await verifyEmailToken(token);
+  if (!user) {
+    return errorResponse(res, 400, 'Invalid or expired verification link');
+  }
+
+  successResponse(res, 200, {
+    email: user.email,
+    email_verified: user.email_verified
+  }, 'Email address verified');
+}));
+
+// @route   POST /api/auth/resend-verification
+// @desc    Email a new verification link
+// @access  Public
+router.post('/resend-verification', asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return errorResponse(res, 400, 'Email is required');
+  }
+
+  const throttle = await throttleEmailRequest(req, email, 'verification_email');
+  if (throttle.error) {
+    return throttledResponse(res, throttle);
+  }
+
+  if (!throttle.skip) {
+    const userResult = await pool.query(
+      'SELECT id, username, email FROM users WHERE email = $1 AND email_verified = false',
+      [email]
+    );
+    if (userResult.rows.length > 0) {
+      await sendEmailVerification(userResult.rows[0]);
+    }
+  }
+
+  // For security, don't reveal if the email exists or is already verified
+  successResponse(res, 200, {}, 'If this email is registered and not verified yet, you will receive a new verification link');
+}));
+
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Login user; accounts with 2FA get a two_factor_token to finish at POST /api/auth/login/2fa
 // @access  Public
 router.post('/login', asyncHandler(async (req, res) => {
   const { email, password } = req.body;
@@ -57,13 +181,19 @@ router.post('/login', asyncHandler(async (req, res) => {
     return errorResponse(res, 400, 'Email and password are required');
   }
 
+  const ipThrottle = await checkIpLoginThrottle(req);
+  if (ipThrottle) {
+    return throttledResponse(res, ipThrottle);
+  }
+
   // Find user
   const userResult = await pool.query(
-    'SELECT id, username, email, password, phone, role, approve_user FROM users WHERE email = $1',
+    'SELECT id, username, email, password, phone, role, approve_user, two_factor_enabled, must_change_password FROM users WHERE email = $1',
     [email]
   );
 
   if (userResult.rows.length === 0) {
+    await recordLoginFailure(req, { email, user: null });
     return errorResponse(res, 401, 'Invalid credentials');
   }
 
@@ -74,22 +204,308 @@ router.post('/login', asyncHandler(async (req, res) => {
     return errorResponse(res, 403, 'Your account is pending admin approval');
   }
 
+  // Locked accounts (or ones that failed just now) don't get their password checked at all
+  const accountThrottle = await checkAccountThrottle(user.id);
+  if (accountThrottle) {
+    return throttledResponse(res, accountThrottle);
+  }
+
   // Verify password
   const isPasswordValid = await bcrypt.compare(password, user.password);
   if (!isPasswordValid) {
+    await recordLoginFailure(req, { email, user });
     return errorResponse(res, 401, 'Invalid credentials');
   }
 
-  // Generate token
-  const token = generateToken(user.id);
+  // Second step: the password alone isn't enough (failures are only cleared once the code is right too)
+  if (user.two_factor_enabled) {
+    return successResponse(res, 200, {
+      two_factor_required: true,
+      two_factor_token: createTwoFactorChallenge(user.id)
+    }, 'Enter the code from your authenticator app');
+  }
 
-  // Remove password from response
-  const { password: _, ...userWithoutPassword } = user;
+  await recordLoginSuccess(req, { user });
+
+  successResponse(res, 200, await completeLogin(req, user), 'Login successful');
+}));
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: the two_factor_token from login plus an authenticator code or a recovery code
+// @access  Public (two_factor_token)
+router.post('/login/2fa', asyncHandler(async (req, res) => {
+  const { two_factor_token, code, recovery_code } = req.body;
+
+  if (!two_factor_token || (!code && !recovery_code)) {
+    return errorResponse(res, 400, 'Two-factor token and a code or recovery code are required');
+  }
+
+  const userId = readTwoFactorChallenge(two_factor_token);
+  if (!userId) {
+    return errorResponse(res, 401, 'Login expired. Please log in again');
+  }
+
+  const ipThrottle = await checkIpLoginThrottle(req);
+  if (ipThrottle) {
+    return throttledResponse(res, ipThrottle);
+  }
+
+  const userResult = await pool.query(
+    'SELECT id, username, email, password, phone, role, approve_user, two_factor_enabled, must_change_password FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = userResult.rows[0];
+
+  if (!user || !user.approve_user || !user.two_factor_enabled) {
+    return errorResponse(res, 401, 'Login expired. Please log in again');
+  }
+
+  const accountThrottle = await checkAccountThrottle(user.id);
+  if (accountThrottle) {
+    return throttledResponse(res, accountThrottle);
+  }
+
+  const method = await verifyTwoFactorCode(user.id, { code, recoveryCode: recovery_code });
+  if (!method) {
+    await recordLoginFailure(req, { email: user.email, user, action: 'two_factor' });
+    return errorResponse(res, 401, 'Invalid two-factor code');
+  }
+
+  await recordLoginSuccess(req, { user, action: 'two_factor' });
+
+  const data = await completeLogin(req, user);
+  if (method === 'recovery_code') {
+    const status = await getTwoFactorStatus(user.id);
+    data.recovery_codes_remaining = status.recovery_codes_remaining;
+  }
+
+  successResponse(res, 200, data, 'Login successful');
+}));
+
+// @route   POST /api/auth/refresh
+// @desc    Swap a refresh token for a new access token and refresh token (the old refresh token stops working)
+// @access  Public (refresh token)
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const { refresh_token } = req.body;
+
+  if (!refresh_token) {
+    return errorResponse(res, 400, 'Refresh token is required');
+  }
+
+  const tokens = await rotateSession(req, refresh_token);
+  if (tokens.error) {
+    return errorResponse(res, 401, tokens.error);
+  }
+
+  successResponse(res, 200, tokens, 'Token refreshed');
+}));
+
+// @route   POST /api/auth/logout
+// @desc    Log out: revoke the current session
+// @access  Private (also allowed while the subscription has lapsed)
+router.post('/logout', authenticateUnpaid, asyncHandler(async (req, res) => {
+  await revokeSession(req.user.id, req.sessionId, 'logout');
+
+  successResponse(res, 200, {}, 'Logged out successfully');
+}));
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions (signed-in devices)
+// @access  Private (also allowed while the subscription has lapsed)
+router.get('/sessions', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const sessions = await listActiveSessions(req.user.id);
+
+  successResponse(res, 200, {
+    sessions: sessions.map((session) => formatSession(session, req.sessionId))
+  }, 'Sessions retrieved successfully');
+}));
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke every session of the current user except this one
+// @access  Private (also allowed while the subscription has lapsed)
+router.delete('/sessions', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const revoked = await revokeUserSessions(req.user.id, 'revoked', req.sessionId);
+
+  successResponse(res, 200, { revoked }, 'Other sessions revoked');
+}));
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions (e.g. a lost phone)
+// @access  Private (also allowed while the subscription has lapsed)
+router.delete('/sessions/:id', authenticateUnpaid, asyncHandler(async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return errorResponse(res, 400, 'Session ID must be numeric');
+  }
+
+  const revoked = await revokeSession(req.user.id, parseInt(req.params.id), 'revoked');
+  if (!revoked) {
+    return errorResponse(res, 404, 'Session not found');
+  }
+
+  successResponse(res, 200, {}, 'Session revoked');
+}));
+
+// @route   GET /api/auth/2fa
+// @desc    Get the current user's two-factor authentication status
+// @access  Private (also allowed while the subscription has lapsed)
+router.get('/2fa', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const status = await getTwoFactorStatus(req.user.id);
+
+  successResponse(res, 200, {
+    ...status,
+    required: req.user.role === 'admin' && await isAdminTwoFactorRequired()
+  }, 'Two-factor status retrieved successfully');
+}));
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start setting up an authenticator app: returns the secret and otpauth URI (confirm with /2fa/enable)
+// @access  Private (also allowed while the subscription has lapsed)
+router.post('/2fa/setup', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    return errorResponse(res, 400, 'Password is required');
+  }
+  if (req.user.two_factor_enabled) {
+    return errorResponse(res, 400, 'Two-factor authentication is already enabled. Disable it first to use another device');
+  }
+
+  const userResult = await pool.query('SELECT password FROM users WHERE id = $1', [req.user.id]);
+  if (!(await bcrypt.compare(password, userResult.rows[0].password))) {
+    return errorResponse(res, 400, 'Password is incorrect');
+  }
+
+  const setup = await startTwoFactorSetup(req.user);
+
+  successResponse(res, 200, setup, 'Scan the code with your authenticator app, then confirm with a code from it');
+}));
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm the setup with a code from the authenticator app; returns the recovery codes (shown once)
+// @access  Private (also allowed while the subscription has lapsed)
+router.post('/2fa/enable', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return errorResponse(res, 400, 'Code is required');
+  }
+
+  const result = await enableTwoFactor(req.user.id, code);
+  if (result.error) {
+    return errorResponse(res, result.status, result.error);
+  }
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'user',
+    entityId: req.user.id,
+    before: { two_factor_enabled: false },
+    after: { two_factor_enabled: true }
+  });
 
   successResponse(res, 200, {
-    user: userWithoutPassword,
-    token
-  }, 'Login successful');
+    recovery_codes: result.recoveryCodes
+  }, 'Two-factor authentication enabled. Keep the recovery codes somewhere safe');
+}));
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (the old ones stop working); needs a code from the authenticator app
+// @access  Private (also allowed while the subscription has lapsed)
+router.post('/2fa/recovery-codes', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!req.user.two_factor_enabled) {
+    return errorResponse(res, 400, 'Two-factor authentication is not enabled');
+  }
+  if (!code) {
+    return errorResponse(res, 400, 'Code is required');
+  }
+  if (!(await verifyTwoFactorCode(req.user.id, { code }))) {
+    return errorResponse(res, 400, 'Invalid two-factor code');
+  }
+
+  const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+
+  successResponse(res, 200, {
+    recovery_codes: recoveryCodes
+  }, 'New recovery codes created');
+}));
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off (password plus an authenticator code or a recovery code)
+// @access  Private (also allowed while the subscription has lapsed)
+router.post('/2fa/disable', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const { password, code, recovery_code } = req.body;
+
+  if (!req.user.two_factor_enabled) {
+    return errorResponse(res, 400, 'Two-factor authentication is not enabled');
+  }
+  if (!password || (!code && !recovery_code)) {
+    return errorResponse(res, 400, 'Password and a code or recovery code are required');
+  }
+  if (req.user.role === 'admin' && await isAdminTwoFactorRequired()) {
+    return errorResponse(res, 403, 'Two-factor authentication is required for admin accounts');
+  }
+
+  const userResult = await pool.query('SELECT password FROM users WHERE id = $1', [req.user.id]);
+  if (!(await bcrypt.compare(password, userResult.rows[0].password))) {
+    return errorResponse(res, 400, 'Password is incorrect');
+  }
+  if (!(await verifyTwoFactorCode(req.user.id, { code, recoveryCode: recovery_code }))) {
+    return errorResponse(res, 400, 'Invalid two-factor code');
+  }
+
+  await disableTwoFactor(req.user.id);
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'user',
+    entityId: req.user.id,
+    before: { two_factor_enabled: true },
+    after: { two_factor_enabled: false }
+  });
+
+  successResponse(res, 200, {}, 'Two-factor authentication disabled');
+}));
+
+// @route   GET /api/auth/2fa/policy
+// @desc    Get whether every admin account must use two-factor authentication (Admin only)
+// @access  Private (Admin)
+router.get('/2fa/policy', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  successResponse(res, 200, {
+    require_admin_two_factor: await isAdminTwoFactorRequired()
+  }, 'Two-factor policy retrieved successfully');
+}));
+
+// @route   PUT /api/auth/2fa/policy
+// @desc    Require (or stop requiring) two-factor authentication for every admin account (Admin only)
+// @access  Private (Admin)
+router.put('/2fa/policy', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const { require_admin_two_factor } = req.body;
+
+  if (typeof require_admin_two_factor !== 'boolean') {
+    return errorResponse(res, 400, 'require_admin_two_factor must be true or false');
+  }
+  // Otherwise the admin making the change would lose admin access right away
+  if (require_admin_two_factor && !req.user.two_factor_enabled) {
+    return errorResponse(res, 400, 'Enable two-factor authentication on your own account first');
+  }
+
+  const required = await isAdminTwoFactorRequired();
+  await setAdminTwoFactorRequired(require_admin_two_factor, req.user.id);
+
+  if (required !== require_admin_two_factor) {
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'setting',
+      before: { require_admin_two_factor: required },
+      after: { require_admin_two_factor }
+    });
+  }
+
+  successResponse(res, 200, {
+    require_admin_two_factor
+  }, 'Two-factor policy updated');
 }));
 
 // @route   GET /api/auth/me
@@ -102,14 +518,15 @@ router.get('/me', authenticate, asyncHandler(async (req, res) => {
 }));
 
 // @route   POST /api/auth/approve-user/:userId
-// @desc    Approve a user (Admin only)
+// @desc    Approve a user (Admin only); unverified email addresses need `override_email_verification: true`
 // @access  Private (Admin)
 router.post('/approve-user/:userId', authenticate, isAdmin, asyncHandler(async (req, res) => {
   const { userId } = req.params;
+  const { override_email_verification } = req.body || {};
 
   // Check if user exists
   const userCheck = await pool.query(
-    'SELECT id, approve_user FROM users WHERE id = $1',
+    'SELECT id, username, email, role, approve_user, email_verified FROM users WHERE id = $1',
     [userId]
   );
 
@@ -117,16 +534,29 @@ router.post('/approve-user/:userId', authenticate, isAdmin, asyncHandler(async (
     return errorResponse(res, 404, 'User not found');
   }
 
+  if (!userCheck.rows[0].email_verified && override_email_verification !== true) {
+    return errorResponse(res, 400, 'This user has not verified their email address yet. Send override_email_verification: true to approve anyway');
+  }
+
   // Update approval status
   const result = await pool.query(
-    'UPDATE users SET approve_user = true WHERE id = $1 RETURNING id, username, email, role, approve_user',
+    'UPDATE users SET approve_user = true WHERE id = $1 RETURNING id, username, email, role, approve_user, email_verified',
     [userId]
   );
 
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'user',
+    entityId: result.rows[0].id,
+    before: userCheck.rows[0],
+    after: result.rows[0]
+  });
+
   // Send payment instructions email to newly approved user
   if (result.rows.length > 0 && result.rows[0].role !== 'admin') {
     try {
-      await sendPaymentReminderEmail(result.rows[0].email, result.rows[0].username);
+      const plan = await getUserPlan(result.rows[0].id);
+      await sendPaymentReminderEmail(result.rows[0].email, result.rows[0].username, { amount: getPlanPrice(plan) });
     } catch (error) {
       console.error('Failed to send payment instructions email:', error);
       // Don't fail the approval if email fails
@@ -144,6 +574,11 @@ router.post('/approve-user/:userId', authenticate, isAdmin, asyncHandler(async (
 router.post('/reject-user/:userId', authenticate, isAdmin, asyncHandler(async (req, res) => {
   const { userId } = req.params;
 
+  const userBefore = await pool.query(
+    'SELECT id, username, email, role, approve_user FROM users WHERE id = $1',
+    [userId]
+  );
+
   const result = await pool.query(
     'UPDATE users SET approve_user = false WHERE id = $1 RETURNING id, username, email, role, approve_user',
     [userId]
@@ -153,13 +588,24 @@ router.post('/reject-user/:userId', authenticate, isAdmin, asyncHandler(async (r
     return errorResponse(res, 404, 'User not found');
   }
 
+  // Signed-in devices are logged out straight away
+  await revokeUserSessions(result.rows[0].id, 'user_rejected');
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'user',
+    entityId: result.rows[0].id,
+    before: userBefore.rows[0],
+    after: result.rows[0]
+  });
+
   successResponse(res, 200, {
     user: result.rows[0]
   }, 'User approval removed');
 }));
 
 // @route   POST /api/auth/forgot-password
-// @desc    Request password reset
+// @desc    Request password reset: emails a single-use link that expires in 1 hour
 // @access  Public
 router.post('/forgot-password', asyncHandler(async (req, res) => {
   const { email } = req.body;
@@ -168,46 +614,39 @@ router.post('/forgot-password', asyncHandler(async (req, res) => {
     return errorResponse(res, 400, 'Email is required');
   }
 
-  // Check if user exists
+  const throttle = await throttleEmailRequest(req, email, 'forgot_password');
+  if (throttle.error) {
+    return throttledResponse(res, throttle);
+  }
+  if (throttle.skip) {
+    // Enough emails for this account this hour; answer as for any other address
+    return successResponse(res, 200, {}, 'If your email is registered, you will receive a password reset link');
+  }
+
   const userResult = await pool.query(
     'SELECT id, email FROM users WHERE email = $1',
     [email]
   );
 
-  if (userResult.rows.length === 0) {
-    // For security, don't reveal if the email exists or not
-    return successResponse(res, 200, {}, 'If your email is registered, you will receive a temporary password');
-  }
+  // The password only changes once the emailed link is used, so asking for a reset can't lock anyone out
+  if (userResult.rows.length > 0) {
+    const user = userResult.rows[0];
+    const resetToken = await createPasswordResetToken(user.id);
 
-  const user = userResult.rows[0];
-  const generateTemporaryPassword = () => {
-    const parts = [];
-    while (parts.join('').length < 12) {
-      parts.push(crypto.randomBytes(9).toString('base64').replace(/[^a-zA-Z0-9]/g, ''));
+    try {
+      await sendPasswordResetEmail(user.email, resetToken);
+    } catch (error) {
+      // Same answer either way: failing here would tell that the email is registered
+      console.error('Error sending password reset email:', error);
     }
-    return parts.join('').slice(0, 12);
-  };
-
-  const temporaryPassword = generateTemporaryPassword();
-  const saltRounds = 10;
-  const hashedPassword = await bcrypt.hash(temporaryPassword, saltRounds);
-
-  await pool.query(
-    'UPDATE users SET password = $1, reset_token = NULL, reset_token_expires = NULL WHERE id = $2',
-    [hashedPassword, user.id]
-  );
-
-  try {
-    await sendTemporaryPasswordEmail(user.email, temporaryPassword);
-    return successResponse(res, 200, {}, 'Temporary password sent to your email');
-  } catch (error) {
-    console.error('Error sending temporary password email:', error);
-    return errorResponse(res, 500, 'Failed to send temporary password');
   }
+
+  // For security, don't reveal if the email exists or not
+  successResponse(res, 200, {}, 'If your email is registered, you will receive a password reset link');
 }));
 
 // @route   POST /api/auth/reset-password
-// @desc    Reset password with token
+// @desc    Reset password with the token from the emailed link (works once)
 // @access  Public
 router.post('/reset-password', asyncHandler(async (req, res) => {
   const { token, newPassword } = req.body;
@@ -220,33 +659,31 @@ router.post('/reset-password', asyncHandler(async (req, res) => {
     return errorResponse(res, 400, 'Password must be at least 6 characters long');
   }
 
-  // Find user with valid reset token
-  const userResult = await pool.query(
-    'SELECT id FROM users WHERE reset_token = $1 AND reset_token_expires > NOW()',
-    [token]
-  );
+  const saltRounds = 10;
+  const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
 
-  if (userResult.rows.length === 0) {
+  // Update password and use up the token
+  const user = await consumePasswordResetToken(token, hashedPassword);
+  if (!user) {
     return errorResponse(res, 400, 'Invalid or expired token');
   }
+  await revokeUserSessions(user.id, 'password_changed');
 
-  const user = userResult.rows[0];
-  const saltRounds = 10;
-  const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
-
-  // Update password and clear reset token
-  await pool.query(
-    'UPDATE users SET password = $1, reset_token = NULL, reset_token_expires = NULL WHERE id = $2',
-    [hashedPassword, user.id]
-  );
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'user',
+    entityId: user.id,
+    actorId: user.id,
+    after: { password_changed: true, reason: 'reset_password' }
+  });
 
   successResponse(res, 200, {}, 'Password reset successful');
 }));
 
 // @route   PUT /api/auth/update-password
-// @desc    Update user password
-// @access  Private
-router.put('/update-password', authenticate, asyncHandler(async (req, res) => {
+// @desc    Update user password (also how a temporary password is replaced)
+// @access  Private (also allowed while the subscription has lapsed)
+router.put('/update-password', authenticateUnpaid, asyncHandler(async (req, res) => {
   const { current_password, new_password, confirm_password } = req.body;
   const userId = req.user.id;
 
@@ -277,14 +714,29 @@ router.put('/update-password', authenticate, asyncHandler(async (req, res) => {
     return errorResponse(res, 400, 'Current password is incorrect');
   }
 
+  if (await bcrypt.compare(new_password, user.password)) {
+    return errorResponse(res, 400, 'New password must be different from the current password');
+  }
+
   // Hash new password
   const saltRounds = 10;
   const hashedPassword = await bcrypt.hash(new_password, saltRounds);
 
-  // Update password
-  await pool.query('UPDATE users SET password = $1 WHERE id = $2', [hashedPassword, userId]);
+  // Update password; every other signed-in device has to log in again with it
+  await pool.query(
+    'UPDATE users SET password = $1, must_change_password = false WHERE id = $2',
+    [hashedPassword, userId]
+  );
+  const sessionsRevoked = await revokeUserSessions(userId, 'password_changed', req.sessionId);
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'user',
+    entityId: userId,
+    after: { password_changed: true, reason: 'update_password' }
+  });
 
-  successResponse(res, 200, {}, 'Password updated successfully');
+  successResponse(res, 200, { sessions_revoked: sessionsRevoked }, 'Password updated successfully');
 }));
 
 module.exports = router;
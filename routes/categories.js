@@ -0,0 +1,258 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { asyncHandler, successResponse, errorResponse } = require('../utils/helpers');
+const { authenticate } = require('../middleware/auth');
+const { getAccessibleCategory } = require('../utils/categories');
+
+// Helper function to nest a flat category list under its parents
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map((c) => [c.id, { ...c, children: [] }]));
+  const roots = [];
+  nodes.forEach((node) => {
+    if (node.parent_id && nodes.has(node.parent_id)) {
+      nodes.get(node.parent_id).children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+  return roots;
+};
+
+// Helper function to check if a user may change a category
+// Organization categories can only be changed by admins, personal ones by their owner
+const canManageCategory = (category, user) => (
+  category.user_id === null ? user.role === 'admin' : category.user_id === user.id
+);
+
+// Helper function to validate a parent category for a category being created or moved
+const validateParent = async (parentId, { user, isOrganization, type, categoryId }) => {
+  const parent = await getAccessibleCategory(parentId, [user.id]);
+  if (!parent) {
+    return { valid: false, error: 'Parent category not found' };
+  }
+
+  if (isOrganization && parent.user_id !== null) {
+    return { valid: false, error: 'Organization categories can only be nested under organization categories' };
+  }
+
+  if (type && parent.type && parent.type !== type) {
+    return { valid: false, error: `Parent category is for ${parent.type} entries` };
+  }
+
+  // Prevent cycles: the new parent must not be the category itself or one of its descendants
+  if (categoryId) {
+    const ancestors = await pool.query(
+      `WITH RECURSIVE ancestors AS (
+         SELECT id, parent_id FROM categories WHERE id = $1
+         UNION ALL
+         SELECT c.id, c.parent_id FROM categories c JOIN ancestors a ON c.id = a.parent_id
+       )
+       SELECT id FROM ancestors`,
+      [parentId]
+    );
+    if (ancestors.rows.some((row) => row.id === parseInt(categoryId))) {
+      return { valid: false, error: 'A category cannot be moved under itself or its subcategories' };
+    }
+  }
+
+  return { valid: true, parent };
+};
+
+// @route   GET /api/categories
+// @desc    Get organization categories and the current user's own categories (?type=, ?tree=true)
+// @access  Private
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+  const { type, tree } = req.query;
+  const userId = req.user.id;
+
+  if (type && type !== 'income' && type !== 'expense') {
+    return errorResponse(res, 400, 'Type must be either "income" or "expense"');
+  }
+
+  const params = [userId];
+  let typeCondition = '';
+  if (type) {
+    // Categories without a type can be used for both income and expense
+    typeCondition = 'AND (type = $2 OR type IS NULL)';
+    params.push(type);
+  }
+
+  const result = await pool.query(
+    `SELECT *, CASE WHEN user_id IS NULL THEN 'organization' ELSE 'user' END AS scope
+     FROM categories
+     WHERE (user_id IS NULL OR user_id = $1) ${typeCondition}
+     ORDER BY code NULLS LAST, name ASC`,
+    params
+  );
+
+  successResponse(res, 200, {
+    categories: tree === 'true' ? buildCategoryTree(result.rows) : result.rows
+  }, 'Categories retrieved successfully');
+}));
+
+// @route   GET /api/categories/:id
+// @desc    Get single category with its direct subcategories
+// @access  Private
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const category = await getAccessibleCategory(id, [req.user.id]);
+  if (!category) {
+    return errorResponse(res, 404, 'Category not found');
+  }
+
+  const childrenResult = await pool.query(
+    `SELECT * FROM categories
+     WHERE parent_id = $1 AND (user_id IS NULL OR user_id = $2)
+     ORDER BY code NULLS LAST, name ASC`,
+    [id, req.user.id]
+  );
+
+  successResponse(res, 200, {
+    category: {
+      ...category,
+      scope: category.user_id === null ? 'organization' : 'user',
+      children: childrenResult.rows
+    }
+  }, 'Category retrieved successfully');
+}));
+
+// @route   POST /api/categories
+// @desc    Create a category (scope "organization" is admin only)
+// @access  Private
+router.post('/', authenticate, asyncHandler(async (req, res) => {
+  const { name, code, type, parent_id, description, scope } = req.body;
+
+  if (!name) {
+    return errorResponse(res, 400, 'Category name is required');
+  }
+
+  if (type && type !== 'income' && type !== 'expense') {
+    return errorResponse(res, 400, 'Type must be either "income" or "expense"');
+  }
+
+  const isOrganization = scope === 'organization';
+  if (isOrganization && req.user.role !== 'admin') {
+    return errorResponse(res, 403, 'Only admins can create organization categories');
+  }
+
+  let categoryType = type || null;
+  if (parent_id) {
+    const parentCheck = await validateParent(parent_id, { user: req.user, isOrganization, type });
+    if (!parentCheck.valid) {
+      return errorResponse(res, 400, parentCheck.error);
+    }
+    // Subcategories inherit the parent's type
+    categoryType = categoryType || parentCheck.parent.type;
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO categories (user_id, parent_id, name, code, type, description)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [isOrganization ? null : req.user.id, parent_id || null, name.trim(), code || null, categoryType, description || null]
+    );
+
+    successResponse(res, 201, {
+      category: result.rows[0]
+    }, 'Category created successfully');
+  } catch (error) {
+    if (error.code === '23505') {
+      return errorResponse(res, 400, 'A category with this name already exists at this level');
+    }
+    throw error;
+  }
+}));
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category
+// @access  Private (category owner, or admin for organization categories)
+router.put('/:id', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, code, type, parent_id, description } = req.body;
+
+  const category = await getAccessibleCategory(id, [req.user.id]);
+  if (!category) {
+    return errorResponse(res, 404, 'Category not found');
+  }
+
+  if (!canManageCategory(category, req.user)) {
+    return errorResponse(res, 403, 'Access denied');
+  }
+
+  if (type && type !== 'income' && type !== 'expense') {
+    return errorResponse(res, 400, 'Type must be either "income" or "expense"');
+  }
+
+  // An explicit null parent_id makes the category top-level again; a new type must still suit the parent it keeps
+  const clearParent = parent_id === null;
+  const parentId = parent_id || (!clearParent && type ? category.parent_id : null);
+  if (parentId) {
+    const parentCheck = await validateParent(parentId, {
+      user: req.user,
+      isOrganization: category.user_id === null,
+      type: type || category.type,
+      categoryId: id
+    });
+    if (!parentCheck.valid) {
+      return errorResponse(res, 400, parentCheck.error);
+    }
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE categories
+       SET name = COALESCE($1, name),
+           code = COALESCE($2, code),
+           type = COALESCE($3, type),
+           parent_id = CASE WHEN $7 THEN NULL ELSE COALESCE($4, parent_id) END,
+           description = COALESCE($5, description),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6
+       RETURNING *`,
+      [name ? name.trim() : null, code, type, parent_id || null, description, id, clearParent]
+    );
+
+    successResponse(res, 200, {
+      category: result.rows[0]
+    }, 'Category updated successfully');
+  } catch (error) {
+    if (error.code === '23505') {
+      return errorResponse(res, 400, 'A category with this name already exists at this level');
+    }
+    throw error;
+  }
+}));
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category (tasks and transactions using it become uncategorized)
+// @access  Private (category owner, or admin for organization categories)
+router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const category = await getAccessibleCategory(id, [req.user.id]);
+  if (!category) {
+    return errorResponse(res, 404, 'Category not found');
+  }
+
+  if (!canManageCategory(category, req.user)) {
+    return errorResponse(res, 403, 'Access denied');
+  }
+
+  const childrenCheck = await pool.query(
+    'SELECT id FROM categories WHERE parent_id = $1 LIMIT 1',
+    [id]
+  );
+
+  if (childrenCheck.rows.length > 0) {
+    return errorResponse(res, 400, 'Delete or move the subcategories first');
+  }
+
+  await pool.query('DELETE FROM categories WHERE id = $1', [id]);
+
+  successResponse(res, 200, {}, 'Category deleted successfully');
+}));
+
+module.exports = router;
@@ -0,0 +1,305 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { asyncHandler, successResponse, errorResponse } = require('../utils/helpers');
+const { authenticate, authenticateUnpaid, isAdmin } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { getUserPlan } = require('../utils/plans');
+const { MAX_MONTHS_COVERED, getPlanPrice, isFreePlan } = require('../utils/billing');
+const {
+  COUPON_DISCOUNT_TYPES,
+  normalizeCouponCode,
+  getCouponById,
+  getCouponByCode,
+  computeDiscount,
+  resolveCoupon
+} = require('../utils/coupons');
+
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,50}$/;
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+// Helper function to validate coupon fields sent by an admin (`current` is the coupon being updated)
+// Returns an error message, or null when the fields are valid
+const validateCouponFields = async ({ discount_type, discount_value, valid_from, valid_until, max_redemptions, plan_ids }, current = {}) => {
+  const discountType = discount_type !== undefined ? discount_type : current.discount_type;
+  if (!COUPON_DISCOUNT_TYPES.includes(discountType)) {
+    return `Discount type must be one of: ${COUPON_DISCOUNT_TYPES.join(', ')}`;
+  }
+
+  const discountValue = discount_value !== undefined ? parseFloat(discount_value) : parseFloat(current.discount_value);
+  if (isNaN(discountValue) || discountValue <= 0) {
+    return 'Discount value must be a positive number';
+  }
+  if (discountType === 'percent' && discountValue > 100) {
+    return 'A percentage discount cannot be more than 100';
+  }
+
+  if (valid_from && !isValidDate(valid_from)) {
+    return 'Invalid valid_from date';
+  }
+  if (valid_until && !isValidDate(valid_until)) {
+    return 'Invalid valid_until date';
+  }
+  const validFrom = valid_from !== undefined ? valid_from : current.valid_from;
+  const validUntil = valid_until !== undefined ? valid_until : current.valid_until;
+  if (validFrom && validUntil && new Date(validFrom) >= new Date(validUntil)) {
+    return 'valid_from must be before valid_until';
+  }
+
+  if (max_redemptions !== undefined && max_redemptions !== null && !(parseInt(max_redemptions) > 0)) {
+    return 'Maximum redemptions must be a positive number (or null for unlimited)';
+  }
+
+  if (plan_ids !== undefined && plan_ids !== null) {
+    if (!Array.isArray(plan_ids) || plan_ids.some((planId) => !Number.isInteger(Number(planId)))) {
+      return 'Plan IDs must be an array of plan IDs (or null for every plan)';
+    }
+    if (plan_ids.length > 0) {
+      const plans = await pool.query('SELECT id FROM plans WHERE id = ANY($1::int[])', [plan_ids.map(Number)]);
+      if (plans.rows.length !== new Set(plan_ids.map(Number)).size) {
+        return 'One or more plans were not found';
+      }
+    }
+  }
+
+  return null;
+};
+
+const toPlanIds = (planIds) => (planIds && planIds.length > 0 ? [...new Set(planIds.map(Number))] : null);
+
+// @route   GET /api/coupons
+// @desc    Get coupons with how much discount each has given (Admin only); ?active=true|false
+// @access  Private (Admin)
+router.get('/', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const { active } = req.query;
+
+  let query = `
+    SELECT c.*,
+           COALESCE((SELECT SUM(cr.discount_amount) FROM coupon_redemptions cr WHERE cr.coupon_id = c.id), 0) AS total_discount
+    FROM coupons c
+  `;
+  const params = [];
+
+  if (active === 'true' || active === 'false') {
+    query += ' WHERE c.is_active = $1';
+    params.push(active === 'true');
+  }
+
+  query += ' ORDER BY c.created_at DESC';
+
+  const result = await pool.query(query, params);
+
+  successResponse(res, 200, {
+    coupons: result.rows
+  }, 'Coupons retrieved successfully');
+}));
+
+// @route   GET /api/coupons/validate
+// @desc    Check a coupon code against the current user's plan and preview the discount (?code=, ?months=)
+// @access  Private (also allowed while the subscription has lapsed)
+router.get('/validate', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const { code, months } = req.query;
+
+  if (!code) {
+    return errorResponse(res, 400, 'Coupon code is required');
+  }
+  if (req.user.role === 'admin') {
+    return errorResponse(res, 400, 'Admin accounts have no subscription to pay');
+  }
+
+  const monthsCovered = months === undefined ? 1 : Number(months);
+  if (!Number.isInteger(monthsCovered) || monthsCovered < 1 || monthsCovered > MAX_MONTHS_COVERED) {
+    return errorResponse(res, 400, `Months must be a whole number from 1 to ${MAX_MONTHS_COVERED}`);
+  }
+
+  const plan = await getUserPlan(req.user.id);
+  if (isFreePlan(plan)) {
+    return errorResponse(res, 400, 'Your plan is free, there is nothing to pay');
+  }
+
+  const resolved = await resolveCoupon(code, plan);
+  if (resolved.error) {
+    return errorResponse(res, resolved.status, resolved.error);
+  }
+
+  const { coupon } = resolved;
+  const amount = getPlanPrice(plan) * monthsCovered;
+  const discountAmount = computeDiscount(coupon, amount);
+
+  successResponse(res, 200, {
+    coupon: {
+      code: coupon.code,
+      description: coupon.description,
+      discount_type: coupon.discount_type,
+      discount_value: coupon.discount_value,
+      valid_until: coupon.valid_until
+    },
+    months: monthsCovered,
+    amount,
+    discount_amount: discountAmount,
+    amount_due: amount - discountAmount
+  }, 'Coupon is valid');
+}));
+
+// @route   GET /api/coupons/:id
+// @desc    Get coupon by ID with its redemptions (Admin only)
+// @access  Private (Admin)
+router.get('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const coupon = await getCouponById(req.params.id);
+
+  if (!coupon) {
+    return errorResponse(res, 404, 'Coupon not found');
+  }
+
+  const redemptions = await pool.query(
+    `SELECT cr.*, u.username, u.email, up.payment_month, up.months_covered, up.status AS payment_status
+     FROM coupon_redemptions cr
+     JOIN users u ON cr.user_id = u.id
+     JOIN user_payments up ON cr.payment_id = up.id
+     WHERE cr.coupon_id = $1
+     ORDER BY cr.redeemed_at DESC`,
+    [coupon.id]
+  );
+
+  successResponse(res, 200, {
+    coupon,
+    redemptions: redemptions.rows
+  }, 'Coupon retrieved successfully');
+}));
+
+// @route   POST /api/coupons
+// @desc    Create coupon (Admin only)
+// @access  Private (Admin)
+router.post('/', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const { description, discount_type, discount_value, valid_from, valid_until, max_redemptions, plan_ids, is_active } = req.body;
+  const code = normalizeCouponCode(req.body.code);
+
+  if (!code || !discount_type || discount_value === undefined) {
+    return errorResponse(res, 400, 'Code, discount type and discount value are required');
+  }
+  if (!COUPON_CODE_PATTERN.test(code)) {
+    return errorResponse(res, 400, 'Code must be 3 to 50 letters, digits, dashes or underscores');
+  }
+
+  const validationError = await validateCouponFields(req.body);
+  if (validationError) {
+    return errorResponse(res, 400, validationError);
+  }
+
+  if (await getCouponByCode(code)) {
+    return errorResponse(res, 400, 'A coupon with this code already exists');
+  }
+
+  const result = await pool.query(
+    `INSERT INTO coupons (code, description, discount_type, discount_value, valid_from, valid_until, max_redemptions, plan_ids, is_active, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      code,
+      description || null,
+      discount_type,
+      parseFloat(discount_value),
+      valid_from || null,
+      valid_until || null,
+      max_redemptions ? parseInt(max_redemptions) : null,
+      toPlanIds(plan_ids),
+      is_active !== false,
+      req.user.id
+    ]
+  );
+
+  await recordAudit(req, {
+    action: 'create',
+    entityType: 'coupon',
+    entityId: result.rows[0].id,
+    after: result.rows[0]
+  });
+
+  successResponse(res, 201, {
+    coupon: result.rows[0]
+  }, 'Coupon created successfully');
+}));
+
+// @route   PUT /api/coupons/:id
+// @desc    Update coupon (Admin only); the code can't change and payments already discounted keep their discount
+// @access  Private (Admin)
+router.put('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { description, discount_type, discount_value, valid_from, valid_until, max_redemptions, plan_ids, is_active } = req.body;
+
+  const coupon = await getCouponById(id);
+  if (!coupon) {
+    return errorResponse(res, 404, 'Coupon not found');
+  }
+
+  const validationError = await validateCouponFields(req.body, coupon);
+  if (validationError) {
+    return errorResponse(res, 400, validationError);
+  }
+
+  const result = await pool.query(
+    `UPDATE coupons
+     SET description = $1,
+         discount_type = $2,
+         discount_value = $3,
+         valid_from = $4,
+         valid_until = $5,
+         max_redemptions = $6,
+         plan_ids = $7,
+         is_active = $8,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $9
+     RETURNING *`,
+    [
+      description !== undefined ? description : coupon.description,
+      discount_type || coupon.discount_type,
+      discount_value !== undefined ? parseFloat(discount_value) : coupon.discount_value,
+      valid_from !== undefined ? valid_from || null : coupon.valid_from,
+      valid_until !== undefined ? valid_until || null : coupon.valid_until,
+      max_redemptions !== undefined ? (max_redemptions ? parseInt(max_redemptions) : null) : coupon.max_redemptions,
+      plan_ids !== undefined ? toPlanIds(plan_ids) : coupon.plan_ids,
+      is_active !== undefined ? Boolean(is_active) : coupon.is_active,
+      id
+    ]
+  );
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'coupon',
+    entityId: coupon.id,
+    before: coupon,
+    after: result.rows[0]
+  });
+
+  successResponse(res, 200, {
+    coupon: result.rows[0]
+  }, 'Coupon updated successfully');
+}));
+
+// @route   DELETE /api/coupons/:id
+// @desc    Delete coupon (Admin only); coupons that have been redeemed must be deactivated instead
+// @access  Private (Admin)
+router.delete('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const coupon = await getCouponById(req.params.id);
+  if (!coupon) {
+    return errorResponse(res, 404, 'Coupon not found');
+  }
+
+  if (coupon.redemption_count > 0) {
+    return errorResponse(res, 400, 'This coupon has been redeemed. Deactivate it instead');
+  }
+
+  await pool.query('DELETE FROM coupons WHERE id = $1', [coupon.id]);
+
+  await recordAudit(req, {
+    action: 'delete',
+    entityType: 'coupon',
+    entityId: coupon.id,
+    before: coupon
+  });
+
+  successResponse(res, 200, {}, 'Coupon deleted successfully');
+}));
+
+module.exports = router;
@@ -1,9 +1,33 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const pool = require('../config/database');
 const { asyncHandler, successResponse, errorResponse } = require('../utils/helpers');
-const { authenticate, isAdmin } = require('../middleware/auth');
-const { sendPaymentReminderEmail, sendPaymentStatusUpdateEmail } = require('../utils/emailService');
+const { authenticate, authenticateUnpaid, isAdmin } = require('../middleware/auth');
+const { sendPaymentStatusUpdateEmail, sendPaymentClaimRejectedEmail } = require('../utils/emailService');
+const { recordAudit } = require('../utils/audit');
+const { getUserPlan } = require('../utils/plans');
+const {
+  MAX_MONTHS_COVERED,
+  getPlanPrice,
+  isFreePlan,
+  findPaymentForMonth,
+  findOverlappingPayment,
+  getAmountRemaining,
+  getBillingStatus
+} = require('../utils/billing');
+const { PAYMENT_CURRENCY, normalizeMsisdn, getPaymentProvider } = require('../utils/paymentProviders');
+const { parseUpload, removeAttachmentFiles } = require('../utils/attachments');
+const { getStorage } = require('../utils/storage');
+const { issueReceipt, generateReceiptPdf, getReceiptFilename } = require('../utils/receipts');
+const { checkAndRemindPayments } = require('../utils/paymentScheduler');
+const { resolveAnalyticsPeriod, getRevenueAnalytics, writeRevenuePdf, REVENUE_CSV_COLUMNS } = require('../utils/revenueAnalytics');
+const { sendCsv } = require('../utils/csv');
+const { getCouponById, computeDiscount, resolveCoupon, redeemCoupon } = require('../utils/coupons');
+const { ADJUSTMENT_TYPES, applyPaymentAdjustment, getPaymentAdjustments } = require('../utils/paymentAdjustments');
+const { restorePaymentStatus, closePaymentRequest, expireStalePaymentRequests } = require('../utils/paymentRequests');
+
+const ANALYTICS_EXPORT_FORMATS = ['pdf', 'csv'];
 
 // Helper function to ensure payment_month is first day of month
 const getFirstDayOfMonth = (dateString) => {
@@ -19,16 +43,438 @@ const getFirstDayOfMonth = (dateString) => {
   return date.toISOString().split('T')[0];
 };
 
+const getCallbackUrl = (req, provider) => {
+  const baseUrl = process.env.PAYMENT_CALLBACK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/payments/callback/${provider.name}`;
+};
+
+// Status a payment had before it became pending (payment requests and claims remember it)
+const getStatusBeforePending = async (paymentId) => {
+  const result = await pool.query(
+    `SELECT previous_payment_status
+     FROM (
+       SELECT previous_payment_status, created_at FROM payment_requests WHERE payment_id = $1
+       UNION ALL
+       SELECT previous_payment_status, created_at FROM payment_claims WHERE payment_id = $1
+     ) history
+     WHERE previous_payment_status IS NOT NULL AND previous_payment_status != 'pending'
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [paymentId]
+  );
+  return result.rows.length > 0 ? result.rows[0].previous_payment_status : 'unpaid';
+};
+
+const toMonthKey = (value) => {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}`;
+  }
+  return String(value).slice(0, 7);
+};
+
+const formatMonthLabel = (value) => new Date(`${toMonthKey(value)}-01T00:00:00`).toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+
+const formatRwf = (value) => `${Number(value).toLocaleString('en-US')} RWF`;
+
+// Helper function to read how many consecutive months a payment covers (null when not a whole number from 1 to the maximum)
+const parseMonthsCovered = (value) => {
+  const months = Number(value);
+  return Number.isInteger(months) && months >= 1 && months <= MAX_MONTHS_COVERED ? months : null;
+};
+
+const MONTHS_ERROR = `Months must be a whole number from 1 to ${MAX_MONTHS_COVERED}`;
+
+// Helper function to work out the payment record a user pays for, starting at `month`
+// A new record covers `months` months (default 1) at the plan price; an existing record nothing has been paid on
+// yet can be stretched to `months` months. Returns { existingPayment, months, amount } or { status, error }
+const preparePaymentPeriod = async (userId, month, months, plan) => {
+  const existingPayment = await findPaymentForMonth(userId, month);
+
+  if (existingPayment && existingPayment.status === 'paid') {
+    return { status: 400, error: 'This month is already paid' };
+  }
+
+  if (existingPayment && (months === undefined || months === existingPayment.months_covered)) {
+    // Amounts already set on the record (e.g. by an admin, or discounted by a coupon) are kept
+    const amount = parseFloat(existingPayment.amount) > 0 || parseFloat(existingPayment.discount_amount) > 0
+      ? parseFloat(existingPayment.amount)
+      : getPlanPrice(plan) * existingPayment.months_covered;
+    return { existingPayment, months: existingPayment.months_covered, amount };
+  }
+
+  const monthsCovered = months || 1;
+
+  if (existingPayment) {
+    if (toMonthKey(existingPayment.payment_month) !== toMonthKey(month)) {
+      return { status: 400, error: `This month is part of the payment starting ${formatMonthLabel(existingPayment.payment_month)}` };
+    }
+    if (existingPayment.status === 'pending' || parseFloat(existingPayment.amount_paid) > 0) {
+      return { status: 400, error: `A payment for ${existingPayment.months_covered} month(s) has already been started for this month` };
+    }
+  }
+
+  const overlap = await findOverlappingPayment(userId, month, monthsCovered, existingPayment ? existingPayment.id : null);
+  if (overlap) {
+    return { status: 409, error: `${formatMonthLabel(overlap.payment_month)} already has its own payment record` };
+  }
+
+  return { existingPayment, months: monthsCovered, amount: getPlanPrice(plan) * monthsCovered };
+};
+
+// Helper function to apply a coupon code to a period from preparePaymentPeriod()
+// The discount comes off the period's amount, and a record keeps the coupon it got first: stretching it to more
+// months recomputes that coupon's discount without redeeming it again.
+// Returns the period with { coupon, discount, redeem } and the amount after the discount, or { status, error }
+const applyPaymentCoupon = async (period, couponCode, plan) => {
+  const { existingPayment } = period;
+
+  if (couponCode) {
+    if (existingPayment && existingPayment.coupon_code) {
+      return { status: 400, error: `Coupon ${existingPayment.coupon_code} has already been applied to this payment` };
+    }
+    if (existingPayment && (existingPayment.status === 'pending' || parseFloat(existingPayment.amount_paid) > 0)) {
+      return { status: 400, error: 'A coupon can only be applied before anything has been paid' };
+    }
+
+    const resolved = await resolveCoupon(couponCode, plan);
+    if (resolved.error) {
+      return resolved;
+    }
+    const discount = computeDiscount(resolved.coupon, period.amount);
+    return { ...period, coupon: resolved.coupon, discount, amount: period.amount - discount, redeem: true };
+  }
+
+  if (existingPayment && existingPayment.coupon_id && period.months !== existingPayment.months_covered) {
+    const coupon = await getCouponById(existingPayment.coupon_id);
+    const discount = coupon ? computeDiscount(coupon, period.amount) : 0;
+    return { ...period, coupon, discount, amount: period.amount - discount, redeem: false };
+  }
+
+  return {
+    ...period,
+    coupon: null,
+    discount: existingPayment ? parseFloat(existingPayment.discount_amount) : 0,
+    redeem: false
+  };
+};
+
+const COUPON_LIMIT_ERROR = 'This coupon has just reached its redemption limit';
+
+// A pending payment is waiting on a mobile money request or a claim, which adds its amount once settled
+const PENDING_PAYMENT_ERROR = 'A mobile money payment or claim is waiting on this payment. Settle it first';
+
+// Statuses an admin can set on a payment directly (partial comes from installments, refunded and reversed from the ledger)
+const ADMIN_PAYMENT_STATUSES = ['paid', 'unpaid', 'late'];
+
+// Refunded and reversed payments only change through the ledger
+const isSettledThroughLedger = (payment) => ['refunded', 'reversed'].includes(payment.status);
+const settledPaymentError = (payment) => `This payment was ${payment.status}. Add a correction to its ledger instead`;
+
+// Helper function to add a row to a payment's installments, inside `client`'s transaction
+// (installments add up to the payment's amount_paid)
+const recordInstallment = async (client, payment, { amount, paymentMethod, transactionReference, source, paidAt, recordedBy }) => {
+  await client.query(
+    `INSERT INTO payment_installments (payment_id, amount, payment_method, transaction_reference, source, paid_at, recorded_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [payment.id, amount, paymentMethod || null, transactionReference || null, source, paidAt, recordedBy || null]
+  );
+};
+
+// Helper function to record money received toward a payment, inside `client`'s transaction
+// Parts add up: the payment becomes paid (with paid_at) once amount_paid reaches its amount, partial before that
+// Returns the updated payment, or { status, error } when `amount` is more than is still due (nothing is recorded)
+const addInstallment = async (client, payment, { amount, paymentMethod, transactionReference, source, paidAt, recordedBy }) => {
+  const remaining = getAmountRemaining(payment);
+  if (amount > remaining) {
+    return {
+      status: 409,
+      error: remaining > 0 ? `Amount cannot be more than the ${formatRwf(remaining)} still due` : 'This payment is already paid'
+    };
+  }
+
+  const receivedAt = paidAt || new Date();
+
+  await recordInstallment(client, payment, { amount, paymentMethod, transactionReference, source, paidAt: receivedAt, recordedBy });
+
+  const amountPaid = parseFloat(payment.amount_paid || 0) + amount;
+  const fullyPaid = amountPaid >= parseFloat(payment.amount);
+
+  const result = await client.query(
+    `UPDATE user_payments
+     SET amount_paid = $1, status = $2, paid_at = $3,
+         payment_method = COALESCE($4, payment_method), transaction_reference = COALESCE($5, transaction_reference)
+     WHERE id = $6
+     RETURNING *`,
+    [amountPaid, fullyPaid ? 'paid' : 'partial', fullyPaid ? receivedAt : null, paymentMethod || null, transactionReference || null, payment.id]
+  );
+  return result.rows[0];
+};
+
+// Helper function to add a ledger entry (refund, credit, correction or reversal) to a payment
+// Audits the change and emails the user when the payment's status changes
+// Returns { payment, adjustment } or { status, error }
+const adjustPayment = async (req, paymentId, adjustment) => {
+  const client = await pool.connect();
+  let before;
+  let result;
+
+  try {
+    await client.query('BEGIN');
+
+    const paymentResult = await client.query('SELECT * FROM user_payments WHERE id = $1 FOR UPDATE', [paymentId]);
+    before = paymentResult.rows[0];
+
+    if (!before) {
+      await client.query('ROLLBACK');
+      return { status: 404, error: 'Payment not found' };
+    }
+
+    result = await applyPaymentAdjustment(client, before, { ...adjustment, createdBy: req.user.id });
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return result;
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'payment',
+    entityId: before.id,
+    before,
+    after: result.payment
+  });
+
+  if (result.payment.status !== before.status) {
+    await notifyPaymentStatus(result.payment);
+  }
+
+  return result;
+};
+
+// Helper function to email a user the new status of one of their payments (with the PDF receipt once paid)
+const notifyPaymentStatus = async (payment) => {
+  try {
+    const ures = await pool.query('SELECT email, username, phone FROM users WHERE id = $1', [payment.user_id]);
+    if (ures.rows.length === 0) return;
+    const plan = await getUserPlan(payment.user_id);
+
+    let receipt = null;
+    if (payment.status === 'paid') {
+      const receiptPayment = await issueReceipt(payment);
+      receipt = { name: getReceiptFilename(receiptPayment), content: await generateReceiptPdf(receiptPayment, ures.rows[0]) };
+    }
+
+    await sendPaymentStatusUpdateEmail(ures.rows[0].email, ures.rows[0].username, {
+      status: payment.status,
+      paymentMonth: payment.payment_month,
+      monthsCovered: payment.months_covered,
+      amount: payment.amount,
+      amountPaid: payment.amount_paid,
+      discountAmount: payment.discount_amount,
+      couponCode: payment.coupon_code,
+      paymentMethod: payment.payment_method,
+      paidAt: payment.paid_at,
+      planPrice: getPlanPrice(plan),
+      receipt
+    });
+  } catch (e) {
+    console.error('Failed to send payment status update email:', e);
+  }
+};
+
+// Helper function to record the provider's answer to a payment request
+// A successful request adds its amount to the payment (paid, or partial while some is still owed);
+// a failed one gives the payment back its previous status
+// Returns the updated payment, or null when the request had already been settled (providers retry callbacks)
+const settlePaymentRequest = async (req, paymentRequest, { status, failureReason, callbackData }) => {
+  const client = await pool.connect();
+  let before;
+  let after = null;
+
+  try {
+    await client.query('BEGIN');
+
+    const claimed = await client.query(
+      `UPDATE payment_requests
+       SET status = $1, failure_reason = $2, callback_data = $3, completed_at = CURRENT_TIMESTAMP
+       WHERE id = $4 AND status IN ('pending', 'expired', 'cancelled')
+       RETURNING *`,
+      [status, failureReason || null, callbackData ? JSON.stringify(callbackData) : null, paymentRequest.id]
+    );
+
+    if (claimed.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const paymentResult = await client.query('SELECT * FROM user_payments WHERE id = $1 FOR UPDATE', [paymentRequest.payment_id]);
+    before = paymentResult.rows[0];
+
+    if (status === 'successful') {
+      after = await addInstallment(client, before, {
+        amount: parseFloat(paymentRequest.amount),
+        transactionReference: paymentRequest.provider_reference,
+        source: 'mobile_money'
+      });
+      // Money that arrives after the payment was settled some other way isn't counted twice: the request stays
+      // 'refund_due' (shown with the payment) until an admin has given it back
+      if (after.error) {
+        console.warn(`Payment request ${paymentRequest.id} (${paymentRequest.provider_reference}) was not added to payment ${before.id}: ${after.error}`);
+        await client.query(
+          `UPDATE payment_requests SET status = 'refund_due', failure_reason = $1 WHERE id = $2`,
+          [`Not added to the payment: ${after.error}. The money has to be refunded`, paymentRequest.id]
+        );
+        after = await restorePaymentStatus(client, before, paymentRequest.previous_payment_status);
+      }
+    } else {
+      after = await restorePaymentStatus(client, before, paymentRequest.previous_payment_status);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (!after) {
+    return before;
+  }
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'payment',
+    entityId: after.id,
+    before,
+    after
+  });
+
+  if (after.status === 'paid' || after.status === 'partial') {
+    after = await issueReceipt(after);
+    await notifyPaymentStatus(after);
+  }
+
+  return after;
+};
+
+const CLAIM_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Public shape of a payment claim (storage details stay server-side)
+const formatPaymentClaim = (claim) => {
+  const { screenshot_storage_backend, screenshot_storage_key, ...publicFields } = claim;
+  return {
+    ...publicFields,
+    screenshot_url: screenshot_storage_key ? `/api/payments/claims/${claim.id}/screenshot` : null
+  };
+};
+
+// Helper function to load a claim visible to the user (their own, or any for admins)
+const getAuthorizedClaim = async (id, user) => {
+  const result = await pool.query('SELECT * FROM payment_claims WHERE id = $1', [id]);
+  const claim = result.rows[0];
+  if (!claim || (user.role !== 'admin' && claim.user_id !== user.id)) {
+    return null;
+  }
+  return claim;
+};
+
+// Helper function shared by claim approval and rejection
+// `updatePayment(client, claim, payment)` changes the payment inside the transaction and returns it (or null),
+// or returns { status, error } to leave the claim pending
+// Returns { claim, payment } or { status, error }
+const reviewPaymentClaim = async (req, claimId, decision, updatePayment, rejectionReason = null) => {
+  const client = await pool.connect();
+  let claim;
+  let before;
+  let after;
+
+  try {
+    await client.query('BEGIN');
+
+    const claimResult = await client.query('SELECT * FROM payment_claims WHERE id = $1 FOR UPDATE', [claimId]);
+    if (claimResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { status: 404, error: 'Payment claim not found' };
+    }
+    if (claimResult.rows[0].status !== 'pending') {
+      await client.query('ROLLBACK');
+      return { status: 400, error: `This claim has already been ${claimResult.rows[0].status}` };
+    }
+
+    const reviewed = await client.query(
+      `UPDATE payment_claims
+       SET status = $1, rejection_reason = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [decision, rejectionReason, req.user.id, claimId]
+    );
+    claim = reviewed.rows[0];
+
+    const paymentResult = await client.query('SELECT * FROM user_payments WHERE id = $1 FOR UPDATE', [claim.payment_id]);
+    before = paymentResult.rows[0];
+    after = await updatePayment(client, claim, before);
+    if (after && after.error) {
+      await client.query('ROLLBACK');
+      return after;
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (after) {
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'payment',
+      entityId: after.id,
+      before,
+      after
+    });
+  }
+
+  const payment = await issueReceipt(after || before);
+  if (decision === 'approved') {
+    await notifyPaymentStatus(payment);
+  } else {
+    try {
+      const ures = await pool.query('SELECT email, username FROM users WHERE id = $1', [claim.user_id]);
+      await sendPaymentClaimRejectedEmail(ures.rows[0].email, ures.rows[0].username, {
+        paymentMonth: payment.payment_month,
+        transactionReference: claim.transaction_reference,
+        reason: rejectionReason
+      });
+    } catch (e) {
+      console.error('Failed to send payment claim rejection email:', e);
+    }
+  }
+
+  return { claim: formatPaymentClaim(claim), payment };
+};
+
 // @route   GET /api/payments
 // @desc    Get all payments (Admin only) or user's own payments
 // @access  Private
-router.get('/', authenticate, asyncHandler(async (req, res) => {
-  const { user_id, status, month, year, start_date, end_date } = req.query;
+router.get('/', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const { user_id, status, month, year, start_date, end_date, refund_due } = req.query;
   const userId = req.user.id;
   const role = req.user.role;
 
   let query = `
-    SELECT up.*, u.username, u.email, u.phone
+    SELECT up.*, u.username, u.email, u.phone,
+           (SELECT COALESCE(SUM(pr.amount), 0) FROM payment_requests pr
+            WHERE pr.payment_id = up.id AND pr.status = 'refund_due') AS refund_due_amount
     FROM user_payments up
     JOIN users u ON up.user_id = u.id
     WHERE 1=1
@@ -53,6 +499,11 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
     paramIndex++;
   }
 
+  // Payments with mobile money that arrived after they were settled and has to be given back
+  if (refund_due === 'true') {
+    query += ` AND EXISTS (SELECT 1 FROM payment_requests pr WHERE pr.payment_id = up.id AND pr.status = 'refund_due')`;
+  }
+
   if (month) {
     query += ` AND EXTRACT(MONTH FROM up.payment_month) = $${paramIndex}`;
     params.push(parseInt(month));
@@ -88,53 +539,745 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
 
 // @route   GET /api/payments/my-status
 // @desc    Get payment status for the current user (last payment, block date, days until block)
-// @access  Private
-router.get('/my-status', authenticate, asyncHandler(async (req, res) => {
+// @access  Private (also allowed while the subscription has lapsed)
+router.get('/my-status', authenticateUnpaid, asyncHandler(async (req, res) => {
+  // Same billing policy as the access check, so the dates shown are the ones enforced
+  const billing = await getBillingStatus(req.user.id);
+  const { plan, freePlan } = billing;
+
+  let status = 'active';
+  if (billing.blocked) {
+    status = billing.access === 'read_only' ? 'restricted' : 'blocked';
+  }
+
+  successResponse(res, 200, {
+    status,
+    last_payment_at: billing.lastPaidAt ? billing.lastPaidAt.toISOString() : null,
+    paid_through: !freePlan && billing.paidThrough ? billing.paidThrough.toISOString() : null,
+    block_date: !freePlan && billing.blockDate ? billing.blockDate.toISOString() : null,
+    days_until_block: billing.daysUntilBlock,
+    in_grace_period: !freePlan && billing.inGracePeriod,
+    plan: plan ? { id: plan.id, code: plan.code, name: plan.name } : null,
+    monthly_fee: billing.fee
+  }, 'Payment status retrieved successfully');
+}));
+
+// @route   GET /api/payments/analytics
+// @desc    Subscription revenue analytics per month: MRR, paid/unpaid/late counts, churn, reactivation,
+//          days late and collection rate, with chart-ready series (?start_date, ?end_date; default last 12 months)
+// @access  Private (Admin)
+router.get('/analytics', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const period = resolveAnalyticsPeriod(req.query);
+  if (period.error) {
+    return errorResponse(res, 400, period.error);
+  }
+
+  const analytics = await getRevenueAnalytics(period);
+
+  successResponse(res, 200, analytics, 'Revenue analytics retrieved successfully');
+}));
+
+// @route   GET /api/payments/analytics/export
+// @desc    Download the revenue analytics as a PDF (default) or CSV (?format=csv), same period filters
+// @access  Private (Admin)
+router.get('/analytics/export', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const { format = 'pdf' } = req.query;
+
+  if (!ANALYTICS_EXPORT_FORMATS.includes(format)) {
+    return errorResponse(res, 400, `Format must be one of: ${ANALYTICS_EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const period = resolveAnalyticsPeriod(req.query);
+  if (period.error) {
+    return errorResponse(res, 400, period.error);
+  }
+
+  const analytics = await getRevenueAnalytics(period);
+  const filename = `revenue_${period.startMonth}_to_${period.endMonth}`;
+
+  if (format === 'csv') {
+    return sendCsv(res, `${filename}.csv`, REVENUE_CSV_COLUMNS, analytics.months);
+  }
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+  res.setHeader('Content-Type', 'application/pdf');
+  writeRevenuePdf(analytics, res);
+}));
+
+// @route   POST /api/payments/collect
+// @desc    Start a mobile money payment of the user's plan fee (defaults to the current month and the user's phone)
+//          `months` prepays several months at once; `amount` pays part of what is due; `coupon_code` applies a discount
+// @access  Private (also allowed while the subscription has lapsed)
+router.post('/collect', authenticateUnpaid, asyncHandler(async (req, res) => {
   const userId = req.user.id;
+  const { phone, payment_month, months, amount: requestedAmount, coupon_code } = req.body;
 
-  // Last paid payment (any time)
-  const lastPaidResult = await pool.query(
-    `SELECT paid_at 
-     FROM user_payments 
-     WHERE user_id = $1 AND status = 'paid' AND paid_at IS NOT NULL
-     ORDER BY paid_at DESC
-     LIMIT 1`,
-    [userId]
+  if (req.user.role === 'admin') {
+    return errorResponse(res, 400, 'Admin accounts have no subscription to pay');
+  }
+
+  const hasMonths = months !== undefined && months !== null && months !== '';
+  if (hasMonths && !parseMonthsCovered(months)) {
+    return errorResponse(res, 400, MONTHS_ERROR);
+  }
+
+  const hasAmount = requestedAmount !== undefined && requestedAmount !== null && requestedAmount !== '';
+  if (hasAmount && (isNaN(parseFloat(requestedAmount)) || parseFloat(requestedAmount) <= 0)) {
+    return errorResponse(res, 400, 'Amount must be a positive number');
+  }
+
+  const provider = getPaymentProvider();
+  if (!provider) {
+    return errorResponse(res, 503, 'Online payments are not available. Please contact admin to record your payment');
+  }
+
+  const plan = await getUserPlan(userId);
+  if (isFreePlan(plan)) {
+    return errorResponse(res, 400, 'Your plan is free, there is nothing to pay');
+  }
+
+  const userResult = await pool.query('SELECT phone FROM users WHERE id = $1', [userId]);
+  const msisdn = normalizeMsisdn(phone || userResult.rows[0].phone);
+  if (!msisdn) {
+    return errorResponse(res, 400, 'A valid mobile money phone number is required');
+  }
+
+  const normalizedMonth = getFirstDayOfMonth(payment_month);
+
+  // Abandoned requests expire (giving their payment its previous status back); a recent one is probably still
+  // waiting on the payer's phone
+  await expireStalePaymentRequests(req, { userId });
+
+  const preparedPeriod = await preparePaymentPeriod(userId, normalizedMonth, hasMonths ? parseMonthsCovered(months) : undefined, plan);
+  if (preparedPeriod.error) {
+    return errorResponse(res, preparedPeriod.status, preparedPeriod.error);
+  }
+  const period = await applyPaymentCoupon(preparedPeriod, coupon_code, plan);
+  if (period.error) {
+    return errorResponse(res, period.status, period.error);
+  }
+  const { existingPayment } = period;
+
+  // Pay what is still owed unless the user chose to pay part of it
+  const amountDue = period.amount - (existingPayment ? parseFloat(existingPayment.amount_paid) : 0);
+  if (amountDue <= 0) {
+    return errorResponse(res, 400, 'The coupon covers the whole amount. Please contact admin to record the payment');
+  }
+  const amount = hasAmount ? parseFloat(requestedAmount) : amountDue;
+  if (amount > amountDue) {
+    return errorResponse(res, 400, `Amount cannot be more than the ${formatRwf(amountDue)} still due`);
+  }
+
+  let previousStatus = existingPayment ? existingPayment.status : 'unpaid';
+
+  if (existingPayment) {
+    const pendingCheck = await pool.query(
+      "SELECT id FROM payment_requests WHERE payment_id = $1 AND status = 'pending'",
+      [existingPayment.id]
+    );
+    if (pendingCheck.rows.length > 0) {
+      return errorResponse(res, 409, 'A payment request for this month is already waiting for approval on your phone');
+    }
+
+    if (previousStatus === 'pending') {
+      previousStatus = await getStatusBeforePending(existingPayment.id);
+    }
+  }
+
+  const reference = crypto.randomUUID();
+
+  const client = await pool.connect();
+  let payment;
+  let paymentRequest;
+
+  try {
+    await client.query('BEGIN');
+
+    const paymentResult = existingPayment
+      ? await client.query(
+        `UPDATE user_payments
+         SET status = 'pending', amount = $1, months_covered = $2, payment_method = $3, plan_id = COALESCE(plan_id, $4),
+             discount_amount = $5, coupon_id = COALESCE($6, coupon_id), coupon_code = COALESCE($7, coupon_code)
+         WHERE id = $8
+         RETURNING *`,
+        [
+          period.amount,
+          period.months,
+          provider.paymentMethod,
+          plan ? plan.id : null,
+          period.discount,
+          period.coupon ? period.coupon.id : null,
+          period.coupon ? period.coupon.code : null,
+          existingPayment.id
+        ]
+      )
+      : await client.query(
+        `INSERT INTO user_payments (user_id, amount, months_covered, payment_month, status, payment_method, plan_id, discount_amount, coupon_id, coupon_code)
+         VALUES ($1, $2, $3, $4, 'pending', $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          userId,
+          period.amount,
+          period.months,
+          normalizedMonth,
+          provider.paymentMethod,
+          plan ? plan.id : null,
+          period.discount,
+          period.coupon ? period.coupon.id : null,
+          period.coupon ? period.coupon.code : null
+        ]
+      );
+    payment = paymentResult.rows[0];
+
+    if (period.redeem && !(await redeemCoupon(client, period.coupon, payment, period.discount))) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 409, COUPON_LIMIT_ERROR);
+    }
+
+    const requestResult = await client.query(
+      `INSERT INTO payment_requests (payment_id, user_id, provider, provider_reference, phone, amount, currency, previous_payment_status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [payment.id, userId, provider.name, reference, msisdn, amount, PAYMENT_CURRENCY, previousStatus]
+    );
+    paymentRequest = requestResult.rows[0];
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await recordAudit(req, {
+    action: existingPayment ? 'update' : 'create',
+    entityType: 'payment',
+    entityId: payment.id,
+    before: existingPayment || null,
+    after: payment
+  });
+
+  try {
+    await provider.requestToPay({
+      reference,
+      amount,
+      currency: PAYMENT_CURRENCY,
+      phone: msisdn,
+      description: period.months > 1 ? `SPEMS subscription ${normalizedMonth} (${period.months} months)` : `SPEMS subscription ${normalizedMonth}`,
+      callbackUrl: getCallbackUrl(req, provider)
+    });
+  } catch (error) {
+    console.error('Payment provider request failed:', error);
+    await settlePaymentRequest(req, paymentRequest, { status: 'failed', failureReason: error.message });
+    return errorResponse(res, 502, 'The payment provider could not be reached. Please try again later');
+  }
+
+  successResponse(res, 202, {
+    payment,
+    payment_request: paymentRequest
+  }, 'Payment request sent. Approve it on your phone to complete the payment');
+}));
+
+// @route   GET /api/payments/collect/:requestId
+// @desc    Get the status of a payment request
+// @access  Private (requester or admin, also allowed while the subscription has lapsed)
+router.get('/collect/:requestId', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+
+  const loadRequest = () => pool.query(
+    `SELECT pr.*, up.status AS payment_status, up.payment_month, up.paid_at
+     FROM payment_requests pr
+     JOIN user_payments up ON pr.payment_id = up.id
+     WHERE pr.id = $1`,
+    [requestId]
   );
+  let result = await loadRequest();
+
+  if (result.rows.length === 0 || (req.user.role !== 'admin' && result.rows[0].user_id !== req.user.id)) {
+    return errorResponse(res, 404, 'Payment request not found');
+  }
+
+  // A request the payer never answered expires when it is checked
+  if (result.rows[0].status === 'pending' && await expireStalePaymentRequests(req, { userId: result.rows[0].user_id }) > 0) {
+    result = await loadRequest();
+  }
+
+  const { callback_data, ...paymentRequest } = result.rows[0];
 
-  const now = new Date();
-  now.setHours(0, 0, 0, 0);
+  successResponse(res, 200, {
+    payment_request: paymentRequest
+  }, 'Payment request retrieved successfully');
+}));
 
-  let lastPaymentAt = null;
-  let blockDate = null;
-  let daysUntilBlock = 0;
+// @route   POST /api/payments/collect/:requestId/cancel
+// @desc    Cancel a pending payment request the provider never answered; the payment gets its previous status back
+// @access  Private (Admin)
+router.post('/collect/:requestId/cancel', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const existing = await pool.query('SELECT status FROM payment_requests WHERE id = $1', [req.params.requestId]);
+  if (existing.rows.length === 0) {
+    return errorResponse(res, 404, 'Payment request not found');
+  }
 
-  if (lastPaidResult.rows.length > 0) {
-    const paidAt = new Date(lastPaidResult.rows[0].paid_at);
-    lastPaymentAt = paidAt.toISOString();
+  const result = await closePaymentRequest(req, req.params.requestId, 'cancelled');
+  if (!result) {
+    return errorResponse(res, 400, `This payment request is already ${existing.rows[0].status}`);
+  }
 
-    const block = new Date(paidAt);
-    block.setDate(block.getDate() + 30);
-    blockDate = block.toISOString();
+  successResponse(res, 200, {
+    payment_request: result.paymentRequest,
+    payment: result.payment
+  }, 'Payment request cancelled');
+}));
 
-    const diffMs = block.getTime() - now.getTime();
-    daysUntilBlock = Math.max(0, Math.ceil(diffMs / (1000 * 60 * 60 * 24)));
+// @route   POST /api/payments/collect/:requestId/refunded
+// @desc    Record that the money of a 'refund_due' payment request was given back to the payer
+// @access  Private (Admin)
+router.post('/collect/:requestId/refunded', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const existing = await pool.query('SELECT status FROM payment_requests WHERE id = $1', [req.params.requestId]);
+  if (existing.rows.length === 0) {
+    return errorResponse(res, 404, 'Payment request not found');
   }
 
-  const status = daysUntilBlock > 0 ? 'active' : 'blocked';
+  const result = await pool.query(
+    `UPDATE payment_requests SET status = 'refunded'
+     WHERE id = $1 AND status = 'refund_due'
+     RETURNING id, payment_id, provider, provider_reference, phone, amount, currency, status, failure_reason, created_at, completed_at`,
+    [req.params.requestId]
+  );
+  if (result.rows.length === 0) {
+    return errorResponse(res, 400, `Only payment requests with a refund due can be marked refunded (this one is ${existing.rows[0].status})`);
+  }
 
   successResponse(res, 200, {
-    status,
-    last_payment_at: lastPaymentAt,
-    block_date: blockDate,
-    days_until_block: daysUntilBlock,
-  }, 'Payment status retrieved successfully');
+    payment_request: result.rows[0]
+  }, 'Payment request marked refunded');
+}));
+
+// @route   POST /api/payments/callback/:provider
+// @desc    Payment provider callback: settles the payment request it refers to
+// @access  Public (the provider's signature is checked)
+router.post('/callback/:provider', asyncHandler(async (req, res) => {
+  const provider = getPaymentProvider(req.params.provider);
+  if (!provider) {
+    return errorResponse(res, 404, 'Unknown payment provider');
+  }
+
+  if (!provider.verifyCallback(req)) {
+    return errorResponse(res, 401, 'Invalid callback signature');
+  }
+
+  const outcome = provider.parseCallback(req);
+  if (!outcome.providerReference) {
+    return errorResponse(res, 400, 'Callback has no payment reference');
+  }
+
+  const requestResult = await pool.query(
+    'SELECT * FROM payment_requests WHERE provider = $1 AND provider_reference = $2',
+    [provider.name, outcome.providerReference]
+  );
+
+  if (requestResult.rows.length === 0) {
+    return errorResponse(res, 404, 'Payment request not found');
+  }
+
+  const payment = await settlePaymentRequest(req, requestResult.rows[0], {
+    status: outcome.status,
+    failureReason: outcome.failureReason,
+    callbackData: req.body
+  });
+
+  successResponse(res, 200, {}, payment ? 'Callback processed' : 'Callback already processed');
+}));
+
+// @route   POST /api/payments/claims
+// @desc    Submit proof of a payment made outside the app (MoMo transaction reference, optional screenshot in field "file")
+// @access  Private (also allowed while the subscription has lapsed)
+router.post('/claims', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  if (req.user.role === 'admin') {
+    return errorResponse(res, 400, 'Admin accounts have no subscription to pay');
+  }
+
+  // Accepts multipart (with a screenshot) as well as plain JSON
+  const { file, error } = await parseUpload(req, res);
+  if (error) {
+    return errorResponse(res, 400, error);
+  }
+
+  const { transaction_reference, payment_month, months, amount, paid_on, phone, note, coupon_code } = req.body;
+  const reference = (transaction_reference || '').trim();
+
+  if (!reference) {
+    return errorResponse(res, 400, 'The MoMo transaction reference is required');
+  }
+  if (reference.length > 100) {
+    return errorResponse(res, 400, 'Transaction reference is too long');
+  }
+
+  const hasAmount = amount !== undefined && amount !== null && amount !== '';
+  if (hasAmount && (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0)) {
+    return errorResponse(res, 400, 'Amount must be a positive number');
+  }
+  if (paid_on && isNaN(new Date(paid_on).getTime())) {
+    return errorResponse(res, 400, 'Invalid payment date');
+  }
+
+  const hasMonths = months !== undefined && months !== null && months !== '';
+  if (hasMonths && !parseMonthsCovered(months)) {
+    return errorResponse(res, 400, MONTHS_ERROR);
+  }
+
+  const normalizedMonth = getFirstDayOfMonth(payment_month);
+  const plan = await getUserPlan(userId);
+
+  const preparedPeriod = await preparePaymentPeriod(userId, normalizedMonth, hasMonths ? parseMonthsCovered(months) : undefined, plan);
+  if (preparedPeriod.error) {
+    return errorResponse(res, preparedPeriod.status, preparedPeriod.error);
+  }
+  const period = await applyPaymentCoupon(preparedPeriod, coupon_code, plan);
+  if (period.error) {
+    return errorResponse(res, period.status, period.error);
+  }
+  const { existingPayment } = period;
+
+  if (period.amount - (existingPayment ? parseFloat(existingPayment.amount_paid) : 0) <= 0) {
+    return errorResponse(res, 400, 'The coupon covers the whole amount. Please contact admin to record the payment');
+  }
+
+  if (existingPayment) {
+    const pendingClaim = await pool.query(
+      "SELECT id FROM payment_claims WHERE payment_id = $1 AND status = 'pending'",
+      [existingPayment.id]
+    );
+    if (pendingClaim.rows.length > 0) {
+      return errorResponse(res, 409, 'A payment claim for this month is already waiting for review');
+    }
+  }
+
+  // The same MoMo transaction can only be counted once
+  const referenceCheck = await pool.query(
+    `SELECT id FROM payment_claims WHERE LOWER(transaction_reference) = LOWER($1) AND status != 'rejected'
+     UNION ALL
+     SELECT id FROM user_payments WHERE LOWER(transaction_reference) = LOWER($1) AND status = 'paid'
+     UNION ALL
+     SELECT id FROM payment_installments WHERE LOWER(transaction_reference) = LOWER($1)`,
+    [reference]
+  );
+  if (referenceCheck.rows.length > 0) {
+    return errorResponse(res, 409, 'This transaction reference has already been submitted');
+  }
+
+  const claimedAmount = hasAmount
+    ? parseFloat(amount)
+    : period.amount - (existingPayment ? parseFloat(existingPayment.amount_paid) : 0);
+  const previousStatus = !existingPayment
+    ? 'unpaid'
+    : existingPayment.status === 'pending' ? await getStatusBeforePending(existingPayment.id) : existingPayment.status;
+
+  let screenshot = null;
+  if (file) {
+    const storage = getStorage();
+    screenshot = {
+      backend: storage.name,
+      key: await storage.save({ buffer: file.buffer, originalName: file.originalname, mimeType: file.mimetype })
+    };
+  }
+
+  const client = await pool.connect();
+  let payment;
+  let claim;
+
+  try {
+    await client.query('BEGIN');
+
+    const paymentResult = existingPayment
+      ? await client.query(
+        `UPDATE user_payments
+         SET status = 'pending', amount = $1, months_covered = $2, transaction_reference = $3, payment_method = COALESCE(payment_method, 'MOMO'),
+             discount_amount = $4, coupon_id = COALESCE($5, coupon_id), coupon_code = COALESCE($6, coupon_code)
+         WHERE id = $7
+         RETURNING *`,
+        [
+          period.amount,
+          period.months,
+          reference,
+          period.discount,
+          period.coupon ? period.coupon.id : null,
+          period.coupon ? period.coupon.code : null,
+          existingPayment.id
+        ]
+      )
+      : await client.query(
+        `INSERT INTO user_payments (user_id, amount, months_covered, payment_month, status, payment_method, transaction_reference, plan_id,
+                                    discount_amount, coupon_id, coupon_code)
+         VALUES ($1, $2, $3, $4, 'pending', 'MOMO', $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          userId,
+          period.amount,
+          period.months,
+          normalizedMonth,
+          reference,
+          plan ? plan.id : null,
+          period.discount,
+          period.coupon ? period.coupon.id : null,
+          period.coupon ? period.coupon.code : null
+        ]
+      );
+    payment = paymentResult.rows[0];
+
+    if (period.redeem && !(await redeemCoupon(client, period.coupon, payment, period.discount))) {
+      await client.query('ROLLBACK');
+      if (screenshot) {
+        await getStorage(screenshot.backend).remove(screenshot.key).catch(() => {});
+      }
+      return errorResponse(res, 409, COUPON_LIMIT_ERROR);
+    }
+
+    const claimResult = await client.query(
+      `INSERT INTO payment_claims (payment_id, user_id, transaction_reference, amount, paid_on, phone, note,
+                                   screenshot_name, screenshot_mime_type, screenshot_size_bytes, screenshot_storage_backend, screenshot_storage_key,
+                                   previous_payment_status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING *`,
+      [
+        payment.id,
+        userId,
+        reference,
+        claimedAmount,
+        paid_on || null,
+        phone || null,
+        note || null,
+        file ? file.originalname : null,
+        file ? file.mimetype : null,
+        file ? file.size : null,
+        screenshot ? screenshot.backend : null,
+        screenshot ? screenshot.key : null,
+        previousStatus
+      ]
+    );
+    claim = claimResult.rows[0];
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // Don't leave an orphaned screenshot behind
+    if (screenshot) {
+      await getStorage(screenshot.backend).remove(screenshot.key).catch(() => {});
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await recordAudit(req, {
+    action: existingPayment ? 'update' : 'create',
+    entityType: 'payment',
+    entityId: payment.id,
+    before: existingPayment || null,
+    after: payment
+  });
+
+  successResponse(res, 201, {
+    payment,
+    claim: formatPaymentClaim(claim)
+  }, 'Payment claim submitted. An admin will confirm it shortly');
+}));
+
+// @route   GET /api/payments/claims
+// @desc    Admin: review queue (?status=pending by default, ?status=all, ?user_id=); users: their own claims
+// @access  Private (also allowed while the subscription has lapsed)
+router.get('/claims', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const isAdminUser = req.user.role === 'admin';
+  const status = req.query.status || (isAdminUser ? 'pending' : 'all');
+
+  if (status !== 'all' && !CLAIM_STATUSES.includes(status)) {
+    return errorResponse(res, 400, `Status must be one of: ${CLAIM_STATUSES.join(', ')}, all`);
+  }
+
+  let query = `
+    SELECT pc.*, up.payment_month, up.status AS payment_status, u.username, u.email, u.phone AS user_phone
+    FROM payment_claims pc
+    JOIN user_payments up ON pc.payment_id = up.id
+    JOIN users u ON pc.user_id = u.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (!isAdminUser) {
+    params.push(req.user.id);
+    query += ` AND pc.user_id = $${params.length}`;
+  } else if (req.query.user_id) {
+    params.push(req.query.user_id);
+    query += ` AND pc.user_id = $${params.length}`;
+  }
+
+  if (status !== 'all') {
+    params.push(status);
+    query += ` AND pc.status = $${params.length}`;
+  }
+
+  // Oldest first for the review queue
+  query += status === 'pending' ? ' ORDER BY pc.created_at ASC' : ' ORDER BY pc.created_at DESC';
+
+  const result = await pool.query(query, params);
+
+  successResponse(res, 200, {
+    claims: result.rows.map(formatPaymentClaim),
+    count: result.rows.length
+  }, 'Payment claims retrieved successfully');
+}));
+
+// @route   GET /api/payments/claims/:id
+// @desc    Get a payment claim
+// @access  Private (claimant or admin)
+router.get('/claims/:id', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const claim = await getAuthorizedClaim(req.params.id, req.user);
+  if (!claim) {
+    return errorResponse(res, 404, 'Payment claim not found');
+  }
+
+  successResponse(res, 200, {
+    claim: formatPaymentClaim(claim)
+  }, 'Payment claim retrieved successfully');
+}));
+
+// @route   GET /api/payments/claims/:id/screenshot
+// @desc    Download the screenshot attached to a payment claim
+// @access  Private (claimant or admin)
+router.get('/claims/:id/screenshot', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const claim = await getAuthorizedClaim(req.params.id, req.user);
+  if (!claim || !claim.screenshot_storage_key) {
+    return errorResponse(res, 404, 'Screenshot not found');
+  }
+
+  let content;
+  try {
+    content = await getStorage(claim.screenshot_storage_backend).read(claim.screenshot_storage_key);
+  } catch (readError) {
+    console.error(`Failed to read payment claim screenshot ${claim.id}:`, readError);
+    return errorResponse(res, 404, 'Screenshot file not found');
+  }
+
+  const filename = claim.screenshot_name.replace(/["\\\r\n]/g, '_');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.setHeader('Content-Type', claim.screenshot_mime_type);
+  res.setHeader('Content-Length', content.length);
+  res.send(content);
+}));
+
+// @route   POST /api/payments/claims/:id/approve
+// @desc    Approve a payment claim: its amount is added to the payment, which becomes paid (or partial while some is
+//          still owed). Optional `amount` corrects the amount actually received
+// @access  Private (Admin)
+router.post('/claims/:id/approve', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const { amount } = req.body;
+
+  if (amount !== undefined && amount !== null && (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0)) {
+    return errorResponse(res, 400, 'Amount must be a positive number');
+  }
+
+  const result = await reviewPaymentClaim(req, req.params.id, 'approved', (client, claim, payment) => (
+    addInstallment(client, payment, {
+      amount: amount ? parseFloat(amount) : parseFloat(claim.amount),
+      paymentMethod: payment.payment_method || 'MOMO',
+      transactionReference: claim.transaction_reference,
+      source: 'claim',
+      recordedBy: req.user.id
+    })
+  ));
+
+  if (result.error) {
+    return errorResponse(res, result.status, result.error);
+  }
+
+  successResponse(res, 200, result, 'Payment claim approved');
+}));
+
+// @route   POST /api/payments/claims/:id/reject
+// @desc    Reject a payment claim (a reason is required and emailed to the user)
+// @access  Private (Admin)
+router.post('/claims/:id/reject', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const reason = (req.body.reason || '').trim();
+
+  if (!reason) {
+    return errorResponse(res, 400, 'A reason is required to reject a claim');
+  }
+
+  const result = await reviewPaymentClaim(req, req.params.id, 'rejected', (client, claim, payment) => (
+    restorePaymentStatus(client, payment, claim.previous_payment_status)
+  ), reason);
+
+  if (result.error) {
+    return errorResponse(res, result.status, result.error);
+  }
+
+  successResponse(res, 200, result, 'Payment claim rejected');
+}));
+
+// @route   GET /api/payments/:id/receipt
+// @desc    Download the PDF receipt of a paid payment
+// @access  Private (owner or Admin; blocked users too)
+router.get('/:id/receipt', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT up.*, u.username, u.email, u.phone
+     FROM user_payments up
+     JOIN users u ON up.user_id = u.id
+     WHERE up.id = $1`,
+    [req.params.id]
+  );
+
+  if (result.rows.length === 0) {
+    return errorResponse(res, 404, 'Payment not found');
+  }
+
+  if (req.user.role !== 'admin' && result.rows[0].user_id !== req.user.id) {
+    return errorResponse(res, 403, 'Access denied');
+  }
+
+  if (result.rows[0].status !== 'paid') {
+    return errorResponse(res, 400, 'A receipt is only available for paid payments');
+  }
+
+  // Payments marked paid before receipts existed get their number on first download
+  const payment = await issueReceipt(result.rows[0]);
+  const pdf = await generateReceiptPdf(payment, payment);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${getReceiptFilename(payment)}"`);
+  res.send(pdf);
+}));
+
+// @route   GET /api/payments/adjustments
+// @desc    Ledger of refunds, credits, corrections and reversals (Admin: all, filter by ?user_id=; users: their own)
+//          Filters: ?type=, ?payment_id=, ?start_date=, ?end_date=
+// @access  Private (also allowed while the subscription has lapsed)
+router.get('/adjustments', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const { user_id, payment_id, type, start_date, end_date } = req.query;
+
+  if (type && !ADJUSTMENT_TYPES.includes(type)) {
+    return errorResponse(res, 400, `Type must be one of: ${ADJUSTMENT_TYPES.join(', ')}`);
+  }
+
+  const adjustments = await getPaymentAdjustments({
+    userId: req.user.role === 'admin' ? user_id : req.user.id,
+    paymentId: payment_id,
+    type,
+    startDate: start_date,
+    endDate: end_date
+  });
+
+  successResponse(res, 200, {
+    adjustments
+  }, 'Payment adjustments retrieved successfully');
 }));
 
 // @route   GET /api/payments/:id
-// @desc    Get single payment by ID
+// @desc    Get single payment by ID (with its installments, adjustments and mobile money requests)
 // @access  Private
-router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+router.get('/:id', authenticateUnpaid, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const userId = req.user.id;
   const role = req.user.role;
@@ -158,31 +1301,63 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
     return errorResponse(res, 403, 'Access denied');
   }
 
+  const installments = await pool.query(
+    'SELECT * FROM payment_installments WHERE payment_id = $1 ORDER BY paid_at ASC, id ASC',
+    [id]
+  );
+
+  const adjustments = await getPaymentAdjustments({ paymentId: id });
+
+  const paymentRequests = await pool.query(
+    `SELECT id, provider, provider_reference, phone, amount, currency, status, failure_reason, created_at, completed_at
+     FROM payment_requests
+     WHERE payment_id = $1
+     ORDER BY created_at ASC, id ASC`,
+    [id]
+  );
+
   successResponse(res, 200, {
-    payment
+    payment,
+    installments: installments.rows,
+    adjustments,
+    payment_requests: paymentRequests.rows
   }, 'Payment retrieved successfully');
 }));
 
 // @route   POST /api/payments
-// @desc    Create new payment record (Admin only)
+// @desc    Create new payment record (Admin only); `months` covers several months at once (prepaid),
+//          amount defaults to the user's plan price for those months, `amount_paid` records a partial payment,
+//          `coupon_code` takes a coupon's discount off the amount
 // @access  Private (Admin)
 router.post('/', authenticate, isAdmin, asyncHandler(async (req, res) => {
-  const { user_id, amount, payment_month, status, payment_method } = req.body;
+  const { user_id, amount, amount_paid, months, payment_month, status, payment_method, coupon_code } = req.body;
+
+  if (!user_id || !payment_month) {
+    return errorResponse(res, 400, 'User ID and payment month are required');
+  }
+
+  const hasAmount = amount !== undefined && amount !== null && amount !== '';
+  if (hasAmount && (isNaN(parseFloat(amount)) || parseFloat(amount) < 0)) {
+    return errorResponse(res, 400, 'Amount must be a positive number');
+  }
+
+  const hasAmountPaid = amount_paid !== undefined && amount_paid !== null && amount_paid !== '';
+  if (hasAmountPaid && (isNaN(parseFloat(amount_paid)) || parseFloat(amount_paid) < 0)) {
+    return errorResponse(res, 400, 'Amount paid must be a positive number');
+  }
+
+  const hasMonths = months !== undefined && months !== null && months !== '';
+  if (hasMonths && !parseMonthsCovered(months)) {
+    return errorResponse(res, 400, MONTHS_ERROR);
+  }
 
-  if (!user_id || !amount || !payment_month) {
-    return errorResponse(res, 400, 'User ID, amount, and payment month are required');
+  if (status && !ADMIN_PAYMENT_STATUSES.includes(status)) {
+    return errorResponse(res, 400, `Status must be one of: ${ADMIN_PAYMENT_STATUSES.join(', ')}`);
   }
 
   // Ensure payment_month is first day of month
   const normalizedMonth = getFirstDayOfMonth(payment_month);
 
-  // Check if payment already exists for this user and month (using unique constraint)
-  const existingCheck = await pool.query(
-    `SELECT * FROM user_payments 
-     WHERE user_id = $1 AND payment_month = $2`,
-    [user_id, normalizedMonth]
-  );
-
   // Validate user exists and is not admin
   const userCheck = await pool.query('SELECT id, role, email, username FROM users WHERE id = $1', [user_id]);
   if (userCheck.rows.length === 0) {
@@ -192,95 +1367,345 @@ router.post('/', authenticate, isAdmin, asyncHandler(async (req, res) => {
     return errorResponse(res, 400, 'Cannot create payment records for admin users');
   }
 
+  // A record starting this month is updated; a month inside a prepaid record can't get its own
+  const existingPayment = await findPaymentForMonth(user_id, normalizedMonth);
+  if (existingPayment && toMonthKey(existingPayment.payment_month) !== toMonthKey(normalizedMonth)) {
+    return errorResponse(res, 400, `This month is part of the payment starting ${formatMonthLabel(existingPayment.payment_month)}`);
+  }
+
+  const monthsCovered = hasMonths ? parseMonthsCovered(months) : (existingPayment ? existingPayment.months_covered : 1);
+  if (!existingPayment || monthsCovered !== existingPayment.months_covered) {
+    const overlap = await findOverlappingPayment(user_id, normalizedMonth, monthsCovered, existingPayment ? existingPayment.id : null);
+    if (overlap) {
+      return errorResponse(res, 409, `${formatMonthLabel(overlap.payment_month)} already has its own payment record`);
+    }
+  }
+
+  const plan = await getUserPlan(user_id);
+  const planPrice = getPlanPrice(plan);
+
+  let coupon = null;
+  if (coupon_code) {
+    if (existingPayment && existingPayment.coupon_code) {
+      return errorResponse(res, 400, `Coupon ${existingPayment.coupon_code} has already been applied to this payment`);
+    }
+    const resolved = await resolveCoupon(coupon_code, plan);
+    if (resolved.error) {
+      return errorResponse(res, resolved.status, resolved.error);
+    }
+    coupon = resolved.coupon;
+  } else if (existingPayment && existingPayment.coupon_id && (hasAmount || hasMonths)) {
+    // A new amount or period gets the discount of the coupon already on the record
+    coupon = await getCouponById(existingPayment.coupon_id);
+  }
+
+  // `amount` is the price before any coupon
+  let paymentAmount;
+  let discountAmount;
+  if (existingPayment && !hasAmount && !hasMonths && !coupon) {
+    paymentAmount = parseFloat(existingPayment.amount);
+    discountAmount = parseFloat(existingPayment.discount_amount);
+  } else {
+    const fullAmount = hasAmount ? parseFloat(amount) : planPrice * monthsCovered;
+    discountAmount = coupon ? computeDiscount(coupon, fullAmount) : 0;
+    paymentAmount = fullAmount - discountAmount;
+  }
+
+  if (existingPayment && existingPayment.status === 'pending' && (status || hasAmountPaid)) {
+    return errorResponse(res, 409, PENDING_PAYMENT_ERROR);
+  }
+  if (existingPayment && isSettledThroughLedger(existingPayment) && (status || hasAmountPaid)) {
+    return errorResponse(res, 400, settledPaymentError(existingPayment));
+  }
+
+  // Money received is taken back through the ledger, not overwritten
+  const receivedBefore = existingPayment ? parseFloat(existingPayment.amount_paid) : 0;
+  if (receivedBefore > 0 &&
+      ((status && status !== 'paid') || (hasAmountPaid && parseFloat(amount_paid) < receivedBefore))) {
+    return errorResponse(res, 400, 'This payment has money received. Refund or reverse it instead');
+  }
+  if (paymentAmount < receivedBefore) {
+    return errorResponse(res, 400, `The amount cannot be less than the ${formatRwf(receivedBefore)} already received. Refund or correct the payment instead`);
+  }
+
+  // Paid means the whole amount was received; otherwise the amount received so far decides the status
+  let newStatus = status || (existingPayment ? existingPayment.status : 'unpaid');
+  let amountPaid = existingPayment ? parseFloat(existingPayment.amount_paid) : 0;
+  if (status === 'paid') {
+    amountPaid = paymentAmount;
+  } else if (status === 'unpaid') {
+    amountPaid = 0;
+  } else if (hasAmountPaid) {
+    amountPaid = parseFloat(amount_paid);
+    if (!status) {
+      newStatus = amountPaid >= paymentAmount ? 'paid' : amountPaid > 0 ? 'partial' : 'unpaid';
+    }
+  }
+
   const defaultMethod = 'MOMO';
-  const paidAt = status === 'paid' ? new Date() : null;
 
+  // Decide new paid_at based on status transition
+  let newPaidAt = existingPayment ? existingPayment.paid_at : null;
+  if (newStatus === 'paid' && (!existingPayment || existingPayment.status !== 'paid')) {
+    newPaidAt = new Date();
+  } else if (newStatus !== 'paid') {
+    newPaidAt = null;
+  }
+
+  const couponId = coupon ? coupon.id : (existingPayment ? existingPayment.coupon_id : null);
+  const couponCode = coupon ? coupon.code : (existingPayment ? existingPayment.coupon_code : null);
+
+  const client = await pool.connect();
   let result;
 
-  if (existingCheck.rows.length > 0) {
+  try {
+    await client.query('BEGIN');
+
     // If a record already exists for this month, update it instead of failing
-    const existingPayment = existingCheck.rows[0];
-
-    // Decide new paid_at based on status transition
-    let newPaidAt = existingPayment.paid_at;
-    if (status === 'paid') {
-      newPaidAt = new Date();
-    } else if (status === 'unpaid') {
-      newPaidAt = null;
-    }
-
-    result = await pool.query(
-      `UPDATE user_payments
-       SET amount = $1,
-           status = $2,
-           payment_method = $3,
-           paid_at = $4
-       WHERE id = $5
-       RETURNING *`,
-      [
-        parseFloat(amount),
-        status || existingPayment.status || 'unpaid',
-        payment_method || existingPayment.payment_method || defaultMethod,
-        newPaidAt,
-        existingPayment.id
-      ]
-    );
+    result = existingPayment
+      ? await client.query(
+        `UPDATE user_payments
+         SET amount = $1,
+             months_covered = $2,
+             amount_paid = $3,
+             status = $4,
+             payment_method = $5,
+             paid_at = $6,
+             discount_amount = $7,
+             coupon_id = $8,
+             coupon_code = $9
+         WHERE id = $10
+         RETURNING *`,
+        [
+          paymentAmount,
+          monthsCovered,
+          amountPaid,
+          newStatus,
+          payment_method || existingPayment.payment_method || defaultMethod,
+          newPaidAt,
+          discountAmount,
+          couponId,
+          couponCode,
+          existingPayment.id
+        ]
+      )
+      : await client.query(
+        `INSERT INTO user_payments (user_id, amount, months_covered, amount_paid, payment_month, status, payment_method, paid_at, plan_id,
+                                    discount_amount, coupon_id, coupon_code)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING *`,
+        [
+          user_id,
+          paymentAmount,
+          monthsCovered,
+          amountPaid,
+          normalizedMonth,
+          newStatus,
+          payment_method || defaultMethod,
+          newPaidAt,
+          plan ? plan.id : null,
+          discountAmount,
+          couponId,
+          couponCode
+        ]
+      );
+
+    if (coupon_code && !(await redeemCoupon(client, coupon, result.rows[0], discountAmount))) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 409, COUPON_LIMIT_ERROR);
+    }
+
+    // Money recorded here is an installment too
+    if (amountPaid > receivedBefore) {
+      await recordInstallment(client, result.rows[0], {
+        amount: amountPaid - receivedBefore,
+        paymentMethod: result.rows[0].payment_method,
+        source: 'admin',
+        paidAt: newPaidAt || new Date(),
+        recordedBy: req.user.id
+      });
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (existingPayment) {
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'payment',
+      entityId: existingPayment.id,
+      before: existingPayment,
+      after: result.rows[0]
+    });
+
+    const updatedPayment = await issueReceipt(result.rows[0]);
 
     // Send email notification on status change
-    if (status && status !== existingPayment.status) {
-      try {
-        await sendPaymentStatusUpdateEmail(userCheck.rows[0].email, userCheck.rows[0].username, {
-          status,
-          paymentMonth: normalizedMonth,
-          amount: parseFloat(amount),
-          paymentMethod: payment_method || existingPayment.payment_method || defaultMethod,
-          paidAt: result.rows[0].paid_at
-        });
-      } catch (e) {
-        console.error('Failed to send payment status update email:', e);
-      }
+    if (newStatus !== existingPayment.status) {
+      await notifyPaymentStatus(updatedPayment);
     }
 
     return successResponse(res, 200, {
-      payment: result.rows[0]
+      payment: updatedPayment
     }, 'Payment updated successfully');
   }
 
-  // No existing payment for this month – create a new one
-  result = await pool.query(
-    `INSERT INTO user_payments (user_id, amount, payment_month, status, payment_method, paid_at)
-     VALUES ($1, $2, $3, $4, $5, $6)
-     RETURNING *`,
-    [
-      user_id,
-      parseFloat(amount),
-      normalizedMonth,
-      status || 'unpaid',
-      payment_method || defaultMethod,
-      paidAt
-    ]
-  );
+  await recordAudit(req, {
+    action: 'create',
+    entityType: 'payment',
+    entityId: result.rows[0].id,
+    after: result.rows[0]
+  });
+
+  const payment = await issueReceipt(result.rows[0]);
 
   // Send email notification if status is explicitly provided (or paid)
-  if (status) {
-    try {
-      await sendPaymentStatusUpdateEmail(userCheck.rows[0].email, userCheck.rows[0].username, {
-        status,
-        paymentMonth: normalizedMonth,
-        amount: parseFloat(amount),
-        paymentMethod: payment_method || defaultMethod,
-        paidAt: result.rows[0].paid_at
-      });
-    } catch (e) {
-      console.error('Failed to send payment status update email:', e);
-    }
+  if (status || hasAmountPaid) {
+    await notifyPaymentStatus(payment);
   }
 
   successResponse(res, 201, {
-    payment: result.rows[0]
+    payment
   }, 'Payment created successfully');
 }));
 
+// @route   POST /api/payments/:id/installments
+// @desc    Record part of a payment received outside the app (Admin only); the payment becomes paid once its parts
+//          add up to its amount
+// @access  Private (Admin)
+router.post('/:id/installments', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const { amount, payment_method, transaction_reference, paid_at } = req.body;
+
+  if (amount === undefined || amount === null || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+    return errorResponse(res, 400, 'Amount must be a positive number');
+  }
+  if (paid_at && isNaN(new Date(paid_at).getTime())) {
+    return errorResponse(res, 400, 'Invalid payment date');
+  }
+
+  const client = await pool.connect();
+  let before;
+  let after;
+
+  try {
+    await client.query('BEGIN');
+
+    const paymentResult = await client.query('SELECT * FROM user_payments WHERE id = $1 FOR UPDATE', [req.params.id]);
+    before = paymentResult.rows[0];
+
+    if (!before) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 404, 'Payment not found');
+    }
+    if (before.status === 'paid') {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 400, 'This payment is already paid');
+    }
+    if (before.status === 'pending') {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 409, PENDING_PAYMENT_ERROR);
+    }
+
+    after = await addInstallment(client, before, {
+      amount: parseFloat(amount),
+      paymentMethod: payment_method || before.payment_method || 'MOMO',
+      transactionReference: transaction_reference,
+      source: 'admin',
+      paidAt: paid_at ? new Date(paid_at) : null,
+      recordedBy: req.user.id
+    });
+    if (after.error) {
+      await client.query('ROLLBACK');
+      return errorResponse(res, 400, after.error);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'payment',
+    entityId: after.id,
+    before,
+    after
+  });
+
+  const payment = await issueReceipt(after);
+  await notifyPaymentStatus(payment);
+
+  successResponse(res, 201, {
+    payment,
+    amount_remaining: getAmountRemaining(payment)
+  }, payment.status === 'paid' ? 'Payment completed' : 'Partial payment recorded');
+}));
+
+// @route   POST /api/payments/:id/adjustments
+// @desc    Add a refund, credit or correction to a payment's ledger (Admin only); a reason is required
+// @access  Private (Admin)
+router.post('/:id/adjustments', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const { type, amount, days, transaction_reference } = req.body;
+  const reason = (req.body.reason || '').trim();
+
+  if (!['refund', 'credit', 'correction'].includes(type)) {
+    return errorResponse(res, 400, 'Type must be one of: refund, credit, correction (use /reverse to reverse a payment)');
+  }
+  if (!reason) {
+    return errorResponse(res, 400, 'A reason is required');
+  }
+
+  const hasAmount = amount !== undefined && amount !== null && amount !== '';
+  if (hasAmount && isNaN(parseFloat(amount))) {
+    return errorResponse(res, 400, 'Amount must be a number');
+  }
+  const hasDays = days !== undefined && days !== null && days !== '';
+  if (hasDays && !Number.isInteger(Number(days))) {
+    return errorResponse(res, 400, 'Days must be a whole number');
+  }
+
+  const result = await adjustPayment(req, req.params.id, {
+    type,
+    amount: hasAmount ? parseFloat(amount) : undefined,
+    days: hasDays ? Number(days) : undefined,
+    reason,
+    transactionReference: transaction_reference
+  });
+
+  if (result.error) {
+    return errorResponse(res, result.status, result.error);
+  }
+
+  successResponse(res, 201, result, 'Payment adjustment recorded');
+}));
+
+// @route   POST /api/payments/:id/reverse
+// @desc    Reverse a payment (Admin only): the money and days it gave are taken back and it stays in the ledger as reversed
+// @access  Private (Admin)
+router.post('/:id/reverse', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const reason = (req.body.reason || '').trim();
+
+  if (!reason) {
+    return errorResponse(res, 400, 'A reason is required to reverse a payment');
+  }
+
+  const result = await adjustPayment(req, req.params.id, { type: 'reversal', reason });
+
+  if (result.error) {
+    return errorResponse(res, result.status, result.error);
+  }
+
+  successResponse(res, 200, result, 'Payment reversed');
+}));
+
 // @route   PUT /api/payments/:id
 // @desc    Update payment status (Admin only)
 // @access  Private (Admin)
@@ -298,18 +1723,33 @@ router.put('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
     return errorResponse(res, 404, 'Payment not found');
   }
 
-  // Validate status if provided
-  if (status !== undefined && status !== null && !['paid', 'unpaid', 'late'].includes(status)) {
+  // Validate status if provided (partial payments are recorded as installments)
+  if (status !== undefined && status !== null && !ADMIN_PAYMENT_STATUSES.includes(status)) {
     return errorResponse(res, 400, 'Valid status (paid, unpaid, or late) is required');
   }
 
+  if (status && currentPayment.rows[0].status === 'pending') {
+    return errorResponse(res, 409, PENDING_PAYMENT_ERROR);
+  }
+  if (status && isSettledThroughLedger(currentPayment.rows[0])) {
+    return errorResponse(res, 400, settledPaymentError(currentPayment.rows[0]));
+  }
+
+  // Money received is taken back through the ledger, not overwritten
+  if (status && status !== 'paid' && parseFloat(currentPayment.rows[0].amount_paid) > 0) {
+    return errorResponse(res, 400, `This payment has money received, so it can't be marked ${status}. Refund or reverse it instead`);
+  }
+
+  // Marking a payment paid records what was still due as an installment (which makes it paid)
+  const amountDue = status === 'paid' && currentPayment.rows[0].status !== 'paid' ? getAmountRemaining(currentPayment.rows[0]) : 0;
+
   // Prepare update values
   const updateFields = [];
   const updateValues = [];
   let paramIndex = 1;
   const defaultMethod = 'MOMO';
 
-  if (status !== undefined && status !== null) {
+  if (status !== undefined && status !== null && amountDue === 0) {
     updateFields.push(`status = $${paramIndex}`);
     updateValues.push(status);
     paramIndex++;
@@ -329,13 +1769,10 @@ router.put('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
 
   if (payment_month) {
     const normalizedMonth = getFirstDayOfMonth(payment_month);
-    // Check for duplicate if changing month
-    if (normalizedMonth !== currentPayment.rows[0].payment_month) {
-      const duplicateCheck = await pool.query(
-        'SELECT id FROM user_payments WHERE user_id = $1 AND payment_month = $2 AND id != $3',
-        [currentPayment.rows[0].user_id, normalizedMonth, id]
-      );
-      if (duplicateCheck.rows.length > 0) {
+    // Check for duplicate if changing month (including months covered by prepaid records)
+    if (toMonthKey(normalizedMonth) !== toMonthKey(currentPayment.rows[0].payment_month)) {
+      const overlap = await findOverlappingPayment(currentPayment.rows[0].user_id, normalizedMonth, currentPayment.rows[0].months_covered, currentPayment.rows[0].id);
+      if (overlap) {
         return errorResponse(res, 400, 'Payment already exists for this month');
       }
     }
@@ -344,11 +1781,18 @@ router.put('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
     paramIndex++;
   }
 
-  // Handle paid_at timestamp
+  // Unpaid means nothing was received
+  if (status === 'unpaid') {
+    updateFields.push('amount_paid = 0');
+  }
+
+  // Handle paid_at timestamp (the installment sets it when something was still due)
   if (status === 'paid' && currentPayment.rows[0].status !== 'paid') {
-    updateFields.push(`paid_at = $${paramIndex}`);
-    updateValues.push(new Date());
-    paramIndex++;
+    if (amountDue === 0) {
+      updateFields.push(`paid_at = $${paramIndex}`);
+      updateValues.push(new Date());
+      paramIndex++;
+    }
     // Ensure a default payment method exists when marking paid (if not already set above)
     if (payment_method === undefined && !currentPayment.rows[0].payment_method) {
       // Check if we already added payment_method above
@@ -365,55 +1809,119 @@ router.put('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
     paramIndex++;
   }
 
-  if (updateFields.length === 0) {
+  if (updateFields.length === 0 && amountDue === 0) {
     return errorResponse(res, 400, 'No fields to update');
   }
 
-  updateValues.push(id);
-  const result = await pool.query(
-    `UPDATE user_payments 
-     SET ${updateFields.join(', ')}
-     WHERE id = $${paramIndex}
-     RETURNING *`,
-    updateValues
-  );
+  const client = await pool.connect();
+  let updated;
+
+  try {
+    await client.query('BEGIN');
+
+    updateValues.push(id);
+    const result = updateFields.length > 0
+      ? await client.query(
+        `UPDATE user_payments 
+         SET ${updateFields.join(', ')}
+         WHERE id = $${paramIndex}
+         RETURNING *`,
+        updateValues
+      )
+      : await client.query('SELECT * FROM user_payments WHERE id = $1 FOR UPDATE', [id]);
+    updated = result.rows[0];
+
+    if (amountDue > 0 && getAmountRemaining(updated) > 0) {
+      updated = await addInstallment(client, updated, {
+        amount: getAmountRemaining(updated),
+        paymentMethod: updated.payment_method,
+        source: 'admin',
+        recordedBy: req.user.id
+      });
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'payment',
+    entityId: updated.id,
+    before: currentPayment.rows[0],
+    after: updated
+  });
+
+  const payment = await issueReceipt(updated);
 
   // Email user when status changes
   if (status !== undefined && status !== null && status !== currentPayment.rows[0].status) {
-    try {
-      const ures = await pool.query('SELECT email, username FROM users WHERE id = $1', [currentPayment.rows[0].user_id]);
-      if (ures.rows.length > 0) {
-        await sendPaymentStatusUpdateEmail(ures.rows[0].email, ures.rows[0].username, {
-          status,
-          paymentMonth: result.rows[0].payment_month,
-          amount: result.rows[0].amount,
-          paymentMethod: result.rows[0].payment_method || defaultMethod,
-          paidAt: result.rows[0].paid_at
-        });
-      }
-    } catch (e) {
-      console.error('Failed to send payment status update email:', e);
-    }
+    await notifyPaymentStatus(payment);
   }
 
   successResponse(res, 200, {
-    payment: result.rows[0]
+    payment
   }, 'Payment updated successfully');
 }));
 
 // @route   DELETE /api/payments/:id
-// @desc    Delete payment (Admin only)
+// @desc    Delete payment (Admin only); payments with money received are reversed instead (`reason` required)
+//          and payments with ledger history are kept
 // @access  Private (Admin)
 router.delete('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  const check = await pool.query('SELECT id FROM user_payments WHERE id = $1', [id]);
+  const check = await pool.query('SELECT * FROM user_payments WHERE id = $1', [id]);
 
   if (check.rows.length === 0) {
     return errorResponse(res, 404, 'Payment not found');
   }
 
+  if (parseFloat(check.rows[0].amount_paid) > 0) {
+    const reason = ((req.body && req.body.reason) || req.query.reason || '').trim();
+    if (!reason) {
+      return errorResponse(res, 400, 'This payment has money received, so it is reversed instead of deleted. A reason is required');
+    }
+
+    const result = await adjustPayment(req, id, { type: 'reversal', reason });
+    if (result.error) {
+      return errorResponse(res, result.status, result.error);
+    }
+
+    return successResponse(res, 200, result, 'Payment reversed instead of deleted');
+  }
+
+  const history = await pool.query(
+    `SELECT id FROM payment_adjustments WHERE payment_id = $1
+     UNION ALL
+     SELECT id FROM payment_installments WHERE payment_id = $1`,
+    [id]
+  );
+  if (history.rows.length > 0) {
+    return errorResponse(res, 400, 'This payment has ledger history and cannot be deleted');
+  }
+
+  // Claim screenshots go with the payment (claims themselves are removed by ON DELETE CASCADE)
+  const screenshots = await pool.query(
+    `SELECT screenshot_storage_backend AS storage_backend, screenshot_storage_key AS storage_key
+     FROM payment_claims
+     WHERE payment_id = $1 AND screenshot_storage_key IS NOT NULL`,
+    [id]
+  );
+
   await pool.query('DELETE FROM user_payments WHERE id = $1', [id]);
+  await removeAttachmentFiles(screenshots.rows);
+
+  await recordAudit(req, {
+    action: 'delete',
+    entityType: 'payment',
+    entityId: check.rows[0].id,
+    before: check.rows[0]
+  });
 
   successResponse(res, 200, {}, 'Payment deleted successfully');
 }));
@@ -422,172 +1930,15 @@ router.delete('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
 // @desc    Check payments and send reminders (Admin only, can be called by cron)
 // @access  Private (Admin)
 router.post('/check-and-remind', authenticate, isAdmin, asyncHandler(async (req, res) => {
-  const oneMonthAgo = new Date();
-  oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
-  oneMonthAgo.setHours(0, 0, 0, 0);
-
-  // Get all approved non-admin users
-  const users = await pool.query(
-    `SELECT id, email, username, approve_user
-     FROM users
-     WHERE approve_user = true AND role != 'admin'
-     ORDER BY id`
-  );
-
-  let remindersSent = 0;
-  let paymentsCreated = 0;
-  let paymentsUpdated = 0;
-
-  const currentMonth = new Date();
-  currentMonth.setDate(1);
-  currentMonth.setHours(0, 0, 0, 0);
-  const currentMonthStr = currentMonth.toISOString().split('T')[0];
-
-  for (const user of users.rows) {
-    // Check if user has a paid payment within the last month
-    const recentPaidPayment = await pool.query(
-      `SELECT id, payment_month, paid_at, status
-       FROM user_payments 
-       WHERE user_id = $1 
-         AND status = 'paid' 
-         AND paid_at IS NOT NULL
-         AND paid_at >= $2
-       ORDER BY paid_at DESC 
-       LIMIT 1`,
-      [user.id, oneMonthAgo]
-    );
-
-    // Check for existing payment record for current month
-    const existingCurrentPayment = await pool.query(
-      `SELECT id, status, paid_at
-       FROM user_payments 
-       WHERE user_id = $1 AND payment_month = $2`,
-      [user.id, currentMonthStr]
-    );
-
-    let needsReminder = false;
-
-    if (recentPaidPayment.rows.length === 0) {
-      // User has no recent paid payment - needs reminder
-      needsReminder = true;
-
-      if (existingCurrentPayment.rows.length > 0) {
-        // Payment record exists for current month
-        const payment = existingCurrentPayment.rows[0];
-        
-        // If it was marked as paid but paid_at is more than a month ago, reset to unpaid
-        if (payment.status === 'paid' && payment.paid_at) {
-          const paidDate = new Date(payment.paid_at);
-          if (paidDate < oneMonthAgo) {
-            await pool.query(
-              `UPDATE user_payments 
-               SET status = 'unpaid', paid_at = NULL
-               WHERE id = $1`,
-              [payment.id]
-            );
-            paymentsUpdated++;
-          }
-        } else if (payment.status === 'unpaid') {
-          // Already unpaid, just needs reminder
-        }
-      } else {
-        // Create new payment record for current month
-        try {
-          await pool.query(
-            `INSERT INTO user_payments (user_id, amount, payment_month, status)
-             VALUES ($1, 15000, $2, 'unpaid')`,
-            [user.id, currentMonthStr]
-          );
-          paymentsCreated++;
-        } catch (error) {
-          // Ignore unique constraint violations (payment already exists)
-          if (!error.message.includes('unique_user_month')) {
-            console.error(`Error creating payment for user ${user.id}:`, error);
-          }
-        }
-      }
-    } else {
-      // User has recent paid payment - check if it's for current month
-      const lastPaid = recentPaidPayment.rows[0];
-      const lastPaidMonth = new Date(lastPaid.payment_month);
-      lastPaidMonth.setDate(1);
-      lastPaidMonth.setHours(0, 0, 0, 0);
-      const lastPaidMonthStr = lastPaidMonth.toISOString().split('T')[0];
-
-      // If last paid payment is not for current month, create/update current month record as unpaid
-      if (lastPaidMonthStr !== currentMonthStr) {
-        if (existingCurrentPayment.rows.length > 0) {
-          // Always mark as unpaid if it's not for current month or if paid_at is old
-          const currentPayment = existingCurrentPayment.rows[0];
-          if (currentPayment.status === 'paid') {
-            const paidDate = currentPayment.paid_at ? new Date(currentPayment.paid_at) : null;
-            if (!paidDate || paidDate < oneMonthAgo) {
-              await pool.query(
-                `UPDATE user_payments 
-                 SET status = 'unpaid', paid_at = NULL
-                 WHERE id = $1`,
-                [currentPayment.id]
-              );
-              paymentsUpdated++;
-              needsReminder = true;
-            }
-          } else if (currentPayment.status === 'unpaid') {
-            needsReminder = true;
-          }
-        } else {
-          // Create new unpaid record for current month
-          try {
-            await pool.query(
-              `INSERT INTO user_payments (user_id, amount, payment_month, status)
-               VALUES ($1, 15000, $2, 'unpaid')`,
-              [user.id, currentMonthStr]
-            );
-            paymentsCreated++;
-            needsReminder = true;
-          } catch (error) {
-            if (!error.message.includes('unique_user_month')) {
-              console.error(`Error creating payment for user ${user.id}:`, error);
-            }
-          }
-        }
-      } else {
-        // Last paid payment is for current month, but check if paid_at is still valid
-        if (lastPaid.paid_at) {
-          const paidDate = new Date(lastPaid.paid_at);
-          if (paidDate < oneMonthAgo) {
-            // Payment was made more than a month ago, mark as unpaid
-            if (existingCurrentPayment.rows.length > 0) {
-              await pool.query(
-                `UPDATE user_payments 
-                 SET status = 'unpaid', paid_at = NULL
-                 WHERE id = $1`,
-                [existingCurrentPayment.rows[0].id]
-              );
-              paymentsUpdated++;
-              needsReminder = true;
-            }
-          }
-        }
-      }
-    }
-
-    // Send reminder email if needed
-    if (needsReminder) {
-      try {
-        await sendPaymentReminderEmail(user.email, user.username);
-        remindersSent++;
-      } catch (error) {
-        console.error(`Failed to send reminder to ${user.email}:`, error);
-      }
-    }
-  }
+  // Same check as the daily scheduler; the "payment due soon" emails are left to the scheduler
+  const { remindersSent, paymentsCreated, requestsExpired, totalUsersChecked } = await checkAndRemindPayments(req, { upcomingBlockReminders: false });
 
   successResponse(res, 200, {
     remindersSent,
     paymentsCreated,
-    paymentsUpdated,
-    totalUsersChecked: users.rows.length,
-    message: `Payment check completed. ${remindersSent} reminders sent, ${paymentsCreated} payments created, ${paymentsUpdated} payments updated.`
+    requestsExpired,
+    totalUsersChecked,
+    message: `Payment check completed. ${remindersSent} reminders sent, ${paymentsCreated} payments created.`
   }, 'Payment check completed');
 }));
 
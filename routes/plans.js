@@ -0,0 +1,216 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { asyncHandler, successResponse, errorResponse } = require('../utils/helpers');
+const { authenticate, authenticateUnpaid, isAdmin } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { PLAN_FEATURES, getPlanById, getUserPlan, countOwnedProjects } = require('../utils/plans');
+const { LAPSED_ACCESS_MODES } = require('../utils/billing');
+
+// Helper function to validate plan fields sent by an admin
+// Returns an error message, or null when the fields are valid
+const validatePlanFields = ({ price, max_projects, features, lapsed_access }) => {
+  if (price !== undefined && (price === null || isNaN(parseFloat(price)) || parseFloat(price) < 0)) {
+    return 'Price must be a positive number (0 for a free plan)';
+  }
+  if (max_projects !== undefined && max_projects !== null && !(parseInt(max_projects) > 0)) {
+    return 'Project limit must be a positive number (or null for unlimited)';
+  }
+  if (features !== undefined) {
+    if (!features || typeof features !== 'object' || Array.isArray(features)) {
+      return 'Features must be an object of feature flags';
+    }
+    const unknown = Object.keys(features).filter((feature) => !PLAN_FEATURES[feature]);
+    if (unknown.length > 0) {
+      return `Unknown feature(s): ${unknown.join(', ')}. Available: ${Object.keys(PLAN_FEATURES).join(', ')}`;
+    }
+    if (Object.values(features).some((value) => typeof value !== 'boolean')) {
+      return 'Feature flags must be true or false';
+    }
+  }
+  if (lapsed_access !== undefined && !LAPSED_ACCESS_MODES.includes(lapsed_access)) {
+    return `Lapsed access must be one of: ${LAPSED_ACCESS_MODES.join(', ')}`;
+  }
+  return null;
+};
+
+// @route   GET /api/plans
+// @desc    Get subscription plans (admins also see inactive plans and how many users are on each)
+// @access  Private (also allowed while the subscription has lapsed)
+router.get('/', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const result = req.user.role === 'admin'
+    ? await pool.query(
+      `SELECT p.*, (SELECT COUNT(*) FROM users u WHERE u.plan_id = p.id)::int AS user_count
+       FROM plans p
+       ORDER BY p.sort_order ASC, p.price ASC`
+    )
+    : await pool.query('SELECT * FROM plans WHERE is_active = true ORDER BY sort_order ASC, price ASC');
+
+  successResponse(res, 200, {
+    plans: result.rows
+  }, 'Plans retrieved successfully');
+}));
+
+// @route   GET /api/plans/current
+// @desc    Get the current user's plan and how much of it is used
+// @access  Private (also allowed while the subscription has lapsed)
+router.get('/current', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const plan = await getUserPlan(req.user.id);
+  const projectsUsed = await countOwnedProjects(req.user.id);
+
+  successResponse(res, 200, {
+    plan,
+    usage: {
+      projects: projectsUsed,
+      max_projects: plan ? plan.max_projects : null
+    }
+  }, 'Current plan retrieved successfully');
+}));
+
+// @route   GET /api/plans/:id
+// @desc    Get plan by ID
+// @access  Private (also allowed while the subscription has lapsed)
+router.get('/:id', authenticateUnpaid, asyncHandler(async (req, res) => {
+  const plan = await getPlanById(req.params.id);
+
+  if (!plan || (!plan.is_active && req.user.role !== 'admin')) {
+    return errorResponse(res, 404, 'Plan not found');
+  }
+
+  successResponse(res, 200, { plan }, 'Plan retrieved successfully');
+}));
+
+// @route   POST /api/plans
+// @desc    Create plan (Admin only)
+// @access  Private (Admin)
+router.post('/', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const { code, name, description, price, max_projects, features, is_active, sort_order, lapsed_access } = req.body;
+
+  if (!code || !name || price === undefined) {
+    return errorResponse(res, 400, 'Code, name and price are required');
+  }
+
+  const validationError = validatePlanFields(req.body);
+  if (validationError) {
+    return errorResponse(res, 400, validationError);
+  }
+
+  const existing = await pool.query('SELECT id FROM plans WHERE code = $1', [code]);
+  if (existing.rows.length > 0) {
+    return errorResponse(res, 400, 'A plan with this code already exists');
+  }
+
+  const result = await pool.query(
+    `INSERT INTO plans (code, name, description, price, max_projects, features, is_active, sort_order, lapsed_access)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      code,
+      name,
+      description || null,
+      parseFloat(price),
+      max_projects ? parseInt(max_projects) : null,
+      JSON.stringify(features || {}),
+      is_active !== false,
+      parseInt(sort_order) || 0,
+      lapsed_access || 'read_only'
+    ]
+  );
+
+  await recordAudit(req, {
+    action: 'create',
+    entityType: 'plan',
+    entityId: result.rows[0].id,
+    after: result.rows[0]
+  });
+
+  successResponse(res, 201, {
+    plan: result.rows[0]
+  }, 'Plan created successfully');
+}));
+
+// @route   PUT /api/plans/:id
+// @desc    Update plan (Admin only); `features` is merged into the existing flags
+// @access  Private (Admin)
+router.put('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, description, price, max_projects, features, is_active, sort_order, lapsed_access } = req.body;
+
+  const plan = await getPlanById(id);
+  if (!plan) {
+    return errorResponse(res, 404, 'Plan not found');
+  }
+
+  const validationError = validatePlanFields(req.body);
+  if (validationError) {
+    return errorResponse(res, 400, validationError);
+  }
+
+  const result = await pool.query(
+    `UPDATE plans
+     SET name = $1,
+         description = $2,
+         price = $3,
+         max_projects = $4,
+         features = $5,
+         is_active = $6,
+         sort_order = $7,
+         lapsed_access = $8,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $9
+     RETURNING *`,
+    [
+      name || plan.name,
+      description !== undefined ? description : plan.description,
+      price !== undefined ? parseFloat(price) : plan.price,
+      max_projects !== undefined ? (max_projects ? parseInt(max_projects) : null) : plan.max_projects,
+      JSON.stringify({ ...plan.features, ...(features || {}) }),
+      is_active !== undefined ? Boolean(is_active) : plan.is_active,
+      sort_order !== undefined ? parseInt(sort_order) || 0 : plan.sort_order,
+      lapsed_access || plan.lapsed_access,
+      id
+    ]
+  );
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'plan',
+    entityId: plan.id,
+    before: plan,
+    after: result.rows[0]
+  });
+
+  successResponse(res, 200, {
+    plan: result.rows[0]
+  }, 'Plan updated successfully');
+}));
+
+// @route   DELETE /api/plans/:id
+// @desc    Delete plan (Admin only); plans that users are on must be deactivated instead
+// @access  Private (Admin)
+router.delete('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const plan = await getPlanById(id);
+  if (!plan) {
+    return errorResponse(res, 404, 'Plan not found');
+  }
+
+  const usersCheck = await pool.query('SELECT COUNT(*) AS count FROM users WHERE plan_id = $1', [id]);
+  if (parseInt(usersCheck.rows[0].count) > 0) {
+    return errorResponse(res, 400, 'Users are on this plan. Move them to another plan or deactivate it instead');
+  }
+
+  await pool.query('DELETE FROM plans WHERE id = $1', [id]);
+
+  await recordAudit(req, {
+    action: 'delete',
+    entityType: 'plan',
+    entityId: plan.id,
+    before: plan
+  });
+
+  successResponse(res, 200, {}, 'Plan deleted successfully');
+}));
+
+module.exports = router;
@@ -3,9 +3,28 @@ const router = express.Router();
 const pool = require('../config/database');
 const { asyncHandler, successResponse, errorResponse } = require('../utils/helpers');
 const { authenticate, isAdmin } = require('../middleware/auth');
+const { MEMBER_ROLES, checkProjectAccess, accessibleProjectsCondition } = require('../utils/projectAccess');
+const { normalizeThresholds, getBudgetSummary, checkBudgetAlerts } = require('../utils/projectBudget');
+const { getAccessibleCategory } = require('../utils/categories');
+const { getAttachments, removeAttachmentFiles } = require('../utils/attachments');
+const { releaseStatementLines } = require('../utils/reconciliation');
+const { recordAudit, parsePagination, getAuditLogs } = require('../utils/audit');
+const { checkPlanFeature, checkProjectLimit } = require('../utils/plans');
+
+// Helper function to validate an optional budget amount
+const isValidBudget = (budget) => budget === undefined || budget === null || (!isNaN(parseFloat(budget)) && parseFloat(budget) >= 0);
+
+// Budget settings of a project as recorded in the audit log
+const getBudgetSnapshot = async (project) => {
+  const linesResult = await pool.query(
+    'SELECT category, category_id, amount FROM project_budget_lines WHERE project_id = $1 ORDER BY category ASC',
+    [project.id]
+  );
+  return { budget: project.budget, budget_thresholds: project.budget_thresholds, lines: linesResult.rows };
+};
 
 // @route   GET /api/projects
-// @desc    Get all projects for current user or all projects (admin)
+// @desc    Get all projects owned by or shared with current user, or all projects (admin)
 // @access  Private
 router.get('/', authenticate, asyncHandler(async (req, res) => {
   const userId = req.user.id;
@@ -15,17 +34,24 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
   if (role === 'admin') {
     // Admin can see all projects
     projects = await pool.query(
-      `SELECT p.*, u.username, u.email 
+      `SELECT p.*, u.username, u.email,
+              CASE WHEN p.user_id = $1 THEN 'owner' ELSE pm.role END AS access_role
        FROM projects p 
        LEFT JOIN users u ON p.user_id = u.id 
-       ORDER BY p.created_at DESC`
+       LEFT JOIN project_members pm ON pm.project_id = p.id AND pm.user_id = $1
+       ORDER BY p.created_at DESC`,
+      [userId]
     );
   } else {
-    // Regular users see only their projects
+    // Regular users see their own projects and projects shared with them
     projects = await pool.query(
-      `SELECT * FROM projects 
-       WHERE user_id = $1 
-       ORDER BY created_at DESC`,
+      `SELECT p.*, u.username AS owner_username,
+              CASE WHEN p.user_id = $1 THEN 'owner' ELSE pm.role END AS access_role
+       FROM projects p 
+       LEFT JOIN users u ON p.user_id = u.id 
+       LEFT JOIN project_members pm ON pm.project_id = p.id AND pm.user_id = $1
+       WHERE ${accessibleProjectsCondition('p', '$1')}
+       ORDER BY p.created_at DESC`,
       [userId]
     );
   }
@@ -57,13 +83,17 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
 
   const project = projectResult.rows[0];
 
-  // Check if user owns this project or is admin
-  if (role !== 'admin' && project.user_id !== userId) {
+  // Check if user owns this project, is a member of it, or is admin
+  const accessCheck = await checkProjectAccess(id, userId, role, 'view');
+  if (role !== 'admin' && !accessCheck.authorized) {
     return errorResponse(res, 403, 'Access denied');
   }
 
   successResponse(res, 200, {
-    project
+    project: {
+      ...project,
+      access_role: accessCheck.projectRole || null
+    }
   }, 'Project retrieved successfully');
 }));
 
@@ -72,19 +102,36 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
 // @access  Private
 router.post('/', authenticate, asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { project_name, description, start_date, end_date } = req.body;
+  const { project_name, description, start_date, end_date, budget } = req.body;
 
   if (!project_name) {
     return errorResponse(res, 400, 'Project name is required');
   }
 
+  if (!isValidBudget(budget)) {
+    return errorResponse(res, 400, 'Budget must be a positive number');
+  }
+
+  const limitCheck = await checkProjectLimit(userId, req.user.role);
+  if (!limitCheck.allowed) {
+    return errorResponse(res, 403, limitCheck.error);
+  }
+
   const result = await pool.query(
-    `INSERT INTO projects (user_id, project_name, description, start_date, end_date) 
-     VALUES ($1, $2, $3, $4, $5) 
+    `INSERT INTO projects (user_id, project_name, description, start_date, end_date, budget) 
+     VALUES ($1, $2, $3, $4, $5, $6) 
      RETURNING *`,
-    [userId, project_name, description || null, start_date || null, end_date || null]
+    [userId, project_name, description || null, start_date || null, end_date || null, budget ?? null]
   );
 
+  await recordAudit(req, {
+    action: 'create',
+    entityType: 'project',
+    entityId: result.rows[0].id,
+    projectId: result.rows[0].id,
+    after: result.rows[0]
+  });
+
   successResponse(res, 201, {
     project: result.rows[0]
   }, 'Project created successfully');
@@ -97,20 +144,21 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const userId = req.user.id;
   const role = req.user.role;
-  const { project_name, description, start_date, end_date } = req.body;
+  const { project_name, description, start_date, end_date, budget } = req.body;
 
-  // Check if project exists and user owns it
-  const projectCheck = await pool.query(
-    'SELECT * FROM projects WHERE id = $1',
-    [id]
-  );
+  if (!isValidBudget(budget)) {
+    return errorResponse(res, 400, 'Budget must be a positive number');
+  }
 
-  if (projectCheck.rows.length === 0) {
+  // Check if project exists and user may edit it (owner or editor)
+  const accessCheck = await checkProjectAccess(id, userId, role, 'edit_project');
+
+  if (accessCheck.error === 'Project not found') {
     return errorResponse(res, 404, 'Project not found');
   }
 
-  if (role !== 'admin' && projectCheck.rows[0].user_id !== userId) {
-    return errorResponse(res, 403, 'Access denied');
+  if (role !== 'admin' && !accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
   }
 
   const result = await pool.query(
@@ -119,12 +167,27 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
          description = COALESCE($2, description),
          start_date = COALESCE($3, start_date),
          end_date = COALESCE($4, end_date),
+         budget = COALESCE($5, budget),
          updated_at = CURRENT_TIMESTAMP
-     WHERE id = $5 
+     WHERE id = $6 
      RETURNING *`,
-    [project_name, description, start_date, end_date, id]
+    [project_name, description, start_date, end_date, budget ?? null, id]
   );
 
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'project',
+    entityId: result.rows[0].id,
+    projectId: result.rows[0].id,
+    before: accessCheck.project,
+    after: result.rows[0]
+  });
+
+  // A lower budget may already be exceeded by current spend
+  if (budget !== undefined && budget !== null) {
+    await checkBudgetAlerts(id);
+  }
+
   successResponse(res, 200, {
     project: result.rows[0]
   }, 'Project updated successfully');
@@ -138,23 +201,422 @@ router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const role = req.user.role;
 
-  // Check if project exists and user owns it
-  const projectCheck = await pool.query(
-    'SELECT * FROM projects WHERE id = $1',
-    [id]
-  );
+  // Check if project exists and user owns it (members cannot delete)
+  const accessCheck = await checkProjectAccess(id, userId, role, 'delete_project');
 
-  if (projectCheck.rows.length === 0) {
+  if (accessCheck.error === 'Project not found') {
     return errorResponse(res, 404, 'Project not found');
   }
 
-  if (role !== 'admin' && projectCheck.rows[0].user_id !== userId) {
-    return errorResponse(res, 403, 'Access denied');
+  if (role !== 'admin' && !accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
   }
 
+  // Attachment rows are removed by ON DELETE CASCADE, their files are removed here
+  const attachments = await getAttachments('project_id', id);
+
+  // Statement lines reconciled with this project's transactions go back to the review queue
+  await releaseStatementLines({ projectId: id });
+
   await pool.query('DELETE FROM projects WHERE id = $1', [id]);
 
+  // Tasks and transactions deleted with the project are covered by this entry
+  await recordAudit(req, {
+    action: 'delete',
+    entityType: 'project',
+    entityId: accessCheck.project.id,
+    projectId: accessCheck.project.id,
+    before: accessCheck.project
+  });
+
+  await removeAttachmentFiles(attachments);
+
   successResponse(res, 200, {}, 'Project deleted successfully');
 }));
 
+// @route   GET /api/projects/:id/budget
+// @desc    Get budget vs actual spend for a project
+// @access  Private (any project member)
+router.get('/:id/budget', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const role = req.user.role;
+
+  const accessCheck = await checkProjectAccess(id, userId, role, 'view');
+  if (accessCheck.error === 'Project not found') {
+    return errorResponse(res, 404, 'Project not found');
+  }
+  if (role !== 'admin' && !accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
+  }
+
+  const projectResult = await pool.query('SELECT * FROM projects WHERE id = $1', [id]);
+  const budget = await getBudgetSummary(projectResult.rows[0]);
+
+  successResponse(res, 200, {
+    budget
+  }, 'Project budget retrieved successfully');
+}));
+
+// @route   PUT /api/projects/:id/budget
+// @desc    Set project budget, alert thresholds and per-category budget lines
+// @access  Private (project owner or editor)
+router.put('/:id/budget', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const role = req.user.role;
+  const { budget, thresholds, lines } = req.body;
+
+  if (!isValidBudget(budget)) {
+    return errorResponse(res, 400, 'Budget must be a positive number');
+  }
+
+  let normalizedThresholds;
+  if (thresholds !== undefined && thresholds !== null) {
+    normalizedThresholds = normalizeThresholds(thresholds);
+    if (!normalizedThresholds) {
+      return errorResponse(res, 400, 'Thresholds must be a list of positive percentages (e.g. [80, 100])');
+    }
+  }
+
+  if (lines !== undefined) {
+    if (!Array.isArray(lines)) {
+      return errorResponse(res, 400, 'Budget lines must be a list');
+    }
+    const invalidLine = lines.find((line) => !line || (!line.category && !line.category_id) || line.amount === undefined || line.amount === null || !isValidBudget(line.amount));
+    if (invalidLine) {
+      return errorResponse(res, 400, 'Each budget line needs a category and a positive amount');
+    }
+  }
+
+  const accessCheck = await checkProjectAccess(id, userId, role, 'edit_project');
+  if (accessCheck.error === 'Project not found') {
+    return errorResponse(res, 404, 'Project not found');
+  }
+  if (role !== 'admin' && !accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
+  }
+
+  // Resolve linked categories; a line's label defaults to its category name
+  const resolvedLines = [];
+  for (const line of lines || []) {
+    let label = line.category ? String(line.category).trim() : null;
+    if (line.category_id) {
+      const category = await getAccessibleCategory(line.category_id, [userId, accessCheck.project.user_id]);
+      if (!category) {
+        return errorResponse(res, 400, `Category ${line.category_id} not found`);
+      }
+      label = label || category.name;
+    }
+    resolvedLines.push({ category: label, category_id: line.category_id || null, amount: parseFloat(line.amount) });
+  }
+
+  const labels = resolvedLines.map((line) => line.category.toLowerCase());
+  if (new Set(labels).size !== labels.length) {
+    return errorResponse(res, 400, 'Each category can only have one budget line');
+  }
+
+  const budgetBefore = await getBudgetSnapshot(accessCheck.project);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (budget !== undefined) {
+      await client.query(
+        'UPDATE projects SET budget = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [budget === null ? null : parseFloat(budget), id]
+      );
+    }
+
+    if (thresholds !== undefined) {
+      // Passing null resets the project to the default thresholds
+      await client.query(
+        'UPDATE projects SET budget_thresholds = $1, budget_alert_level = 0 WHERE id = $2',
+        [normalizedThresholds || null, id]
+      );
+      await client.query('UPDATE project_budget_lines SET alert_level = 0 WHERE project_id = $1', [id]);
+    }
+
+    if (lines !== undefined) {
+      // Lines are replaced as a whole
+      await client.query('DELETE FROM project_budget_lines WHERE project_id = $1', [id]);
+      for (const line of resolvedLines) {
+        await client.query(
+          `INSERT INTO project_budget_lines (project_id, category, category_id, amount)
+           VALUES ($1, $2, $3, $4)`,
+          [id, line.category, line.category_id, line.amount]
+        );
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await checkBudgetAlerts(id);
+
+  const projectResult = await pool.query('SELECT * FROM projects WHERE id = $1', [id]);
+  const summary = await getBudgetSummary(projectResult.rows[0]);
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'project_budget',
+    entityId: projectResult.rows[0].id,
+    projectId: projectResult.rows[0].id,
+    before: budgetBefore,
+    after: await getBudgetSnapshot(projectResult.rows[0])
+  });
+
+  successResponse(res, 200, {
+    budget: summary
+  }, 'Project budget updated successfully');
+}));
+
+// @route   GET /api/projects/:id/members
+// @desc    Get the owner and members of a project
+// @access  Private (any project member)
+router.get('/:id/members', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const role = req.user.role;
+
+  const accessCheck = await checkProjectAccess(id, userId, role, 'view');
+  if (accessCheck.error === 'Project not found') {
+    return errorResponse(res, 404, 'Project not found');
+  }
+  if (role !== 'admin' && !accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
+  }
+
+  const ownerResult = await pool.query(
+    `SELECT u.id, u.username, u.email, u.phone
+     FROM projects p
+     JOIN users u ON p.user_id = u.id
+     WHERE p.id = $1`,
+    [id]
+  );
+
+  const membersResult = await pool.query(
+    `SELECT pm.id, pm.user_id, pm.role, pm.invited_by, pm.created_at, pm.updated_at,
+            u.username, u.email, u.phone
+     FROM project_members pm
+     JOIN users u ON pm.user_id = u.id
+     WHERE pm.project_id = $1
+     ORDER BY pm.created_at ASC`,
+    [id]
+  );
+
+  successResponse(res, 200, {
+    owner: ownerResult.rows[0] || null,
+    members: membersResult.rows
+  }, 'Project members retrieved successfully');
+}));
+
+// @route   POST /api/projects/:id/members
+// @desc    Invite an approved user to a project as viewer, editor or accountant
+// @access  Private (project owner)
+router.post('/:id/members', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const role = req.user.role;
+  const { email, user_id, role: memberRole } = req.body;
+
+  if (!email && !user_id) {
+    return errorResponse(res, 400, 'Email or user ID of the member is required');
+  }
+
+  if (!memberRole || !MEMBER_ROLES.includes(memberRole)) {
+    return errorResponse(res, 400, `Role must be one of: ${MEMBER_ROLES.join(', ')}`);
+  }
+
+  const accessCheck = await checkProjectAccess(id, userId, role, 'manage_members');
+  if (accessCheck.error === 'Project not found') {
+    return errorResponse(res, 404, 'Project not found');
+  }
+  if (!accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
+  }
+
+  const planCheck = await checkPlanFeature(userId, role, 'team_members');
+  if (!planCheck.allowed) {
+    return errorResponse(res, 403, planCheck.error);
+  }
+
+  // Find the invited user (only approved users can be invited)
+  const userResult = user_id
+    ? await pool.query('SELECT id, username, email, approve_user FROM users WHERE id = $1', [user_id])
+    : await pool.query('SELECT id, username, email, approve_user FROM users WHERE email = $1', [email]);
+
+  if (userResult.rows.length === 0) {
+    return errorResponse(res, 404, 'User not found');
+  }
+
+  const invitedUser = userResult.rows[0];
+
+  if (!invitedUser.approve_user) {
+    return errorResponse(res, 400, 'Only approved users can be added to a project');
+  }
+
+  if (invitedUser.id === accessCheck.project.user_id) {
+    return errorResponse(res, 400, 'The project owner is already part of this project');
+  }
+
+  const existingMember = await pool.query(
+    'SELECT id FROM project_members WHERE project_id = $1 AND user_id = $2',
+    [id, invitedUser.id]
+  );
+
+  if (existingMember.rows.length > 0) {
+    return errorResponse(res, 400, 'User is already a member of this project');
+  }
+
+  const result = await pool.query(
+    `INSERT INTO project_members (project_id, user_id, role, invited_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [id, invitedUser.id, memberRole, userId]
+  );
+
+  await recordAudit(req, {
+    action: 'create',
+    entityType: 'project_member',
+    entityId: result.rows[0].id,
+    projectId: accessCheck.project.id,
+    after: result.rows[0]
+  });
+
+  successResponse(res, 201, {
+    member: {
+      ...result.rows[0],
+      username: invitedUser.username,
+      email: invitedUser.email
+    }
+  }, 'Member added successfully');
+}));
+
+// @route   PUT /api/projects/:id/members/:userId
+// @desc    Change a member's role on a project
+// @access  Private (project owner)
+router.put('/:id/members/:userId', authenticate, asyncHandler(async (req, res) => {
+  const { id, userId: memberUserId } = req.params;
+  const userId = req.user.id;
+  const role = req.user.role;
+  const { role: memberRole } = req.body;
+
+  if (!memberRole || !MEMBER_ROLES.includes(memberRole)) {
+    return errorResponse(res, 400, `Role must be one of: ${MEMBER_ROLES.join(', ')}`);
+  }
+
+  const accessCheck = await checkProjectAccess(id, userId, role, 'manage_members');
+  if (accessCheck.error === 'Project not found') {
+    return errorResponse(res, 404, 'Project not found');
+  }
+  if (!accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
+  }
+
+  const memberResult = await pool.query(
+    'SELECT * FROM project_members WHERE project_id = $1 AND user_id = $2',
+    [id, memberUserId]
+  );
+
+  if (memberResult.rows.length === 0) {
+    return errorResponse(res, 404, 'Member not found');
+  }
+
+  const result = await pool.query(
+    `UPDATE project_members
+     SET role = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING *`,
+    [memberRole, memberResult.rows[0].id]
+  );
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'project_member',
+    entityId: result.rows[0].id,
+    projectId: accessCheck.project.id,
+    before: memberResult.rows[0],
+    after: result.rows[0]
+  });
+
+  successResponse(res, 200, {
+    member: result.rows[0]
+  }, 'Member role updated successfully');
+}));
+
+// @route   DELETE /api/projects/:id/members/:userId
+// @desc    Remove a member from a project (owner removes anyone, members can leave)
+// @access  Private
+router.delete('/:id/members/:userId', authenticate, asyncHandler(async (req, res) => {
+  const { id, userId: memberUserId } = req.params;
+  const userId = req.user.id;
+  const role = req.user.role;
+
+  const isLeaving = parseInt(memberUserId) === userId;
+  const accessCheck = await checkProjectAccess(id, userId, role, isLeaving ? 'view' : 'manage_members');
+  if (accessCheck.error === 'Project not found') {
+    return errorResponse(res, 404, 'Project not found');
+  }
+  if (!accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
+  }
+
+  const result = await pool.query(
+    'DELETE FROM project_members WHERE project_id = $1 AND user_id = $2 RETURNING *',
+    [id, memberUserId]
+  );
+
+  if (result.rows.length === 0) {
+    return errorResponse(res, 404, 'Member not found');
+  }
+
+  await recordAudit(req, {
+    action: 'delete',
+    entityType: 'project_member',
+    entityId: result.rows[0].id,
+    projectId: accessCheck.project.id,
+    before: result.rows[0]
+  });
+
+  successResponse(res, 200, {}, 'Member removed successfully');
+}));
+
+// @route   GET /api/projects/:id/history
+// @desc    Get the change history of a project, its tasks, transactions, budget and members (?page=, ?limit=)
+// @access  Private (project owner or admin)
+router.get('/:id/history', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const role = req.user.role;
+  const { entity_type, action } = req.query;
+
+  const accessCheck = await checkProjectAccess(id, userId, role, 'view_history');
+  if (accessCheck.error === 'Project not found') {
+    return errorResponse(res, 404, 'Project not found');
+  }
+  if (role !== 'admin' && !accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
+  }
+
+  const planCheck = await checkPlanFeature(userId, role, 'audit_log');
+  if (!planCheck.allowed) {
+    return errorResponse(res, 403, planCheck.error);
+  }
+
+  const pagination = parsePagination(req.query);
+  const { logs, total } = await getAuditLogs({ project_id: id, entity_type, action }, pagination);
+
+  successResponse(res, 200, {
+    history: logs,
+    pagination: { page: pagination.page, limit: pagination.limit, total }
+  }, 'Project history retrieved successfully');
+}));
+
 module.exports = router;
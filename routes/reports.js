@@ -4,6 +4,39 @@ const pool = require('../config/database');
 const { asyncHandler, successResponse, errorResponse } = require('../utils/helpers');
 const { authenticate, isAdmin } = require('../middleware/auth');
 const PDFDocument = require('pdfkit');
+const { checkProjectAccess, accessibleProjectsCondition } = require('../utils/projectAccess');
+const { getBudgetSummary } = require('../utils/projectBudget');
+const { buildCategoryBreakdown } = require('../utils/categories');
+const { getAttachments, readAttachment } = require('../utils/attachments');
+const { getProjectEntries, computeTotals, describePeriod } = require('../utils/reportData');
+const { sendCsv, formatCsvDate, formatCsvAmount, TASK_CSV_COLUMNS, TRANSACTION_CSV_COLUMNS } = require('../utils/csv');
+const { checkPlanFeature } = require('../utils/plans');
+
+const {
+  createWorkbook,
+  addTableSheet,
+  addSummarySheet,
+  sendWorkbook,
+  TASK_XLSX_COLUMNS,
+  TRANSACTION_XLSX_COLUMNS,
+  CATEGORY_XLSX_COLUMNS
+} = require('../utils/xlsx');
+
+const EXPORT_FORMATS = ['pdf', 'csv', 'xlsx'];
+
+// Combined task + transaction columns for the project CSV export
+const LEDGER_CSV_COLUMNS = [
+  { header: 'Record', value: (e) => e.record },
+  { header: 'ID', value: (e) => e.id },
+  { header: 'Project', value: (e) => e.project_name },
+  { header: 'Date', value: (e) => formatCsvDate(e.date) },
+  { header: 'Task', value: (e) => e.name },
+  { header: 'Type', value: (e) => e.type },
+  { header: 'Category', value: (e) => e.category_name },
+  { header: 'Amount (RWF)', value: (e) => formatCsvAmount(e.amount) },
+  { header: 'Worker', value: (e) => e.worker_name },
+  { header: 'Description', value: (e) => e.description }
+];
 
 // @route   GET /api/reports/project/:id
 // @desc    Get detailed report for a specific project
@@ -25,8 +58,9 @@ router.get('/project/:id', authenticate, asyncHandler(async (req, res) => {
 
   const project = projectResult.rows[0];
 
-  // Check access
-  if (role !== 'admin' && project.user_id !== userId) {
+  // Check access (owner, any project member, or admin)
+  const accessCheck = await checkProjectAccess(id, userId, role, 'view');
+  if (role !== 'admin' && !accessCheck.authorized) {
     return errorResponse(res, 403, 'Access denied');
   }
 
@@ -46,7 +80,7 @@ router.get('/project/:id', authenticate, asyncHandler(async (req, res) => {
   const incomeResult = await pool.query(
     `SELECT COALESCE(SUM(amount), 0) as total, COUNT(*) as count 
      FROM transactions 
-     WHERE project_id = $1 AND type = 'income'`,
+     WHERE project_id = $1 AND type = 'income' AND status = 'posted'`,
     [id]
   );
 
@@ -54,7 +88,7 @@ router.get('/project/:id', authenticate, asyncHandler(async (req, res) => {
   const expenseResult = await pool.query(
     `SELECT COALESCE(SUM(amount), 0) as total, COUNT(*) as count 
      FROM transactions 
-     WHERE project_id = $1 AND type = 'expense'`,
+     WHERE project_id = $1 AND type = 'expense' AND status = 'posted'`,
     [id]
   );
 
@@ -96,87 +130,20 @@ router.get('/project/:id/financial', authenticate, asyncHandler(async (req, res)
 
   const project = projectResult.rows[0];
 
-  if (role !== 'admin' && project.user_id !== userId) {
+  // Check access (owner, any project member, or admin)
+  const accessCheck = await checkProjectAccess(id, userId, role, 'view');
+  if (role !== 'admin' && !accessCheck.authorized) {
     return errorResponse(res, 403, 'Access denied');
   }
 
-  // Helper to build date filters for a given column
-  const buildDateFilter = (columnName) => {
-    const conditions = ['project_id = $1'];
-    const params = [id];
-    let paramIndex = 2;
-
-    if (start_date && end_date) {
-      conditions.push(`${columnName} >= $${paramIndex}`);
-      params.push(start_date);
-      paramIndex++;
-      conditions.push(`${columnName} <= $${paramIndex}`);
-      params.push(end_date);
-      paramIndex++;
-    } else if (start_date) {
-      conditions.push(`${columnName} >= $${paramIndex}`);
-      params.push(start_date);
-      paramIndex++;
-    } else if (end_date) {
-      conditions.push(`${columnName} <= $${paramIndex}`);
-      params.push(end_date);
-      paramIndex++;
-    } else if (month) {
-      let m;
-      let y;
-      if (year) {
-        m = parseInt(month);
-        y = parseInt(year);
-      } else if (month.includes('-')) {
-        const [yearPart, monthPart] = month.split('-');
-        m = parseInt(monthPart);
-        y = parseInt(yearPart);
-      } else {
-        const currentYear = new Date().getFullYear();
-        m = parseInt(month);
-        y = currentYear;
-      }
-      conditions.push(`EXTRACT(MONTH FROM ${columnName}) = $${paramIndex}`);
-      params.push(m);
-      paramIndex++;
-      conditions.push(`EXTRACT(YEAR FROM ${columnName}) = $${paramIndex}`);
-      params.push(y);
-      paramIndex++;
-    }
-
-    const whereClause = `WHERE ${conditions.join(' AND ')}`;
-    return { whereClause, params };
-  };
-
-  const taskFilter = buildDateFilter('task_date');
-  const transactionFilter = buildDateFilter('transaction_date');
-
-  const tasksResult = await pool.query(
-    `SELECT * FROM tasks ${taskFilter.whereClause} ORDER BY task_date DESC`,
-    taskFilter.params
-  );
-
-  const transactionsResult = await pool.query(
-    `SELECT * FROM transactions ${transactionFilter.whereClause} ORDER BY transaction_date DESC`,
-    transactionFilter.params
-  );
+  const { tasks, transactions } = await getProjectEntries(id, { month, year, start_date, end_date });
 
   // Calculate totals
-  const incomeTotal = transactionsResult.rows
-    .filter(t => t.type === 'income')
-    .reduce((sum, t) => sum + parseFloat(t.amount || 0), 0)
-    +
-    tasksResult.rows
-      .filter(t => t.type === 'income')
-      .reduce((sum, t) => sum + parseFloat(t.cost || 0), 0);
-
-  const expenseTotal = transactionsResult.rows
-    .filter(t => t.type === 'expense')
-    .reduce((sum, t) => sum + parseFloat(t.amount || 0), 0)
-    +
-    tasksResult.rows
-      .filter(t => t.type === 'expense')
-      .reduce((sum, t) => sum + parseFloat(t.cost || 0), 0);
+  const totals = computeTotals(tasks, transactions);
+
+  // Budget vs actual is measured against all-time spend; period_expense shows the filtered share
+  const budget = await getBudgetSummary(project);
+  const categoryBreakdown = buildCategoryBreakdown(tasks, transactions);
 
   successResponse(res, 200, {
     project: {
@@ -187,23 +154,29 @@ router.get('/project/:id/financial', authenticate, asyncHandler(async (req, res)
         start_date: start_date || null,
         end_date: end_date || null,
       },
-      tasks: tasksResult.rows,
-      transactions: transactionsResult.rows,
-      totals: {
-        income: incomeTotal,
-        expense: expenseTotal,
-        balance: incomeTotal - expenseTotal,
+      tasks,
+      transactions,
+      totals,
+      budget: {
+        ...budget,
+        period_expense: totals.expense,
       },
+      category_breakdown: categoryBreakdown,
     },
   }, 'Project financial report retrieved successfully');
 }));
 
 // @route   GET /api/reports/project/:id/export
-// @desc    Generate and download a PDF financial report for a specific project
+// @desc    Generate and download a PDF (default), CSV (?format=csv) or Excel (?format=xlsx) financial report for a specific project
+//          PDF: ?embed_receipts=true adds receipt images. CSV: ?dataset=tasks|transactions (default: both)
 // @access  Private
 router.get('/project/:id/export', authenticate, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { month, year, start_date, end_date } = req.query;
+  const { month, year, start_date, end_date, embed_receipts, format = 'pdf', dataset } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return errorResponse(res, 400, `Format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
 
   // Reuse the financial JSON endpoint to get data
   req.params.id = id;
@@ -227,10 +200,72 @@ router.get('/project/:id/export', authenticate, asyncHandler(async (req, res) =>
 
   const project = projectResult.rows[0];
 
-  if (role !== 'admin' && project.user_id !== userId) {
+  // Check access (owner, any project member, or admin)
+  const accessCheck = await checkProjectAccess(id, userId, role, 'view');
+  if (role !== 'admin' && !accessCheck.authorized) {
     return errorResponse(res, 403, 'Access denied');
   }
 
+  if (format === 'csv') {
+    const entries = await getProjectEntries(id, { month, year, start_date, end_date });
+    const withProject = (rows) => rows.map((row) => ({ ...row, project_name: project.project_name }));
+
+    if (dataset === 'tasks') {
+      return sendCsv(res, `project_${project.id}_tasks.csv`, TASK_CSV_COLUMNS, withProject(entries.tasks));
+    }
+    if (dataset === 'transactions') {
+      return sendCsv(res, `project_${project.id}_transactions.csv`, TRANSACTION_CSV_COLUMNS, withProject(entries.transactions));
+    }
+
+    // One ledger with tasks and transactions, newest first
+    const ledger = [
+      ...entries.tasks.map((t) => ({ record: 'Task', date: t.task_date, name: t.task_name, amount: t.cost, ...t })),
+      ...entries.transactions.map((t) => ({ record: 'Transaction', date: t.transaction_date, name: '', ...t }))
+    ].sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+
+    return sendCsv(res, `project_${project.id}_report.csv`, LEDGER_CSV_COLUMNS, withProject(ledger));
+  }
+
+  if (format === 'xlsx') {
+    const period = { month, year, start_date, end_date };
+    const entries = await getProjectEntries(id, period);
+    const withProject = (rows) => rows.map((row) => ({ ...row, project_name: project.project_name }));
+    const totals = computeTotals(entries.tasks, entries.transactions);
+    const budget = await getBudgetSummary(project);
+
+    const workbook = createWorkbook();
+    addSummarySheet(workbook, 'Project Financial Report', [
+      { label: 'Project', value: project.project_name },
+      { label: 'Description', value: project.description },
+      { label: 'Period', value: describePeriod(period) },
+      { label: 'Generated At', value: new Date(), format: 'date' },
+      null,
+      { label: 'Total Income', value: totals.income, format: 'amount' },
+      { label: 'Total Expense', value: totals.expense, format: 'amount' },
+      { label: 'Balance', value: totals.balance, format: 'amount' },
+      null,
+      { label: 'Budget', value: budget.budget, format: 'amount' },
+      { label: 'Spent to Date', value: budget.spent, format: 'amount' },
+      { label: 'Remaining Budget', value: budget.remaining, format: 'amount' },
+      { label: 'Budget Used (%)', value: budget.percent_used }
+    ]);
+    addTableSheet(workbook, 'Tasks', TASK_XLSX_COLUMNS, withProject(entries.tasks));
+    addTableSheet(workbook, 'Transactions', TRANSACTION_XLSX_COLUMNS, withProject(entries.transactions));
+    addTableSheet(workbook, 'Category Breakdown', CATEGORY_XLSX_COLUMNS, buildCategoryBreakdown(entries.tasks, entries.transactions));
+    if (budget.lines.length > 0) {
+      addTableSheet(workbook, 'Budget', [
+        { header: 'Category', key: 'category', width: 28, value: (l) => l.category },
+        { header: 'Budget', key: 'budget', width: 18, format: 'amount', value: (l) => l.budget },
+        { header: 'Spent', key: 'spent', width: 18, format: 'amount', value: (l) => l.spent },
+        { header: 'Remaining', key: 'remaining', width: 18, format: 'amount', value: (l) => l.remaining },
+        { header: 'Used (%)', key: 'percent_used', width: 10, value: (l) => l.percent_used },
+        { header: 'Status', key: 'status', width: 14, value: (l) => l.status }
+      ], budget.lines);
+    }
+
+    return sendWorkbook(res, workbook, `project_${project.id}_report.xlsx`);
+  }
+
   // Date formatting helpers for PDF (avoid raw ISO strings / timezones)
   const formatDateTime = (value) => {
     if (!value) return 'N/A';
@@ -256,84 +291,23 @@ router.get('/project/:id/export', authenticate, asyncHandler(async (req, res) =>
     return `${day}/${monthNum}/${yearNum}`;
   };
 
-  // Reuse same filter builder as /project/:id/financial, but inline to keep file self-contained
-  const buildDateFilter = (columnName) => {
-    const conditions = ['project_id = $1'];
-    const params = [id];
-    let paramIndex = 2;
-
-    if (start_date && end_date) {
-      conditions.push(`${columnName} >= $${paramIndex}`);
-      params.push(start_date);
-      paramIndex++;
-      conditions.push(`${columnName} <= $${paramIndex}`);
-      params.push(end_date);
-      paramIndex++;
-    } else if (start_date) {
-      conditions.push(`${columnName} >= $${paramIndex}`);
-      params.push(start_date);
-      paramIndex++;
-    } else if (end_date) {
-      conditions.push(`${columnName} <= $${paramIndex}`);
-      params.push(end_date);
-      paramIndex++;
-    } else if (month) {
-      let m;
-      let y;
-      if (year) {
-        m = parseInt(month);
-        y = parseInt(year);
-      } else if (month.includes('-')) {
-        const [yearPart, monthPart] = month.split('-');
-        m = parseInt(monthPart);
-        y = parseInt(yearPart);
-      } else {
-        const currentYear = new Date().getFullYear();
-        m = parseInt(month);
-        y = currentYear;
-      }
-      conditions.push(`EXTRACT(MONTH FROM ${columnName}) = $${paramIndex}`);
-      params.push(m);
-      paramIndex++;
-      conditions.push(`EXTRACT(YEAR FROM ${columnName}) = $${paramIndex}`);
-      params.push(y);
-      paramIndex++;
-    }
-
-    const whereClause = `WHERE ${conditions.join(' AND ')}`;
-    return { whereClause, params };
-  };
-
-  const taskFilter = buildDateFilter('task_date');
-  const transactionFilter = buildDateFilter('transaction_date');
-
-  const tasksResult = await pool.query(
-    `SELECT * FROM tasks ${taskFilter.whereClause} ORDER BY task_date DESC`,
-    taskFilter.params
-  );
-
-  const transactionsResult = await pool.query(
-    `SELECT * FROM transactions ${transactionFilter.whereClause} ORDER BY transaction_date DESC`,
-    transactionFilter.params
-  );
-
-  const incomeTotal = transactionsResult.rows
-    .filter(t => t.type === 'income')
-    .reduce((sum, t) => sum + parseFloat(t.amount || 0), 0)
-    +
-    tasksResult.rows
-      .filter(t => t.type === 'income')
-      .reduce((sum, t) => sum + parseFloat(t.cost || 0), 0);
-
-  const expenseTotal = transactionsResult.rows
-    .filter(t => t.type === 'expense')
-    .reduce((sum, t) => sum + parseFloat(t.amount || 0), 0)
-    +
-    tasksResult.rows
-      .filter(t => t.type === 'expense')
-      .reduce((sum, t) => sum + parseFloat(t.cost || 0), 0);
+  const { tasks, transactions } = await getProjectEntries(id, { month, year, start_date, end_date });
+  const { income: incomeTotal, expense: expenseTotal } = computeTotals(tasks, transactions);
 
   const balanceTotal = incomeTotal - expenseTotal;
+  const budget = await getBudgetSummary(project);
+  const categoryBreakdown = buildCategoryBreakdown(tasks, transactions);
+
+  // Attachments of the listed tasks and transactions
+  const attachments = await getAttachments('project_id', id);
+  const taskIds = new Set(tasks.map((t) => t.id));
+  const transactionIds = new Set(transactions.map((t) => t.id));
+  const reportAttachments = attachments.filter((a) => (
+    (a.task_id && taskIds.has(a.task_id)) || (a.transaction_id && transactionIds.has(a.transaction_id))
+  ));
+  const attachmentNames = (column, entryId) => reportAttachments
+    .filter((a) => a[column] === entryId)
+    .map((a) => a.original_name);
 
   // Create PDF
   const doc = new PDFDocument({ margin: 40 });
@@ -453,23 +427,71 @@ router.get('/project/:id/export', authenticate, asyncHandler(async (req, res) =>
 
   doc.moveDown(5);
 
+  // Budget vs actual section (only when the project has a budget)
+  if (budget.budget !== null) {
+    doc.moveDown();
+    doc.fontSize(14).fillColor(primaryBlue).text('Budget vs Actual', doc.page.margins.left);
+    doc.moveDown(0.5);
+    doc.fontSize(12).fillColor('#111827');
+    doc.text(`Budget: ${budget.budget.toFixed(2)} RWF`);
+    doc.text(`Spent to date: ${budget.spent.toFixed(2)} RWF${budget.percent_used !== null ? ` (${budget.percent_used}%)` : ''}`);
+    doc
+      .fillColor(budget.remaining >= 0 ? incomeGreen : expenseRed)
+      .text(`Remaining: ${budget.remaining.toFixed(2)} RWF`);
+    if (start_date || end_date || month) {
+      doc.fillColor('#111827').text(`Spent in selected period: ${expenseTotal.toFixed(2)} RWF`);
+    }
+    if (budget.lines.length > 0) {
+      doc.moveDown(0.5);
+      doc.fontSize(12).fillColor('#111827').text('Budget lines:');
+      budget.lines.forEach((line) => {
+        const spentLabel = line.spent !== null ? ` - spent ${line.spent.toFixed(2)} RWF (${line.percent_used}%)` : '';
+        doc
+          .fontSize(10)
+          .fillColor(line.status === 'over_budget' ? expenseRed : '#4b5563')
+          .text(`  ${line.category}: budget ${line.budget.toFixed(2)} RWF${spentLabel}`);
+      });
+    }
+  }
+
+  // Category breakdown section
+  if (categoryBreakdown.length > 0) {
+    doc.moveDown();
+    doc.fontSize(14).fillColor(primaryBlue).text('Breakdown by Category', doc.page.margins.left);
+    doc.moveDown(0.5);
+    categoryBreakdown.forEach((group) => {
+      doc
+        .fontSize(12)
+        .fillColor('#111827')
+        .text(`${group.category_name} (${group.count} entries)`);
+      doc
+        .fontSize(10)
+        .fillColor('#4b5563')
+        .text(`  Income: ${group.income.toFixed(2)} RWF  |  Expense: ${group.expense.toFixed(2)} RWF  |  Balance: ${group.balance.toFixed(2)} RWF`);
+    });
+  }
+
   doc.moveDown();
   // Tasks section
   doc.fontSize(14).fillColor(primaryBlue).text('Tasks');
   doc.moveDown(0.5);
-  if (tasksResult.rows.length === 0) {
+  if (tasks.length === 0) {
     doc.fontSize(12).fillColor('#4b5563').text('No tasks for selected period.');
   } else {
-    tasksResult.rows.forEach((t, index) => {
+    tasks.forEach((t, index) => {
       doc
         .fontSize(12)
         .fillColor('#111827')
         .text(
-          `${index + 1}. Date: ${formatDateOnly(t.task_date)}  -  ${t.task_name} (${t.type || 'N/A'}): ${t.cost || 0} RWF`
+          `${index + 1}. Date: ${formatDateOnly(t.task_date)}  -  ${t.task_name} (${t.type || 'N/A'}${t.category_name ? `, ${t.category_name}` : ''}): ${t.cost || 0} RWF`
         );
       if (t.description) {
         doc.fontSize(10).fillColor('#6b7280').text(`  ${t.description}`);
       }
+      const taskReceipts = attachmentNames('task_id', t.id);
+      if (taskReceipts.length > 0) {
+        doc.fontSize(10).fillColor('#6b7280').text(`  Attachments: ${taskReceipts.join(', ')}`);
+      }
     });
   }
 
@@ -477,22 +499,57 @@ router.get('/project/:id/export', authenticate, asyncHandler(async (req, res) =>
   // Transactions section
   doc.fontSize(14).fillColor(primaryBlue).text('Transactions');
   doc.moveDown(0.5);
-  if (transactionsResult.rows.length === 0) {
+  if (transactions.length === 0) {
     doc.fontSize(12).fillColor('#4b5563').text('No transactions for selected period.');
   } else {
-    transactionsResult.rows.forEach((tr, index) => {
+    transactions.forEach((tr, index) => {
       doc
         .fontSize(12)
         .fillColor('#111827')
         .text(
-          `${index + 1}. Date: ${formatDateOnly(tr.transaction_date)}  -  ${tr.type || 'N/A'}: ${tr.amount || 0} RWF`
+          `${index + 1}. Date: ${formatDateOnly(tr.transaction_date)}  -  ${tr.type || 'N/A'}${tr.category_name ? ` (${tr.category_name})` : ''}: ${tr.amount || 0} RWF`
         );
       if (tr.description) {
         doc.fontSize(10).fillColor('#6b7280').text(`  ${tr.description}`);
       }
+      const transactionReceipts = attachmentNames('transaction_id', tr.id);
+      if (transactionReceipts.length > 0) {
+        doc.fontSize(10).fillColor('#6b7280').text(`  Attachments: ${transactionReceipts.join(', ')}`);
+      }
     });
   }
 
+  // Receipt images (PDFKit can embed JPEG and PNG; other files stay listed above)
+  // The response is already streaming, so a file PDFKit can't read must never throw: it stays listed only
+  if (embed_receipts === 'true') {
+    const embeddable = reportAttachments.filter((a) => a.mime_type === 'image/jpeg' || a.mime_type === 'image/png');
+    for (const attachment of embeddable) {
+      let image;
+      try {
+        image = doc.openImage(await readAttachment(attachment));
+      } catch (error) {
+        console.error(`Failed to read attachment ${attachment.id} for PDF:`, error);
+        continue;
+      }
+      doc.addPage();
+      const label = attachment.task_id ? `Task #${attachment.task_id}` : `Transaction #${attachment.transaction_id}`;
+      doc.fontSize(12).fillColor(primaryBlue).text(`Receipt: ${attachment.original_name} (${label})`);
+      doc.moveDown(0.5);
+      try {
+        doc.image(image, {
+          fit: [
+            doc.page.width - doc.page.margins.left - doc.page.margins.right,
+            doc.page.height - doc.y - doc.page.margins.bottom
+          ],
+          align: 'center'
+        });
+      } catch (error) {
+        console.error(`Failed to embed attachment ${attachment.id} in PDF:`, error);
+        doc.fontSize(10).fillColor('#6b7280').text('This receipt could not be embedded. Download it from the app.');
+      }
+    }
+  }
+
   doc.end();
 }));
 
@@ -539,23 +596,25 @@ router.get('/dashboard', authenticate, asyncHandler(async (req, res) => {
       pendingUsers: pendingUsers.rows
     }, 'Dashboard data retrieved successfully');
   } else {
-    // Regular user sees only their projects
+    // Regular user sees their own projects and projects shared with them
     statsQuery = await pool.query(
       `SELECT 
         COUNT(*) as total_projects,
         COALESCE(SUM(total_income), 0) as total_income_all,
         COALESCE(SUM(total_expense), 0) as total_expense_all,
         COALESCE(SUM(balance), 0) as total_balance_all
-       FROM projects
-       WHERE user_id = $1`,
+       FROM projects p
+       WHERE ${accessibleProjectsCondition('p', '$1')}`,
       [userId]
     );
 
     // Get user's projects
     const userProjects = await pool.query(
-      `SELECT * FROM projects 
-       WHERE user_id = $1 
-       ORDER BY created_at DESC`,
+      `SELECT p.*, CASE WHEN p.user_id = $1 THEN 'owner' ELSE pm.role END AS access_role
+       FROM projects p
+       LEFT JOIN project_members pm ON pm.project_id = p.id AND pm.user_id = $1
+       WHERE ${accessibleProjectsCondition('p', '$1')}
+       ORDER BY p.created_at DESC`,
       [userId]
     );
 
@@ -564,7 +623,7 @@ router.get('/dashboard', authenticate, asyncHandler(async (req, res) => {
       `SELECT COUNT(*) as total_tasks 
        FROM tasks t
        JOIN projects p ON t.project_id = p.id
-       WHERE p.user_id = $1`,
+       WHERE ${accessibleProjectsCondition('p', '$1')}`,
       [userId]
     );
 
@@ -573,7 +632,7 @@ router.get('/dashboard', authenticate, asyncHandler(async (req, res) => {
       `SELECT COUNT(*) as total_transactions 
        FROM transactions t
        JOIN projects p ON t.project_id = p.id
-       WHERE p.user_id = $1`,
+       WHERE ${accessibleProjectsCondition('p', '$1')}`,
       [userId]
     );
 
@@ -592,11 +651,17 @@ router.get('/dashboard', authenticate, asyncHandler(async (req, res) => {
 }));
 
 // @route   GET /api/reports/financial-summary
-// @desc    Get financial summary by project
+// @desc    Get financial summary by project (?format=xlsx downloads a multi-project workbook, with period filters)
 // @access  Private
 router.get('/financial-summary', authenticate, asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const role = req.user.role;
+  const { format, month, year, start_date, end_date } = req.query;
+
+  const planCheck = await checkPlanFeature(userId, role, 'financial_summary');
+  if (!planCheck.allowed) {
+    return errorResponse(res, 403, planCheck.error);
+  }
 
   let summary;
   if (role === 'admin') {
@@ -613,18 +678,61 @@ router.get('/financial-summary', authenticate, asyncHandler(async (req, res) =>
   } else {
     summary = await pool.query(
       `SELECT 
-        id, project_name, 
-        total_income, 
-        total_expense, 
-        balance,
-        created_at
-       FROM projects
-       WHERE user_id = $1
-       ORDER BY balance DESC`,
+        p.id, p.project_name, 
+        p.total_income, 
+        p.total_expense, 
+        p.balance,
+        p.created_at
+       FROM projects p
+       WHERE ${accessibleProjectsCondition('p', '$1')}
+       ORDER BY p.balance DESC`,
       [userId]
     );
   }
 
+  if (format === 'xlsx') {
+    const period = { month, year, start_date, end_date };
+    const projectRows = [];
+    const allTasks = [];
+    const allTransactions = [];
+
+    for (const project of summary.rows) {
+      const entries = await getProjectEntries(project.id, period);
+      const withProject = (rows) => rows.map((row) => ({ ...row, project_name: project.project_name }));
+      allTasks.push(...withProject(entries.tasks));
+      allTransactions.push(...withProject(entries.transactions));
+      projectRows.push({ ...project, period_totals: computeTotals(entries.tasks, entries.transactions) });
+    }
+
+    const grandTotals = computeTotals(allTasks, allTransactions);
+    projectRows.push({
+      project_name: 'TOTAL',
+      period_totals: grandTotals,
+      total_income: projectRows.reduce((sum, p) => sum + parseFloat(p.total_income || 0), 0),
+      total_expense: projectRows.reduce((sum, p) => sum + parseFloat(p.total_expense || 0), 0),
+      balance: projectRows.reduce((sum, p) => sum + parseFloat(p.balance || 0), 0)
+    });
+
+    const workbook = createWorkbook();
+    const summarySheet = addTableSheet(workbook, 'Summary', [
+      { header: 'Project ID', key: 'id', width: 10, value: (p) => p.id },
+      { header: 'Project', key: 'project', width: 30, value: (p) => p.project_name },
+      { header: `Income (${describePeriod(period)})`, key: 'period_income', width: 20, format: 'amount', value: (p) => p.period_totals.income },
+      { header: `Expense (${describePeriod(period)})`, key: 'period_expense', width: 20, format: 'amount', value: (p) => p.period_totals.expense },
+      { header: `Balance (${describePeriod(period)})`, key: 'period_balance', width: 20, format: 'amount', value: (p) => p.period_totals.balance },
+      { header: 'Total Income (all time)', key: 'total_income', width: 22, format: 'amount', value: (p) => p.total_income },
+      { header: 'Total Expense (all time)', key: 'total_expense', width: 22, format: 'amount', value: (p) => p.total_expense },
+      { header: 'Balance (all time)', key: 'balance', width: 20, format: 'amount', value: (p) => p.balance },
+      { header: 'Created', key: 'created_at', width: 12, format: 'date', value: (p) => p.created_at }
+    ], projectRows);
+    summarySheet.lastRow.font = { bold: true };
+    addTableSheet(workbook, 'Tasks', TASK_XLSX_COLUMNS, allTasks);
+    addTableSheet(workbook, 'Transactions', TRANSACTION_XLSX_COLUMNS, allTransactions);
+    addTableSheet(workbook, 'Category Breakdown', CATEGORY_XLSX_COLUMNS, buildCategoryBreakdown(allTasks, allTransactions));
+
+    return sendWorkbook(res, workbook, 'financial_summary.xlsx');
+  }
+
   successResponse(res, 200, {
     summary: summary.rows
   }, 'Financial summary retrieved successfully');
@@ -0,0 +1,450 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { asyncHandler, successResponse, errorResponse } = require('../utils/helpers');
+const { authenticate } = require('../middleware/auth');
+const { checkProjectAccess } = require('../utils/projectAccess');
+const { updateProjectTotals } = require('../utils/projectTotals');
+const { validateEntryCategory } = require('../utils/categories');
+const { parseStatementUpload, readStatementRows, parseMomoStatement } = require('../utils/momoStatement');
+const { reconcileLines } = require('../utils/reconciliation');
+const { recordAudit } = require('../utils/audit');
+
+const LINE_STATUSES = ['unmatched', 'matched', 'created', 'ignored'];
+
+// Statement lines with the names of their (suggested) project and transaction
+const LINE_SELECT = `
+  SELECT sl.*,
+    p.project_name,
+    sp.project_name AS suggested_project_name,
+    st.transaction_date AS suggested_transaction_date,
+    st.description AS suggested_transaction_description
+  FROM statement_lines sl
+  LEFT JOIN projects p ON sl.project_id = p.id
+  LEFT JOIN projects sp ON sl.suggested_project_id = sp.id
+  LEFT JOIN transactions st ON sl.suggested_transaction_id = st.id`;
+
+// Helper function to load a statement line of the current user
+// Statement lines are private to the user who imported them
+const getOwnedLine = async (lineId, userId) => {
+  const result = await pool.query(`${LINE_SELECT} WHERE sl.id = $1 AND sl.user_id = $2`, [lineId, userId]);
+  return result.rows[0] || null;
+};
+
+const getLineWithNames = async (lineId) => {
+  const result = await pool.query(`${LINE_SELECT} WHERE sl.id = $1`, [lineId]);
+  return result.rows[0];
+};
+
+// @route   POST /api/statements/momo/import
+// @desc    Import a MoMo statement (CSV or XLSX, multipart field "file") and reconcile it with transactions
+// @access  Private
+router.post('/momo/import', authenticate, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const role = req.user.role;
+
+  const { file, error } = await parseStatementUpload(req, res);
+  if (error) {
+    return errorResponse(res, 400, error);
+  }
+  if (!file) {
+    return errorResponse(res, 400, 'A statement file is required (form field "file")');
+  }
+
+  // Optional default project for lines that match no transaction
+  const { project_id } = req.body;
+  if (project_id) {
+    const accessCheck = await checkProjectAccess(project_id, userId, role, 'manage_transactions');
+    if (!accessCheck.authorized) {
+      return errorResponse(res, 403, accessCheck.error);
+    }
+  }
+
+  const { rows, error: readError } = await readStatementRows(file);
+  if (readError) {
+    return errorResponse(res, 400, readError);
+  }
+
+  const statement = parseMomoStatement(rows);
+  if (statement.error) {
+    return errorResponse(res, 400, statement.error);
+  }
+  if (statement.lines.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No statement lines could be imported',
+      data: { errors: statement.errors }
+    });
+  }
+
+  // Lines already imported (same reference, or same line_key for lines without one) are skipped,
+  // so a statement can be imported again safely
+  const client = await pool.connect();
+  let statementImport;
+  const insertedLines = [];
+  try {
+    await client.query('BEGIN');
+
+    const importResult = await client.query(
+      `INSERT INTO statement_imports (user_id, source, project_id, original_name)
+       VALUES ($1, 'momo', $2, $3)
+       RETURNING *`,
+      [userId, project_id || null, file.originalname]
+    );
+    statementImport = importResult.rows[0];
+
+    for (const line of statement.lines) {
+      const lineResult = await client.query(
+        `INSERT INTO statement_lines (import_id, user_id, line_date, type, amount, fee, reference, line_key, counterparty, description)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT DO NOTHING
+         RETURNING *`,
+        [statementImport.id, userId, line.line_date, line.type, line.amount, line.fee, line.reference, line.line_key, line.counterparty, line.description]
+      );
+      if (lineResult.rows.length > 0) insertedLines.push(lineResult.rows[0]);
+    }
+
+    const countResult = await client.query(
+      'UPDATE statement_imports SET line_count = $1 WHERE id = $2 RETURNING *',
+      [insertedLines.length, statementImport.id]
+    );
+    statementImport = countResult.rows[0];
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const counts = await reconcileLines(insertedLines, userId, project_id);
+
+  successResponse(res, 201, {
+    import: statementImport,
+    summary: {
+      imported: insertedLines.length,
+      duplicates: statement.lines.length - insertedLines.length,
+      skipped_not_completed: statement.skipped,
+      invalid: statement.errors.length,
+      ...counts
+    },
+    errors: statement.errors
+  }, 'Statement imported successfully');
+}));
+
+// @route   GET /api/statements
+// @desc    Get statement imports of the current user with line counts per status
+// @access  Private
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    `SELECT si.*,
+       COUNT(sl.id) FILTER (WHERE sl.status = 'unmatched') AS unmatched_count,
+       COUNT(sl.id) FILTER (WHERE sl.status = 'matched') AS matched_count,
+       COUNT(sl.id) FILTER (WHERE sl.status = 'created') AS created_count,
+       COUNT(sl.id) FILTER (WHERE sl.status = 'ignored') AS ignored_count
+     FROM statement_imports si
+     LEFT JOIN statement_lines sl ON sl.import_id = si.id
+     WHERE si.user_id = $1
+     GROUP BY si.id
+     ORDER BY si.created_at DESC`,
+    [req.user.id]
+  );
+
+  successResponse(res, 200, {
+    imports: result.rows
+  }, 'Statement imports retrieved successfully');
+}));
+
+// @route   GET /api/statements/lines
+// @desc    Get statement lines to review (?status=unmatched by default, ?import_id=)
+// @access  Private
+router.get('/lines', authenticate, asyncHandler(async (req, res) => {
+  const { status = 'unmatched', import_id } = req.query;
+
+  if (status !== 'all' && !LINE_STATUSES.includes(status)) {
+    return errorResponse(res, 400, `Status must be one of: all, ${LINE_STATUSES.join(', ')}`);
+  }
+
+  const conditions = ['sl.user_id = $1'];
+  const params = [req.user.id];
+  if (status !== 'all') {
+    params.push(status);
+    conditions.push(`sl.status = $${params.length}`);
+  }
+  if (import_id) {
+    params.push(import_id);
+    conditions.push(`sl.import_id = $${params.length}`);
+  }
+
+  const result = await pool.query(
+    `${LINE_SELECT}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY sl.line_date DESC, sl.id DESC`,
+    params
+  );
+
+  successResponse(res, 200, {
+    lines: result.rows
+  }, 'Statement lines retrieved successfully');
+}));
+
+// @route   POST /api/statements/lines/:lineId/match
+// @desc    Confirm that a statement line is an existing transaction (defaults to the suggested one)
+// @access  Private
+router.post('/lines/:lineId/match', authenticate, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const role = req.user.role;
+
+  const line = await getOwnedLine(req.params.lineId, userId);
+  if (!line) {
+    return errorResponse(res, 404, 'Statement line not found');
+  }
+  if (line.status !== 'unmatched') {
+    return errorResponse(res, 400, `Statement line is already ${line.status}`);
+  }
+
+  const transactionId = req.body.transaction_id || line.suggested_transaction_id;
+  if (!transactionId) {
+    return errorResponse(res, 400, 'Transaction ID is required (no suggested match for this line)');
+  }
+
+  const transactionResult = await pool.query('SELECT * FROM transactions WHERE id = $1', [transactionId]);
+  if (transactionResult.rows.length === 0) {
+    return errorResponse(res, 404, 'Transaction not found');
+  }
+  const transaction = transactionResult.rows[0];
+
+  const accessCheck = await checkProjectAccess(transaction.project_id, userId, role, 'manage_transactions');
+  if (!accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
+  }
+
+  if (transaction.type !== line.type || parseFloat(transaction.amount) !== parseFloat(line.amount)) {
+    return errorResponse(res, 400, 'Transaction type and amount must be the same as the statement line');
+  }
+
+  const alreadyReconciled = await pool.query(
+    `SELECT id FROM statement_lines
+     WHERE transaction_id = $1 AND status IN ('matched', 'created') AND id <> $2`,
+    [transaction.id, line.id]
+  );
+  if (alreadyReconciled.rows.length > 0) {
+    return errorResponse(res, 400, 'Transaction is already reconciled with another statement line');
+  }
+
+  // Keep the MoMo reference on the transaction so future imports match it directly
+  if (line.reference && !transaction.reference) {
+    const updated = await pool.query(
+      'UPDATE transactions SET reference = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [line.reference, transaction.id]
+    );
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'transaction',
+      entityId: transaction.id,
+      projectId: transaction.project_id,
+      before: transaction,
+      after: updated.rows[0]
+    });
+  }
+
+  await pool.query(
+    `UPDATE statement_lines
+     SET status = 'matched', transaction_id = $1, project_id = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3`,
+    [transaction.id, transaction.project_id, line.id]
+  );
+
+  successResponse(res, 200, {
+    line: await getLineWithNames(line.id)
+  }, 'Statement line matched successfully');
+}));
+
+// @route   POST /api/statements/lines/:lineId/create
+// @desc    Create the missing transaction for a statement line (project defaults to the suggested one)
+// @access  Private
+router.post('/lines/:lineId/create', authenticate, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const role = req.user.role;
+  const { category_id, task_id, description } = req.body;
+
+  const line = await getOwnedLine(req.params.lineId, userId);
+  if (!line) {
+    return errorResponse(res, 404, 'Statement line not found');
+  }
+  if (line.status !== 'unmatched') {
+    return errorResponse(res, 400, `Statement line is already ${line.status}`);
+  }
+
+  const projectId = req.body.project_id || line.suggested_project_id;
+  if (!projectId) {
+    return errorResponse(res, 400, 'Project ID is required (no suggested project for this line)');
+  }
+
+  const accessCheck = await checkProjectAccess(projectId, userId, role, 'manage_transactions');
+  if (!accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
+  }
+
+  const categoryCheck = await validateEntryCategory(category_id, {
+    userId,
+    projectOwnerId: accessCheck.project.user_id,
+    type: line.type
+  });
+  if (!categoryCheck.valid) {
+    return errorResponse(res, 400, categoryCheck.error);
+  }
+
+  if (task_id) {
+    const taskResult = await pool.query('SELECT id FROM tasks WHERE id = $1 AND project_id = $2', [task_id, projectId]);
+    if (taskResult.rows.length === 0) {
+      return errorResponse(res, 400, 'Task does not belong to this project');
+    }
+  }
+
+  const defaultDescription = [line.description, line.counterparty].filter(Boolean).join(' - ') || 'MoMo transaction';
+
+  const result = await pool.query(
+    `INSERT INTO transactions (project_id, task_id, type, amount, description, transaction_date, category_id, reference)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [projectId, task_id || null, line.type, line.amount, description || defaultDescription, line.line_date, category_id || null, line.reference]
+  );
+  const transaction = result.rows[0];
+
+  await recordAudit(req, {
+    action: 'create',
+    entityType: 'transaction',
+    entityId: transaction.id,
+    projectId,
+    after: transaction
+  });
+
+  await pool.query(
+    `UPDATE statement_lines
+     SET status = 'created', transaction_id = $1, project_id = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3`,
+    [transaction.id, projectId, line.id]
+  );
+
+  // Update project totals
+  await updateProjectTotals(projectId);
+
+  successResponse(res, 201, {
+    line: await getLineWithNames(line.id),
+    transaction
+  }, 'Transaction created from statement line successfully');
+}));
+
+// @route   POST /api/statements/lines/:lineId/ignore
+// @desc    Mark a statement line as not related to any project (e.g. personal or internal transfers)
+// @access  Private
+router.post('/lines/:lineId/ignore', authenticate, asyncHandler(async (req, res) => {
+  const line = await getOwnedLine(req.params.lineId, req.user.id);
+  if (!line) {
+    return errorResponse(res, 404, 'Statement line not found');
+  }
+  if (line.status !== 'unmatched') {
+    return errorResponse(res, 400, `Statement line is already ${line.status}`);
+  }
+
+  await pool.query(
+    `UPDATE statement_lines SET status = 'ignored', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+    [line.id]
+  );
+
+  successResponse(res, 200, {
+    line: await getLineWithNames(line.id)
+  }, 'Statement line ignored');
+}));
+
+// @route   POST /api/statements/lines/:lineId/reset
+// @desc    Put a matched, created or ignored line back in the review queue (transactions are kept)
+// @access  Private
+router.post('/lines/:lineId/reset', authenticate, asyncHandler(async (req, res) => {
+  const line = await getOwnedLine(req.params.lineId, req.user.id);
+  if (!line) {
+    return errorResponse(res, 404, 'Statement line not found');
+  }
+
+  await pool.query(
+    `UPDATE statement_lines
+     SET status = 'unmatched', transaction_id = NULL, project_id = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [line.id]
+  );
+
+  successResponse(res, 200, {
+    line: await getLineWithNames(line.id)
+  }, 'Statement line reset successfully');
+}));
+
+// @route   GET /api/statements/:id
+// @desc    Get a statement import with its lines
+// @access  Private
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+  const importResult = await pool.query(
+    'SELECT * FROM statement_imports WHERE id = $1 AND user_id = $2',
+    [req.params.id, req.user.id]
+  );
+
+  if (importResult.rows.length === 0) {
+    return errorResponse(res, 404, 'Statement import not found');
+  }
+
+  const linesResult = await pool.query(
+    `${LINE_SELECT}
+     WHERE sl.import_id = $1
+     ORDER BY sl.line_date DESC, sl.id DESC`,
+    [req.params.id]
+  );
+
+  successResponse(res, 200, {
+    import: importResult.rows[0],
+    lines: linesResult.rows
+  }, 'Statement import retrieved successfully');
+}));
+
+// @route   POST /api/statements/:id/reconcile
+// @desc    Run matching again on the unmatched lines of an import (e.g. after adding transactions)
+// @access  Private
+router.post('/:id/reconcile', authenticate, asyncHandler(async (req, res) => {
+  const importResult = await pool.query(
+    'SELECT * FROM statement_imports WHERE id = $1 AND user_id = $2',
+    [req.params.id, req.user.id]
+  );
+
+  if (importResult.rows.length === 0) {
+    return errorResponse(res, 404, 'Statement import not found');
+  }
+
+  const linesResult = await pool.query(
+    `SELECT * FROM statement_lines WHERE import_id = $1 AND status = 'unmatched' ORDER BY line_date ASC, id ASC`,
+    [req.params.id]
+  );
+
+  const counts = await reconcileLines(linesResult.rows, req.user.id, importResult.rows[0].project_id);
+
+  successResponse(res, 200, {
+    summary: counts
+  }, 'Statement reconciled successfully');
+}));
+
+// @route   DELETE /api/statements/:id
+// @desc    Delete a statement import and its lines (transactions created from it are kept)
+// @access  Private
+router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
+  const result = await pool.query(
+    'DELETE FROM statement_imports WHERE id = $1 AND user_id = $2 RETURNING id',
+    [req.params.id, req.user.id]
+  );
+
+  if (result.rows.length === 0) {
+    return errorResponse(res, 404, 'Statement import not found');
+  }
+
+  successResponse(res, 200, {}, 'Statement import deleted successfully');
+}));
+
+module.exports = router;
@@ -3,76 +3,18 @@ const router = express.Router();
 const pool = require('../config/database');
 const { asyncHandler, successResponse, errorResponse } = require('../utils/helpers');
 const { authenticate } = require('../middleware/auth');
-
-// Helper function to check project access
-// Admins can only access their own projects, not other users' projects
-const checkProjectAccess = async (projectId, userId, role) => {
-  const projectCheck = await pool.query(
-    'SELECT user_id FROM projects WHERE id = $1',
-    [projectId]
-  );
-
-  if (projectCheck.rows.length === 0) {
-    return { authorized: false, error: 'Project not found' };
-  }
-
-  // All users (including admins) can only access their own projects
-  if (projectCheck.rows[0].user_id !== userId) {
-    return { authorized: false, error: 'Access denied to this project' };
-  }
-
-  return { authorized: true };
-};
-
-// Helper function to update project totals (including tasks and transactions)
-const updateProjectTotals = async (projectId) => {
-  // Calculate totals from transactions
-  const incomeTransactionsResult = await pool.query(
-    `SELECT COALESCE(SUM(amount), 0) as total 
-     FROM transactions 
-     WHERE project_id = $1 AND type = 'income'`,
-    [projectId]
-  );
-
-  const expenseTransactionsResult = await pool.query(
-    `SELECT COALESCE(SUM(amount), 0) as total 
-     FROM transactions 
-     WHERE project_id = $1 AND type = 'expense'`,
-    [projectId]
-  );
-
-  // Calculate totals from tasks
-  const incomeTasksResult = await pool.query(
-    `SELECT COALESCE(SUM(cost), 0) as total 
-     FROM tasks 
-     WHERE project_id = $1 AND type = 'income'`,
-    [projectId]
-  );
-
-  const expenseTasksResult = await pool.query(
-    `SELECT COALESCE(SUM(cost), 0) as total 
-     FROM tasks 
-     WHERE project_id = $1 AND type = 'expense'`,
-    [projectId]
-  );
-
-  const totalIncome = parseFloat(incomeTransactionsResult.rows[0].total) + parseFloat(incomeTasksResult.rows[0].total);
-  const totalExpense = parseFloat(expenseTransactionsResult.rows[0].total) + parseFloat(expenseTasksResult.rows[0].total);
-
-  // Update project totals (balance is auto-calculated)
-  await pool.query(
-    `UPDATE projects 
-     SET total_income = $1, total_expense = $2, updated_at = CURRENT_TIMESTAMP 
-     WHERE id = $3`,
-    [totalIncome, totalExpense, projectId]
-  );
-};
+const { checkProjectAccess, accessibleProjectsCondition } = require('../utils/projectAccess');
+const { updateProjectTotals } = require('../utils/projectTotals');
+const { categorySubtreeCondition, validateEntryCategory, validateCategoryType } = require('../utils/categories');
+const { parseUpload, saveAttachment, removeAttachmentFiles, getAttachments, formatAttachment } = require('../utils/attachments');
+const { sendCsv, TASK_CSV_COLUMNS } = require('../utils/csv');
+const { recordAudit } = require('../utils/audit');
 
 // @route   GET /api/tasks
-// @desc    Get all tasks (can filter by project_id, month/year, or date range)
+// @desc    Get all tasks (can filter by project_id, month/year, or date range; ?format=csv downloads a CSV)
 // @access  Private
 router.get('/', authenticate, asyncHandler(async (req, res) => {
-  const { project_id, month, year, start_date, end_date } = req.query;
+  const { project_id, category_id, month, year, start_date, end_date, format } = req.query;
   const userId = req.user.id;
   const role = req.user.role;
 
@@ -92,8 +34,8 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
     queryParams.push(project_id);
     paramIndex++;
   } else {
-    // All users (including admins) see only their own projects
-    whereConditions.push(`p.user_id = $${paramIndex}`);
+    // All users (including admins) see only their own projects and projects shared with them
+    whereConditions.push(accessibleProjectsCondition('p', `$${paramIndex}`));
     queryParams.push(userId);
     paramIndex++;
   }
@@ -147,18 +89,30 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
     }
   }
 
+  // Handle category filter (includes subcategories)
+  if (category_id) {
+    whereConditions.push(categorySubtreeCondition('t.category_id', `$${paramIndex}`));
+    queryParams.push(category_id);
+    paramIndex++;
+  }
+
   const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
   let tasks;
   tasks = await pool.query(
-    `SELECT t.*, p.project_name 
+    `SELECT t.*, p.project_name, c.name AS category_name
      FROM tasks t 
      JOIN projects p ON t.project_id = p.id 
+     LEFT JOIN categories c ON t.category_id = c.id
      ${whereClause}
      ORDER BY t.task_date DESC, t.created_at DESC`,
     queryParams
   );
 
+  if (format === 'csv') {
+    return sendCsv(res, 'tasks.csv', TASK_CSV_COLUMNS, tasks.rows);
+  }
+
   successResponse(res, 200, {
     tasks: tasks.rows
   }, 'Tasks retrieved successfully');
@@ -173,9 +127,10 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
   const role = req.user.role;
 
   const taskResult = await pool.query(
-    `SELECT t.*, p.project_name, p.user_id as project_owner_id
+    `SELECT t.*, p.project_name, p.user_id as project_owner_id, c.name AS category_name
      FROM tasks t 
      JOIN projects p ON t.project_id = p.id 
+     LEFT JOIN categories c ON t.category_id = c.id
      WHERE t.id = $1`,
     [id]
   );
@@ -186,8 +141,9 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
 
   const task = taskResult.rows[0];
 
-  // Check if user has access (admins can only access their own projects)
-  if (task.project_owner_id !== userId) {
+  // Check if user has access (admins can only access their own or shared projects)
+  const accessCheck = await checkProjectAccess(task.project_id, userId, role, 'view');
+  if (!accessCheck.authorized) {
     return errorResponse(res, 403, 'Access denied');
   }
 
@@ -202,7 +158,7 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
 router.post('/', authenticate, asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const role = req.user.role;
-  const { project_id, task_name, description, worker_name, worker_phone, cost, task_date, type } = req.body;
+  const { project_id, task_name, description, worker_name, worker_phone, cost, task_date, type, category_id } = req.body;
 
   if (!project_id || !task_name) {
     return errorResponse(res, 400, 'Project ID and task name are required');
@@ -212,19 +168,36 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
     return errorResponse(res, 400, 'Type must be either "income" or "expense"');
   }
 
-  // Check project access
-  const accessCheck = await checkProjectAccess(project_id, userId, role);
+  // Check project access (viewers cannot add tasks)
+  const accessCheck = await checkProjectAccess(project_id, userId, role, 'manage_tasks');
   if (!accessCheck.authorized) {
     return errorResponse(res, 403, accessCheck.error);
   }
 
+  const categoryCheck = await validateEntryCategory(category_id, {
+    userId,
+    projectOwnerId: accessCheck.project.user_id,
+    type
+  });
+  if (!categoryCheck.valid) {
+    return errorResponse(res, 400, categoryCheck.error);
+  }
+
   const result = await pool.query(
-    `INSERT INTO tasks (project_id, task_name, description, worker_name, worker_phone, cost, task_date, type) 
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
+    `INSERT INTO tasks (project_id, task_name, description, worker_name, worker_phone, cost, task_date, type, category_id) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
      RETURNING *`,
-    [project_id, task_name, description || null, worker_name || null, worker_phone || null, cost || 0, task_date || null, type || null]
+    [project_id, task_name, description || null, worker_name || null, worker_phone || null, cost || 0, task_date || null, type || null, category_id || null]
   );
 
+  await recordAudit(req, {
+    action: 'create',
+    entityType: 'task',
+    entityId: result.rows[0].id,
+    projectId: result.rows[0].project_id,
+    after: result.rows[0]
+  });
+
   // Update project totals
   await updateProjectTotals(project_id);
 
@@ -240,7 +213,7 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const userId = req.user.id;
   const role = req.user.role;
-  const { task_name, description, worker_name, worker_phone, cost, task_date, type } = req.body;
+  const { task_name, description, worker_name, worker_phone, cost, task_date, type, category_id } = req.body;
 
   // Get task and check access
   const taskResult = await pool.query(
@@ -255,14 +228,32 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
     return errorResponse(res, 404, 'Task not found');
   }
 
-  if (role !== 'admin' && taskResult.rows[0].project_owner_id !== userId) {
-    return errorResponse(res, 403, 'Access denied');
+  const accessCheck = await checkProjectAccess(taskResult.rows[0].project_id, userId, role, 'manage_tasks');
+  if (role !== 'admin' && !accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
   }
 
   if (type && type !== 'income' && type !== 'expense') {
     return errorResponse(res, 400, 'Type must be either "income" or "expense"');
   }
 
+  const categoryCheck = await validateEntryCategory(category_id, {
+    userId,
+    projectOwnerId: taskResult.rows[0].project_owner_id,
+    type: type || taskResult.rows[0].type
+  });
+  if (!categoryCheck.valid) {
+    return errorResponse(res, 400, categoryCheck.error);
+  }
+
+  // A new type must also suit the category the task keeps
+  if (category_id === undefined || category_id === null) {
+    const typeCheck = await validateCategoryType(taskResult.rows[0].category_id, type);
+    if (!typeCheck.valid) {
+      return errorResponse(res, 400, typeCheck.error);
+    }
+  }
+
   const projectId = taskResult.rows[0].project_id;
 
   const result = await pool.query(
@@ -274,12 +265,23 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
          cost = COALESCE($5, cost),
          task_date = COALESCE($6, task_date),
          type = COALESCE($7, type),
+         category_id = COALESCE($8, category_id),
          updated_at = CURRENT_TIMESTAMP
-     WHERE id = $8 
+     WHERE id = $9 
      RETURNING *`,
-    [task_name, description, worker_name, worker_phone, cost, task_date, type, id]
+    [task_name, description, worker_name, worker_phone, cost, task_date, type, category_id, id]
   );
 
+  const { project_owner_id: projectOwnerId, ...taskBefore } = taskResult.rows[0];
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'task',
+    entityId: result.rows[0].id,
+    projectId,
+    before: taskBefore,
+    after: result.rows[0]
+  });
+
   // Update project totals
   await updateProjectTotals(projectId);
 
@@ -288,6 +290,69 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
   }, 'Task updated successfully');
 }));
 
+// @route   GET /api/tasks/:id/attachments
+// @desc    Get attachments (receipts, documents) of a task
+// @access  Private
+router.get('/:id/attachments', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const role = req.user.role;
+
+  const taskResult = await pool.query('SELECT id, project_id FROM tasks WHERE id = $1', [id]);
+
+  if (taskResult.rows.length === 0) {
+    return errorResponse(res, 404, 'Task not found');
+  }
+
+  const accessCheck = await checkProjectAccess(taskResult.rows[0].project_id, userId, role, 'view');
+  if (!accessCheck.authorized) {
+    return errorResponse(res, 403, 'Access denied');
+  }
+
+  const attachments = await getAttachments('task_id', id);
+
+  successResponse(res, 200, {
+    attachments: attachments.map(formatAttachment)
+  }, 'Attachments retrieved successfully');
+}));
+
+// @route   POST /api/tasks/:id/attachments
+// @desc    Upload a receipt or document for a task (multipart/form-data, field "file")
+// @access  Private
+router.post('/:id/attachments', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const role = req.user.role;
+
+  const taskResult = await pool.query('SELECT id, project_id FROM tasks WHERE id = $1', [id]);
+
+  if (taskResult.rows.length === 0) {
+    return errorResponse(res, 404, 'Task not found');
+  }
+
+  const projectId = taskResult.rows[0].project_id;
+
+  // Check access before reading the file
+  const accessCheck = await checkProjectAccess(projectId, userId, role, 'manage_tasks');
+  if (!accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
+  }
+
+  const { file, error } = await parseUpload(req, res);
+  if (error) {
+    return errorResponse(res, 400, error);
+  }
+  if (!file) {
+    return errorResponse(res, 400, 'A file is required (form field "file")');
+  }
+
+  const attachment = await saveAttachment(file, { projectId, taskId: id, userId });
+
+  successResponse(res, 201, {
+    attachment: formatAttachment(attachment)
+  }, 'Attachment uploaded successfully');
+}));
+
 // @route   DELETE /api/tasks/:id
 // @desc    Delete task
 // @access  Private
@@ -309,15 +374,30 @@ router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
     return errorResponse(res, 404, 'Task not found');
   }
 
-  // Check if user has access (admins can only access their own projects)
-  if (taskResult.rows[0].project_owner_id !== userId) {
-    return errorResponse(res, 403, 'Access denied');
+  // Check if user has access (admins can only access their own or shared projects)
+  const accessCheck = await checkProjectAccess(taskResult.rows[0].project_id, userId, role, 'manage_tasks');
+  if (!accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
   }
 
   const projectId = taskResult.rows[0].project_id;
 
+  // Attachment rows are removed by ON DELETE CASCADE, their files are removed here
+  const attachments = await getAttachments('task_id', id);
+
   await pool.query('DELETE FROM tasks WHERE id = $1', [id]);
 
+  const { project_owner_id: projectOwnerId, ...taskBefore } = taskResult.rows[0];
+  await recordAudit(req, {
+    action: 'delete',
+    entityType: 'task',
+    entityId: taskBefore.id,
+    projectId,
+    before: taskBefore
+  });
+
+  await removeAttachmentFiles(attachments);
+
   // Update project totals
   await updateProjectTotals(projectId);
 
@@ -3,76 +3,89 @@ const router = express.Router();
 const pool = require('../config/database');
 const { asyncHandler, successResponse, errorResponse } = require('../utils/helpers');
 const { authenticate } = require('../middleware/auth');
-
-// Helper function to check project access
-// Admins can only access their own projects, not other users' projects
-const checkProjectAccess = async (projectId, userId, role) => {
-  const projectCheck = await pool.query(
-    'SELECT user_id FROM projects WHERE id = $1',
-    [projectId]
-  );
-
-  if (projectCheck.rows.length === 0) {
-    return { authorized: false, error: 'Project not found' };
+const { checkProjectAccess, accessibleProjectsCondition } = require('../utils/projectAccess');
+const { updateProjectTotals } = require('../utils/projectTotals');
+const { categorySubtreeCondition, validateEntryCategory, validateCategoryType } = require('../utils/categories');
+const { parseUpload, saveAttachment, removeAttachmentFiles, getAttachments, formatAttachment } = require('../utils/attachments');
+const { sendCsv, TRANSACTION_CSV_COLUMNS } = require('../utils/csv');
+const { releaseStatementLines } = require('../utils/reconciliation');
+const { parseBankStatementUpload, parseBankStatement } = require('../utils/bankStatement');
+const { recordAudit, recordAuditEntries } = require('../utils/audit');
+const {
+  IMPORT_FIELDS,
+  parseImportUpload,
+  readCsvImport,
+  suggestMapping,
+  parseMapping,
+  validateImportRows
+} = require('../utils/transactionImport');
+
+const TRANSACTION_STATUSES = ['posted', 'pending'];
+
+// Helper function shared by the import preview and commit steps
+// Parses the uploaded CSV and mapping, checks project access and validates every row
+// Sends the error response itself and returns null when the import can't go further
+const prepareImport = async (req, res) => {
+  const { file, error } = await parseImportUpload(req, res);
+  if (error) {
+    errorResponse(res, 400, error);
+    return null;
   }
-
-  // All users (including admins) can only access their own projects
-  if (projectCheck.rows[0].user_id !== userId) {
-    return { authorized: false, error: 'Access denied to this project' };
+  if (!file) {
+    errorResponse(res, 400, 'A CSV file is required (form field "file")');
+    return null;
   }
 
-  return { authorized: true };
-};
+  const { project_id, mapping: rawMapping, default_type, date_format } = req.body;
+  if (!project_id) {
+    errorResponse(res, 400, 'Project ID is required');
+    return null;
+  }
+  if (default_type && default_type !== 'income' && default_type !== 'expense') {
+    errorResponse(res, 400, 'Default type must be either "income" or "expense"');
+    return null;
+  }
+  if (date_format && date_format !== 'DMY' && date_format !== 'MDY') {
+    errorResponse(res, 400, 'Date format must be either "DMY" or "MDY"');
+    return null;
+  }
 
-// Helper function to update project totals (including tasks and transactions)
-const updateProjectTotals = async (projectId) => {
-  // Calculate totals from transactions
-  const incomeTransactionsResult = await pool.query(
-    `SELECT COALESCE(SUM(amount), 0) as total 
-     FROM transactions 
-     WHERE project_id = $1 AND type = 'income'`,
-    [projectId]
-  );
+  // Viewers cannot add transactions
+  const accessCheck = await checkProjectAccess(project_id, req.user.id, req.user.role, 'manage_transactions');
+  if (!accessCheck.authorized) {
+    errorResponse(res, 403, accessCheck.error);
+    return null;
+  }
 
-  const expenseTransactionsResult = await pool.query(
-    `SELECT COALESCE(SUM(amount), 0) as total 
-     FROM transactions 
-     WHERE project_id = $1 AND type = 'expense'`,
-    [projectId]
-  );
+  const csv = readCsvImport(file);
+  if (csv.error) {
+    errorResponse(res, 400, csv.error);
+    return null;
+  }
 
-  // Calculate totals from tasks
-  const incomeTasksResult = await pool.query(
-    `SELECT COALESCE(SUM(cost), 0) as total 
-     FROM tasks 
-     WHERE project_id = $1 AND type = 'income'`,
-    [projectId]
-  );
+  const { mapping, error: mappingError } = parseMapping(rawMapping, csv.headers);
+  if (mappingError) {
+    errorResponse(res, 400, mappingError);
+    return null;
+  }
 
-  const expenseTasksResult = await pool.query(
-    `SELECT COALESCE(SUM(cost), 0) as total 
-     FROM tasks 
-     WHERE project_id = $1 AND type = 'expense'`,
-    [projectId]
-  );
+  const tasksResult = await pool.query('SELECT id FROM tasks WHERE project_id = $1', [project_id]);
+  const taskIds = new Set(tasksResult.rows.map((task) => task.id));
 
-  const totalIncome = parseFloat(incomeTransactionsResult.rows[0].total) + parseFloat(incomeTasksResult.rows[0].total);
-  const totalExpense = parseFloat(expenseTransactionsResult.rows[0].total) + parseFloat(expenseTasksResult.rows[0].total);
+  const rows = validateImportRows(csv.records, csv.headers, mapping, {
+    taskIds,
+    defaultType: default_type,
+    dateFormat: date_format
+  });
 
-  // Update project totals (balance is auto-calculated)
-  await pool.query(
-    `UPDATE projects 
-     SET total_income = $1, total_expense = $2, updated_at = CURRENT_TIMESTAMP 
-     WHERE id = $3`,
-    [totalIncome, totalExpense, projectId]
-  );
+  return { projectId: accessCheck.project.id, headers: csv.headers, mapping, rows };
 };
 
 // @route   GET /api/transactions
-// @desc    Get all transactions (can filter by project_id, month/year, or date range)
+// @desc    Get all transactions (can filter by project_id, status, month/year, or date range; ?format=csv downloads a CSV)
 // @access  Private
 router.get('/', authenticate, asyncHandler(async (req, res) => {
-  const { project_id, month, year, start_date, end_date } = req.query;
+  const { project_id, category_id, status, month, year, start_date, end_date, format } = req.query;
   const userId = req.user.id;
   const role = req.user.role;
 
@@ -92,8 +105,8 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
     queryParams.push(project_id);
     paramIndex++;
   } else {
-    // All users (including admins) see only their own projects
-    whereConditions.push(`p.user_id = $${paramIndex}`);
+    // All users (including admins) see only their own projects and projects shared with them
+    whereConditions.push(accessibleProjectsCondition('p', `$${paramIndex}`));
     queryParams.push(userId);
     paramIndex++;
   }
@@ -147,18 +160,40 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
     }
   }
 
+  // Handle category filter (includes subcategories)
+  if (category_id) {
+    whereConditions.push(categorySubtreeCondition('t.category_id', `$${paramIndex}`));
+    queryParams.push(category_id);
+    paramIndex++;
+  }
+
+  // Handle status filter (pending = imported from a bank statement, not confirmed yet)
+  if (status) {
+    if (!TRANSACTION_STATUSES.includes(status)) {
+      return errorResponse(res, 400, `Status must be one of: ${TRANSACTION_STATUSES.join(', ')}`);
+    }
+    whereConditions.push(`t.status = $${paramIndex}`);
+    queryParams.push(status);
+    paramIndex++;
+  }
+
   const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
   let transactions;
   transactions = await pool.query(
-    `SELECT t.*, p.project_name 
+    `SELECT t.*, p.project_name, c.name AS category_name
      FROM transactions t 
      JOIN projects p ON t.project_id = p.id 
+     LEFT JOIN categories c ON t.category_id = c.id
      ${whereClause}
      ORDER BY t.transaction_date DESC, t.created_at DESC`,
     queryParams
   );
 
+  if (format === 'csv') {
+    return sendCsv(res, 'transactions.csv', TRANSACTION_CSV_COLUMNS, transactions.rows);
+  }
+
   successResponse(res, 200, {
     transactions: transactions.rows
   }, 'Transactions retrieved successfully');
@@ -173,9 +208,10 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
   const role = req.user.role;
 
   const transactionResult = await pool.query(
-    `SELECT t.*, p.project_name, p.user_id as project_owner_id
+    `SELECT t.*, p.project_name, p.user_id as project_owner_id, c.name AS category_name
      FROM transactions t 
      JOIN projects p ON t.project_id = p.id 
+     LEFT JOIN categories c ON t.category_id = c.id
      WHERE t.id = $1`,
     [id]
   );
@@ -186,8 +222,9 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
 
   const transaction = transactionResult.rows[0];
 
-  // Check if user has access (admins can only access their own projects)
-  if (transaction.project_owner_id !== userId) {
+  // Check if user has access (admins can only access their own or shared projects)
+  const accessCheck = await checkProjectAccess(transaction.project_id, userId, role, 'view');
+  if (!accessCheck.authorized) {
     return errorResponse(res, 403, 'Access denied');
   }
 
@@ -202,7 +239,7 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
 router.post('/', authenticate, asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const role = req.user.role;
-  const { project_id, task_id, type, amount, description, transaction_date } = req.body;
+  const { project_id, task_id, type, amount, description, transaction_date, category_id, reference } = req.body;
 
   if (!project_id || !type || !amount) {
     return errorResponse(res, 400, 'Project ID, type, and amount are required');
@@ -212,20 +249,37 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
     return errorResponse(res, 400, 'Type must be either "income" or "expense"');
   }
 
-  // Check project access
-  const accessCheck = await checkProjectAccess(project_id, userId, role);
+  // Check project access (viewers cannot add transactions)
+  const accessCheck = await checkProjectAccess(project_id, userId, role, 'manage_transactions');
   if (!accessCheck.authorized) {
     return errorResponse(res, 403, accessCheck.error);
   }
 
+  const categoryCheck = await validateEntryCategory(category_id, {
+    userId,
+    projectOwnerId: accessCheck.project.user_id,
+    type
+  });
+  if (!categoryCheck.valid) {
+    return errorResponse(res, 400, categoryCheck.error);
+  }
+
   // Insert transaction
   const result = await pool.query(
-    `INSERT INTO transactions (project_id, task_id, type, amount, description, transaction_date) 
-     VALUES ($1, $2, $3, $4, $5, $6) 
+    `INSERT INTO transactions (project_id, task_id, type, amount, description, transaction_date, category_id, reference) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
      RETURNING *`,
-    [project_id, task_id || null, type, amount, description || null, transaction_date || null]
+    [project_id, task_id || null, type, amount, description || null, transaction_date || null, category_id || null, reference || null]
   );
 
+  await recordAudit(req, {
+    action: 'create',
+    entityType: 'transaction',
+    entityId: result.rows[0].id,
+    projectId: result.rows[0].project_id,
+    after: result.rows[0]
+  });
+
   // Update project totals
   await updateProjectTotals(project_id);
 
@@ -234,6 +288,276 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
   }, 'Transaction created successfully');
 }));
 
+// @route   POST /api/transactions/import/preview
+// @desc    Dry run of a CSV import: returns the parsed rows with validation errors, nothing is saved
+// @access  Private
+router.post('/import/preview', authenticate, asyncHandler(async (req, res) => {
+  const importData = await prepareImport(req, res);
+  if (!importData) return;
+
+  const { headers, mapping, rows } = importData;
+  const invalidCount = rows.filter((row) => row.errors.length > 0).length;
+
+  successResponse(res, 200, {
+    headers,
+    fields: IMPORT_FIELDS,
+    mapping,
+    suggested_mapping: suggestMapping(headers),
+    summary: {
+      total: rows.length,
+      valid: rows.length - invalidCount,
+      invalid: invalidCount
+    },
+    rows
+  }, 'Import preview generated successfully');
+}));
+
+// @route   POST /api/transactions/import
+// @desc    Import transactions from a CSV (all rows in one database transaction, then update project totals)
+// @access  Private
+router.post('/import', authenticate, asyncHandler(async (req, res) => {
+  const importData = await prepareImport(req, res);
+  if (!importData) return;
+
+  const { projectId, rows } = importData;
+  const skipInvalid = req.body.skip_invalid === true || req.body.skip_invalid === 'true';
+  const invalidRows = rows.filter((row) => row.errors.length > 0);
+  const validRows = rows.filter((row) => row.errors.length === 0);
+
+  if (invalidRows.length > 0 && !skipInvalid) {
+    return res.status(400).json({
+      success: false,
+      message: `${invalidRows.length} row(s) have errors. Fix them or send skip_invalid=true to import only the valid rows`,
+      data: {
+        errors: invalidRows.map((row) => ({ row: row.row, errors: row.errors }))
+      }
+    });
+  }
+
+  if (validRows.length === 0) {
+    return errorResponse(res, 400, 'No valid rows to import');
+  }
+
+  const client = await pool.connect();
+  const created = [];
+  try {
+    await client.query('BEGIN');
+    for (const row of validRows) {
+      const result = await client.query(
+        `INSERT INTO transactions (project_id, task_id, type, amount, description, transaction_date) 
+         VALUES ($1, $2, $3, $4, $5, $6) 
+         RETURNING *`,
+        [projectId, row.data.task_id, row.data.type, row.data.amount, row.data.description, row.data.transaction_date]
+      );
+      created.push(result.rows[0]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Update project totals once for the whole import
+  await updateProjectTotals(projectId);
+
+  await recordAuditEntries(req, created.map((transaction) => ({
+    action: 'create',
+    entityType: 'transaction',
+    entityId: transaction.id,
+    projectId,
+    after: transaction
+  })));
+
+  successResponse(res, 201, {
+    imported: created.length,
+    skipped: invalidRows.length,
+    skipped_rows: invalidRows.map((row) => ({ row: row.row, errors: row.errors })),
+    transactions: created
+  }, `${created.length} transaction(s) imported successfully`);
+}));
+
+// @route   POST /api/transactions/import/bank
+// @desc    Import an OFX or CAMT.053 bank statement as pending transactions (entries already imported are skipped)
+// @access  Private
+router.post('/import/bank', authenticate, asyncHandler(async (req, res) => {
+  const { file, error } = await parseBankStatementUpload(req, res);
+  if (error) {
+    return errorResponse(res, 400, error);
+  }
+  if (!file) {
+    return errorResponse(res, 400, 'A statement file is required (form field "file")');
+  }
+
+  const { project_id } = req.body;
+  if (!project_id) {
+    return errorResponse(res, 400, 'Project ID is required');
+  }
+
+  // Viewers cannot add transactions
+  const accessCheck = await checkProjectAccess(project_id, req.user.id, req.user.role, 'manage_transactions');
+  if (!accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
+  }
+
+  const statement = parseBankStatement(file.buffer);
+  if (statement.error) {
+    return errorResponse(res, 400, statement.error);
+  }
+  if (statement.entries.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No statement entries could be imported',
+      data: { errors: statement.errors }
+    });
+  }
+
+  const projectId = accessCheck.project.id;
+  const client = await pool.connect();
+  const created = [];
+  try {
+    await client.query('BEGIN');
+    for (const entry of statement.entries) {
+      // external_id is unique within a project, so an entry imported into this project before is skipped
+      const result = await client.query(
+        `INSERT INTO transactions (project_id, type, amount, description, transaction_date, reference, external_id, status) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending') 
+         ON CONFLICT (project_id, external_id) DO NOTHING
+         RETURNING *`,
+        [projectId, entry.type, entry.amount, entry.description, entry.date, entry.reference, entry.external_id]
+      );
+      if (result.rows.length > 0) created.push(result.rows[0]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await recordAuditEntries(req, created.map((transaction) => ({
+    action: 'create',
+    entityType: 'transaction',
+    entityId: transaction.id,
+    projectId,
+    after: transaction
+  })));
+
+  // No updateProjectTotals here: pending transactions only count once they are confirmed
+  successResponse(res, 201, {
+    format: statement.format,
+    account: statement.account,
+    imported: created.length,
+    duplicates: statement.entries.length - created.length,
+    invalid: statement.errors.length,
+    errors: statement.errors,
+    transactions: created
+  }, `${created.length} pending transaction(s) imported successfully`);
+}));
+
+// @route   POST /api/transactions/confirm-pending
+// @desc    Confirm pending transactions of a project (all of them, or the given transaction_ids)
+// @access  Private
+router.post('/confirm-pending', authenticate, asyncHandler(async (req, res) => {
+  const { project_id, transaction_ids } = req.body;
+
+  if (!project_id) {
+    return errorResponse(res, 400, 'Project ID is required');
+  }
+  if (transaction_ids !== undefined && (
+    !Array.isArray(transaction_ids)
+    || transaction_ids.length === 0
+    || transaction_ids.some((transactionId) => !Number.isInteger(Number(transactionId)))
+  )) {
+    return errorResponse(res, 400, 'Transaction IDs must be a non-empty array of IDs');
+  }
+
+  const accessCheck = await checkProjectAccess(project_id, req.user.id, req.user.role, 'manage_transactions');
+  if (!accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
+  }
+
+  const result = transaction_ids
+    ? await pool.query(
+      `UPDATE transactions SET status = 'posted', updated_at = CURRENT_TIMESTAMP
+       WHERE project_id = $1 AND status = 'pending' AND id = ANY($2::int[])
+       RETURNING *`,
+      [project_id, transaction_ids]
+    )
+    : await pool.query(
+      `UPDATE transactions SET status = 'posted', updated_at = CURRENT_TIMESTAMP
+       WHERE project_id = $1 AND status = 'pending'
+       RETURNING *`,
+      [project_id]
+    );
+
+  // Update project totals
+  await updateProjectTotals(project_id);
+
+  await recordAuditEntries(req, result.rows.map((transaction) => ({
+    action: 'update',
+    entityType: 'transaction',
+    entityId: transaction.id,
+    projectId: transaction.project_id,
+    before: { ...transaction, status: 'pending' },
+    after: transaction
+  })));
+
+  successResponse(res, 200, {
+    confirmed: result.rows.length,
+    transactions: result.rows
+  }, `${result.rows.length} transaction(s) confirmed successfully`);
+}));
+
+// @route   POST /api/transactions/:id/confirm
+// @desc    Confirm a pending transaction (it then counts in project totals)
+// @access  Private
+router.post('/:id/confirm', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const transactionResult = await pool.query('SELECT * FROM transactions WHERE id = $1', [id]);
+
+  if (transactionResult.rows.length === 0) {
+    return errorResponse(res, 404, 'Transaction not found');
+  }
+
+  const projectId = transactionResult.rows[0].project_id;
+
+  const accessCheck = await checkProjectAccess(projectId, req.user.id, req.user.role, 'manage_transactions');
+  if (!accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
+  }
+
+  if (transactionResult.rows[0].status !== 'pending') {
+    return errorResponse(res, 400, 'Transaction is not pending');
+  }
+
+  const result = await pool.query(
+    `UPDATE transactions SET status = 'posted', updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [id]
+  );
+
+  // Update project totals
+  await updateProjectTotals(projectId);
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'transaction',
+    entityId: result.rows[0].id,
+    projectId,
+    before: transactionResult.rows[0],
+    after: result.rows[0]
+  });
+
+  successResponse(res, 200, {
+    transaction: result.rows[0]
+  }, 'Transaction confirmed successfully');
+}));
+
 // @route   PUT /api/transactions/:id
 // @desc    Update transaction (and update project totals)
 // @access  Private
@@ -241,7 +565,7 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const userId = req.user.id;
   const role = req.user.role;
-  const { type, amount, description, transaction_date } = req.body;
+  const { type, amount, description, transaction_date, category_id, reference } = req.body;
 
   // Get transaction and check access
   const transactionResult = await pool.query(
@@ -256,8 +580,26 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
     return errorResponse(res, 404, 'Transaction not found');
   }
 
-  if (role !== 'admin' && transactionResult.rows[0].project_owner_id !== userId) {
-    return errorResponse(res, 403, 'Access denied');
+  const accessCheck = await checkProjectAccess(transactionResult.rows[0].project_id, userId, role, 'manage_transactions');
+  if (role !== 'admin' && !accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
+  }
+
+  const categoryCheck = await validateEntryCategory(category_id, {
+    userId,
+    projectOwnerId: transactionResult.rows[0].project_owner_id,
+    type: type || transactionResult.rows[0].type
+  });
+  if (!categoryCheck.valid) {
+    return errorResponse(res, 400, categoryCheck.error);
+  }
+
+  // A new type must also suit the category the transaction keeps
+  if (category_id === undefined || category_id === null) {
+    const typeCheck = await validateCategoryType(transactionResult.rows[0].category_id, type);
+    if (!typeCheck.valid) {
+      return errorResponse(res, 400, typeCheck.error);
+    }
   }
 
   const projectId = transactionResult.rows[0].project_id;
@@ -269,12 +611,24 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
          amount = COALESCE($2, amount),
          description = COALESCE($3, description),
          transaction_date = COALESCE($4, transaction_date),
+         category_id = COALESCE($5, category_id),
+         reference = COALESCE($6, reference),
          updated_at = CURRENT_TIMESTAMP
-     WHERE id = $5 
+     WHERE id = $7 
      RETURNING *`,
-    [type, amount, description, transaction_date, id]
+    [type, amount, description, transaction_date, category_id, reference, id]
   );
 
+  const { project_owner_id: projectOwnerId, ...transactionBefore } = transactionResult.rows[0];
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'transaction',
+    entityId: result.rows[0].id,
+    projectId,
+    before: transactionBefore,
+    after: result.rows[0]
+  });
+
   // Update project totals
   await updateProjectTotals(projectId);
 
@@ -283,6 +637,69 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
   }, 'Transaction updated successfully');
 }));
 
+// @route   GET /api/transactions/:id/attachments
+// @desc    Get attachments (receipts, documents) of a transaction
+// @access  Private
+router.get('/:id/attachments', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const role = req.user.role;
+
+  const transactionResult = await pool.query('SELECT id, project_id FROM transactions WHERE id = $1', [id]);
+
+  if (transactionResult.rows.length === 0) {
+    return errorResponse(res, 404, 'Transaction not found');
+  }
+
+  const accessCheck = await checkProjectAccess(transactionResult.rows[0].project_id, userId, role, 'view');
+  if (!accessCheck.authorized) {
+    return errorResponse(res, 403, 'Access denied');
+  }
+
+  const attachments = await getAttachments('transaction_id', id);
+
+  successResponse(res, 200, {
+    attachments: attachments.map(formatAttachment)
+  }, 'Attachments retrieved successfully');
+}));
+
+// @route   POST /api/transactions/:id/attachments
+// @desc    Upload a receipt or document for a transaction (multipart/form-data, field "file")
+// @access  Private
+router.post('/:id/attachments', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  const role = req.user.role;
+
+  const transactionResult = await pool.query('SELECT id, project_id FROM transactions WHERE id = $1', [id]);
+
+  if (transactionResult.rows.length === 0) {
+    return errorResponse(res, 404, 'Transaction not found');
+  }
+
+  const projectId = transactionResult.rows[0].project_id;
+
+  // Check access before reading the file
+  const accessCheck = await checkProjectAccess(projectId, userId, role, 'manage_transactions');
+  if (!accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
+  }
+
+  const { file, error } = await parseUpload(req, res);
+  if (error) {
+    return errorResponse(res, 400, error);
+  }
+  if (!file) {
+    return errorResponse(res, 400, 'A file is required (form field "file")');
+  }
+
+  const attachment = await saveAttachment(file, { projectId, transactionId: id, userId });
+
+  successResponse(res, 201, {
+    attachment: formatAttachment(attachment)
+  }, 'Attachment uploaded successfully');
+}));
+
 // @route   DELETE /api/transactions/:id
 // @desc    Delete transaction (and update project totals)
 // @access  Private
@@ -304,15 +721,33 @@ router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
     return errorResponse(res, 404, 'Transaction not found');
   }
 
-  // Check if user has access (admins can only access their own projects)
-  if (transactionResult.rows[0].project_owner_id !== userId) {
-    return errorResponse(res, 403, 'Access denied');
+  // Check if user has access (admins can only access their own or shared projects)
+  const accessCheck = await checkProjectAccess(transactionResult.rows[0].project_id, userId, role, 'manage_transactions');
+  if (!accessCheck.authorized) {
+    return errorResponse(res, 403, accessCheck.error);
   }
 
   const projectId = transactionResult.rows[0].project_id;
 
+  // Attachment rows are removed by ON DELETE CASCADE, their files are removed here
+  const attachments = await getAttachments('transaction_id', id);
+
+  // Statement lines reconciled with this transaction go back to the review queue
+  await releaseStatementLines({ transactionId: id });
+
   await pool.query('DELETE FROM transactions WHERE id = $1', [id]);
 
+  const { project_owner_id: projectOwnerId, ...transactionBefore } = transactionResult.rows[0];
+  await recordAudit(req, {
+    action: 'delete',
+    entityType: 'transaction',
+    entityId: transactionBefore.id,
+    projectId,
+    before: transactionBefore
+  });
+
+  await removeAttachmentFiles(attachments);
+
   // Update project totals
   await updateProjectTotals(projectId);
 
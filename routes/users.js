@@ -1,8 +1,17 @@
 const express = require('express');
 const router = express.Router();
+const bcrypt = require('bcryptjs');
 const pool = require('../config/database');
 const { asyncHandler, successResponse, errorResponse } = require('../utils/helpers');
 const { authenticate, isAdmin } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { getPlanById } = require('../utils/plans');
+const { disableTwoFactor } = require('../utils/twoFactor');
+const { unlockAccount } = require('../utils/loginThrottle');
+const { generateTemporaryPassword } = require('../utils/passwordReset');
+const { revokeUserSessions } = require('../utils/sessions');
+const { sendTemporaryPasswordEmail } = require('../utils/emailService');
+const { sendEmailVerification } = require('../utils/emailVerification');
 
 // @route   GET /api/users
 // @desc    Get all users (Admin only)
@@ -16,7 +25,14 @@ router.get('/', authenticate, isAdmin, asyncHandler(async (req, res) => {
        u.phone,
        u.role,
        u.approve_user,
+       u.two_factor_enabled,
+       u.locked_until,
+       u.must_change_password,
+       u.email_verified,
        u.created_at,
+       u.plan_id,
+       pl.code AS plan_code,
+       pl.name AS plan_name,
        (
          SELECT up.status
          FROM user_payments up
@@ -27,6 +43,7 @@ router.get('/', authenticate, isAdmin, asyncHandler(async (req, res) => {
          LIMIT 1
        ) AS payment_status
      FROM users u
+     LEFT JOIN plans pl ON u.plan_id = pl.id
      ORDER BY u.created_at DESC`
   );
 
@@ -46,7 +63,14 @@ router.get('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
        u.phone,
        u.role,
        u.approve_user,
+       u.two_factor_enabled,
+       u.locked_until,
+       u.must_change_password,
+       u.email_verified,
        u.created_at,
+       u.plan_id,
+       pl.code AS plan_code,
+       pl.name AS plan_name,
        (
          SELECT up.status
          FROM user_payments up
@@ -57,6 +81,7 @@ router.get('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
          LIMIT 1
        ) AS payment_status
      FROM users u
+     LEFT JOIN plans pl ON u.plan_id = pl.id
      WHERE u.id = $1`,
     [id]
   );
@@ -75,27 +100,181 @@ router.get('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
 // @access  Private (Admin)
 router.put('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { username, email, phone, role } = req.body;
+  const { username, email, phone, role, plan_id } = req.body;
 
+  if (plan_id !== undefined && plan_id !== null) {
+    const plan = await getPlanById(plan_id);
+    if (!plan) {
+      return errorResponse(res, 404, 'Plan not found');
+    }
+    if (!plan.is_active) {
+      return errorResponse(res, 400, 'This plan is no longer available');
+    }
+  }
+
+  const userBefore = await pool.query(
+    'SELECT id, username, email, phone, role, approve_user, plan_id, email_verified FROM users WHERE id = $1',
+    [id]
+  );
+
+  // A new address has to be verified again
   const result = await pool.query(
     `UPDATE users 
      SET username = COALESCE($1, username),
          email = COALESCE($2, email),
          phone = COALESCE($3, phone),
          role = COALESCE($4, role),
+         plan_id = COALESCE($5, plan_id),
+         email_verified = CASE WHEN $2 IS NOT NULL AND $2 <> email THEN false ELSE email_verified END,
+         email_verified_at = CASE WHEN $2 IS NOT NULL AND $2 <> email THEN NULL ELSE email_verified_at END,
          updated_at = CURRENT_TIMESTAMP
-     WHERE id = $5 
-     RETURNING id, username, email, phone, role, approve_user`,
-    [username, email, phone, role, id]
+     WHERE id = $6 
+     RETURNING id, username, email, phone, role, approve_user, plan_id, email_verified`,
+    [username, email, phone, role, plan_id, id]
   );
 
   if (result.rows.length === 0) {
     return errorResponse(res, 404, 'User not found');
   }
 
+  const emailChanged = result.rows[0].email !== userBefore.rows[0].email;
+  if (emailChanged) {
+    await sendEmailVerification(result.rows[0]);
+  }
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'user',
+    entityId: result.rows[0].id,
+    before: userBefore.rows[0],
+    after: result.rows[0]
+  });
+
   successResponse(res, 200, {
     user: result.rows[0]
-  }, 'User updated successfully');
+  }, emailChanged ? 'User updated successfully. A verification link was sent to the new email address' : 'User updated successfully');
+}));
+
+// @route   POST /api/users/:id/temporary-password
+// @desc    Give a user a new temporary password and email it to them (Admin only)
+//          `force_change` (default true) makes them choose their own password when they next log in
+// @access  Private (Admin)
+router.post('/:id/temporary-password', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const forceChange = req.body.force_change !== false;
+
+  const userCheck = await pool.query('SELECT id, username, email FROM users WHERE id = $1', [id]);
+  if (userCheck.rows.length === 0) {
+    return errorResponse(res, 404, 'User not found');
+  }
+
+  if (parseInt(id) === req.user.id) {
+    return errorResponse(res, 400, 'Use PUT /api/auth/update-password for your own account');
+  }
+
+  const user = userCheck.rows[0];
+  const temporaryPassword = generateTemporaryPassword();
+  const saltRounds = 10;
+  const hashedPassword = await bcrypt.hash(temporaryPassword, saltRounds);
+
+  // Any reset link still out stops working, and a lockout ends: the admin has handed over the way back in
+  await pool.query(
+    `UPDATE users
+     SET password = $1,
+         must_change_password = $2,
+         reset_token = NULL,
+         reset_token_expires = NULL,
+         failed_login_count = 0,
+         last_failed_login_at = NULL,
+         locked_until = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3`,
+    [hashedPassword, forceChange, user.id]
+  );
+  await revokeUserSessions(user.id, 'password_changed');
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'user',
+    entityId: user.id,
+    after: { password_changed: true, reason: 'admin_temporary_password', must_change_password: forceChange }
+  });
+
+  let emailSent = true;
+  try {
+    await sendTemporaryPasswordEmail(user.email, temporaryPassword, { mustChange: forceChange });
+  } catch (error) {
+    console.error('Error sending temporary password email:', error);
+    emailSent = false;
+  }
+
+  // Returned to the admin as well, to hand over another way if the email doesn't arrive
+  successResponse(res, 200, {
+    temporary_password: temporaryPassword,
+    must_change_password: forceChange,
+    email_sent: emailSent
+  }, emailSent ? 'Temporary password set and emailed to the user' : 'Temporary password set, but the email could not be sent');
+}));
+
+// @route   POST /api/users/:id/unlock
+// @desc    Unlock an account locked after failed logins and clear its failed login count (Admin only)
+// @access  Private (Admin)
+router.post('/:id/unlock', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const userCheck = await pool.query(
+    'SELECT id, failed_login_count, locked_until FROM users WHERE id = $1',
+    [id]
+  );
+  if (userCheck.rows.length === 0) {
+    return errorResponse(res, 404, 'User not found');
+  }
+
+  const user = userCheck.rows[0];
+  await unlockAccount(user.id);
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'user',
+    entityId: user.id,
+    before: { failed_login_count: user.failed_login_count, locked_until: user.locked_until },
+    after: { failed_login_count: 0, locked_until: null }
+  });
+
+  successResponse(res, 200, {}, 'Account unlocked');
+}));
+
+// @route   DELETE /api/users/:id/two-factor
+// @desc    Turn off a user's two-factor authentication, e.g. after they lost their phone and recovery codes (Admin only)
+// @access  Private (Admin)
+router.delete('/:id/two-factor', authenticate, isAdmin, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const userCheck = await pool.query('SELECT id, two_factor_enabled FROM users WHERE id = $1', [id]);
+  if (userCheck.rows.length === 0) {
+    return errorResponse(res, 404, 'User not found');
+  }
+
+  // Admins use their own password and code instead
+  if (parseInt(id) === req.user.id) {
+    return errorResponse(res, 400, 'Use POST /api/auth/2fa/disable for your own account');
+  }
+
+  if (!userCheck.rows[0].two_factor_enabled) {
+    return errorResponse(res, 400, 'Two-factor authentication is not enabled for this user');
+  }
+
+  await disableTwoFactor(userCheck.rows[0].id);
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'user',
+    entityId: userCheck.rows[0].id,
+    before: { two_factor_enabled: true },
+    after: { two_factor_enabled: false, reason: 'admin_reset' }
+  });
+
+  successResponse(res, 200, {}, 'Two-factor authentication turned off for this user');
 }));
 
 // @route   DELETE /api/users/:id
@@ -106,7 +285,7 @@ router.delete('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
 
   // Check if user exists
   const userCheck = await pool.query(
-    'SELECT id FROM users WHERE id = $1',
+    'SELECT id, username, email, phone, role, approve_user, plan_id FROM users WHERE id = $1',
     [id]
   );
 
@@ -121,6 +300,13 @@ router.delete('/:id', authenticate, isAdmin, asyncHandler(async (req, res) => {
 
   await pool.query('DELETE FROM users WHERE id = $1', [id]);
 
+  await recordAudit(req, {
+    action: 'delete',
+    entityType: 'user',
+    entityId: userCheck.rows[0].id,
+    before: userCheck.rows[0]
+  });
+
   successResponse(res, 200, {}, 'User deleted successfully');
 }));
 
@@ -0,0 +1,85 @@
+const pool = require('../config/database');
+const { getStorage } = require('./storage');
+const { createUploadParser } = require('./upload');
+
+// Receipts are usually photos or PDFs
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'application/pdf'];
+const MAX_FILE_SIZE_MB = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10;
+
+// Helper function to parse a receipt upload (field name "file")
+const parseUpload = createUploadParser({
+  allowedMimeTypes: ALLOWED_MIME_TYPES,
+  maxSizeMb: MAX_FILE_SIZE_MB,
+  checkContent: true
+});
+
+// Helper function to store an uploaded file and record it against a task or transaction
+const saveAttachment = async (file, { projectId, taskId = null, transactionId = null, userId }) => {
+  const storage = getStorage();
+  const storageKey = await storage.save({
+    buffer: file.buffer,
+    originalName: file.originalname,
+    mimeType: file.mimetype
+  });
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO attachments (project_id, task_id, transaction_id, original_name, mime_type, size_bytes, storage_backend, storage_key, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [projectId, taskId, transactionId, file.originalname, file.mimetype, file.size, storage.name, storageKey, userId]
+    );
+    return result.rows[0];
+  } catch (error) {
+    // Don't leave an orphaned file behind
+    await storage.remove(storageKey).catch(() => {});
+    throw error;
+  }
+};
+
+const readAttachment = async (attachment) => getStorage(attachment.storage_backend).read(attachment.storage_key);
+
+// Helper function to delete stored files (rows are removed by the caller or by ON DELETE CASCADE)
+const removeAttachmentFiles = async (attachments) => {
+  for (const attachment of attachments) {
+    try {
+      await getStorage(attachment.storage_backend).remove(attachment.storage_key);
+    } catch (error) {
+      console.error(`Failed to remove attachment file ${attachment.storage_key}:`, error);
+    }
+  }
+};
+
+// Helper function to load attachments for a column (task_id, transaction_id or project_id)
+const getAttachments = async (columnName, id) => {
+  const result = await pool.query(
+    `SELECT * FROM attachments WHERE ${columnName} = $1 ORDER BY created_at ASC`,
+    [id]
+  );
+  return result.rows;
+};
+
+// Public shape of an attachment (storage details stay server-side)
+const formatAttachment = (attachment) => ({
+  id: attachment.id,
+  project_id: attachment.project_id,
+  task_id: attachment.task_id,
+  transaction_id: attachment.transaction_id,
+  original_name: attachment.original_name,
+  mime_type: attachment.mime_type,
+  size_bytes: attachment.size_bytes,
+  uploaded_by: attachment.uploaded_by,
+  created_at: attachment.created_at,
+  download_url: `/api/attachments/${attachment.id}/download`
+});
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  MAX_FILE_SIZE_MB,
+  parseUpload,
+  saveAttachment,
+  readAttachment,
+  removeAttachmentFiles,
+  getAttachments,
+  formatAttachment
+};
@@ -0,0 +1,137 @@
+const pool = require('../config/database');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+const AUDIT_ENTITY_TYPES = ['project', 'project_budget', 'project_member', 'task', 'transaction', 'user', 'payment', 'plan', 'coupon', 'setting'];
+
+// Never written to the audit log (password changes are recorded as { password_changed: true })
+const SENSITIVE_FIELDS = ['password', 'reset_token', 'reset_token_expires', 'two_factor_secret', 'two_factor_pending_secret'];
+
+// Bookkeeping columns left out when listing what changed
+const IGNORED_CHANGE_FIELDS = ['updated_at'];
+
+// Rows written per INSERT for bulk operations (imports), well below PostgreSQL's parameter limit
+const AUDIT_BATCH_SIZE = 500;
+
+const sanitizeAuditData = (data) => {
+  if (!data) return null;
+  const clean = { ...data };
+  SENSITIVE_FIELDS.forEach((field) => delete clean[field]);
+  return clean;
+};
+
+// Helper function to record audit entries for the current request
+// Each entry is { action, entityType, entityId, projectId, before, after, actorId }
+// actorId defaults to the authenticated user (set it for public routes such as registration)
+// `req` is null for scheduled jobs: the entry is then recorded without actor, IP or user agent
+// Failures are logged and never break the request: the change itself has already been saved
+const recordAuditEntries = async (req, entries) => {
+  if (entries.length === 0) return;
+
+  const user = req ? req.user : null;
+  const actorRole = user ? user.role : null;
+  const ipAddress = req ? req.ip || (req.socket && req.socket.remoteAddress) || null : null;
+  const userAgent = req ? req.get('user-agent') || null : null;
+
+  try {
+    for (let start = 0; start < entries.length; start += AUDIT_BATCH_SIZE) {
+      const batch = entries.slice(start, start + AUDIT_BATCH_SIZE);
+      const values = [];
+      const placeholders = batch.map((entry, index) => {
+        const before = sanitizeAuditData(entry.before);
+        const after = sanitizeAuditData(entry.after);
+        values.push(
+          entry.actorId || (user ? user.id : null),
+          actorRole,
+          entry.action,
+          entry.entityType,
+          entry.entityId || null,
+          entry.projectId || null,
+          before ? JSON.stringify(before) : null,
+          after ? JSON.stringify(after) : null,
+          ipAddress,
+          userAgent
+        );
+        const offset = index * 10;
+        return `(${Array.from({ length: 10 }, (value, i) => `$${offset + i + 1}`).join(', ')})`;
+      });
+
+      await pool.query(
+        `INSERT INTO audit_logs (actor_id, actor_role, action, entity_type, entity_id, project_id, before_data, after_data, ip_address, user_agent)
+         VALUES ${placeholders.join(', ')}`,
+        values
+      );
+    }
+  } catch (error) {
+    console.error('Failed to record audit log:', error);
+  }
+};
+
+const recordAudit = (req, entry) => recordAuditEntries(req, [entry]);
+
+// Fields whose value differs between the before and after snapshots
+const getChangedFields = (before, after) => {
+  if (!before || !after) return [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields].filter((field) => (
+    !IGNORED_CHANGE_FIELDS.includes(field) && JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  ));
+};
+
+const formatAuditLog = (log) => ({
+  ...log,
+  changed_fields: log.action === 'update' ? getChangedFields(log.before_data, log.after_data) : []
+});
+
+// Helper function to read page/limit query parameters (default 50 per page, at most 200)
+const parsePagination = ({ page, limit }) => {
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+  return { page: pageNumber, limit: pageSize, offset: (pageNumber - 1) * pageSize };
+};
+
+// Helper function to search the audit log
+// `filters` may hold actor_id, action, entity_type, entity_id, project_id, start_date and end_date
+const getAuditLogs = async (filters, { limit, offset }) => {
+  const conditions = [];
+  const params = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.actor_id) addCondition('a.actor_id = ?', filters.actor_id);
+  if (filters.action) addCondition('a.action = ?', filters.action);
+  if (filters.entity_type) addCondition('a.entity_type = ?', filters.entity_type);
+  if (filters.entity_id) addCondition('a.entity_id = ?', filters.entity_id);
+  if (filters.project_id) addCondition('a.project_id = ?', filters.project_id);
+  if (filters.start_date) addCondition('a.created_at >= ?::date', filters.start_date);
+  if (filters.end_date) addCondition("a.created_at < ?::date + INTERVAL '1 day'", filters.end_date);
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await pool.query(`SELECT COUNT(*) AS total FROM audit_logs a ${whereClause}`, params);
+
+  const logsResult = await pool.query(
+    `SELECT a.*, u.username AS actor_username, u.email AS actor_email
+     FROM audit_logs a
+     LEFT JOIN users u ON a.actor_id = u.id
+     ${whereClause}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return {
+    logs: logsResult.rows.map(formatAuditLog),
+    total: parseInt(countResult.rows[0].total)
+  };
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_TYPES,
+  recordAudit,
+  recordAuditEntries,
+  parsePagination,
+  getAuditLogs
+};
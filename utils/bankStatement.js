@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { createUploadParser } = require('./upload');
+const { parseImportAmount } = require('./transactionImport');
+
+const MAX_BANK_STATEMENT_SIZE_MB = 5;
+
+// Projects are kept in RWF, so entries in other currencies are refused rather than imported at face value
+const STATEMENT_CURRENCY = 'RWF';
+
+// Banks name these files in many ways (.ofx, .qfx, .xml, .053...), so the extension is accepted too
+const parseBankStatementUpload = createUploadParser({
+  allowedMimeTypes: ['application/x-ofx', 'application/ofx', 'application/xml', 'text/xml', 'text/plain'],
+  allowedExtensions: ['.ofx', '.qfx', '.xml', '.camt', '.053', '.txt'],
+  maxSizeMb: MAX_BANK_STATEMENT_SIZE_MB,
+  typeLabel: 'OFX (.ofx, .qfx) or CAMT.053 (.xml)'
+});
+
+// Helper function to decode an uploaded statement
+// OFX 1.x files declare their encoding in the header (CHARSET:1252 is common); everything else is UTF-8
+const decodeStatement = (buffer) => {
+  const head = buffer.slice(0, 500).toString('latin1');
+  const encoding = /CHARSET:\s*(1252|ISO-8859-1)/i.test(head) ? 'latin1' : 'utf8';
+  const text = buffer.toString(encoding);
+  return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+};
+
+const decodeXmlEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Stable identifier for an entry that has no FITID / reference: same file, same identifiers
+// `occurrence` tells apart identical entries in the same statement (e.g. two equal fees on one day)
+const fallbackEntryId = (entry, occurrence) => crypto
+  .createHash('sha1')
+  .update([entry.date, entry.type, entry.amount, entry.description, occurrence].join('|'))
+  .digest('hex');
+
+// Helper function to give every entry an external_id (format:account:reference)
+const assignExternalIds = (format, account, entries) => {
+  const seen = new Map();
+  return entries.map((entry) => {
+    let reference = entry.reference;
+    if (!reference) {
+      const key = [entry.date, entry.type, entry.amount, entry.description].join('|');
+      const occurrence = (seen.get(key) || 0) + 1;
+      seen.set(key, occurrence);
+      reference = `h-${fallbackEntryId(entry, occurrence)}`;
+    }
+    return { ...entry, external_id: `${format}:${account || 'unknown'}:${reference}`.slice(0, 255) };
+  });
+};
+
+// --- OFX (1.x SGML and 2.x XML) ---
+
+// OFX 1.x leaves elements unclosed (<TRNAMT>-5000.00), so values run to the next tag or line end
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeXmlEntities(match[1].trim()) : '';
+};
+
+// OFX dates look like 20240131 or 20240131120000.000[+2:CAT]
+const parseOfxDate = (value) => {
+  const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+const parseOfx = (text) => {
+  const currency = ofxValue(text, 'CURDEF').toUpperCase();
+  if (currency && currency !== STATEMENT_CURRENCY) {
+    return { error: `Only ${STATEMENT_CURRENCY} statements can be imported (this statement is in ${currency})` };
+  }
+
+  const account = ofxValue(text, 'ACCTID');
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+  const entries = [];
+  const errors = [];
+
+  blocks.forEach((block, index) => {
+    const entryErrors = [];
+    const date = parseOfxDate(ofxValue(block, 'DTPOSTED'));
+    if (!date) entryErrors.push('Invalid or missing DTPOSTED');
+
+    const signedAmount = parseImportAmount(ofxValue(block, 'TRNAMT'));
+    if (signedAmount === null || signedAmount === 0) entryErrors.push('Invalid or missing TRNAMT');
+
+    if (entryErrors.length > 0) {
+      errors.push({ entry: index + 1, errors: entryErrors });
+      return;
+    }
+
+    const description = [ofxValue(block, 'NAME'), ofxValue(block, 'MEMO')].filter(Boolean).join(' - ');
+    const fitId = ofxValue(block, 'FITID');
+    entries.push({
+      date,
+      type: signedAmount < 0 ? 'expense' : 'income',
+      amount: Math.abs(signedAmount),
+      description: description || null,
+      reference: fitId || null
+    });
+  });
+
+  return { account, entries: assignExternalIds('ofx', account, entries), errors };
+};
+
+// --- ISO 20022 CAMT.053 ---
+
+// Tags may carry a namespace prefix (<ns2:Ntry>) and attributes (<Amt Ccy="RWF">)
+const xmlBlocks = (xml, tag) => {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${tag}(\\s[^>]*)?>([\\s\\S]*?)<\\/(?:[\\w-]+:)?${tag}>`, 'g');
+  const blocks = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    blocks.push({ attributes: match[1] || '', content: match[2] });
+  }
+  return blocks;
+};
+
+// Helper function to read a value by path, e.g. xmlValue(entry, ['BookgDt', 'Dt'])
+const xmlValue = (xml, path) => {
+  let current = xml;
+  for (const tag of path) {
+    const block = xmlBlocks(current, tag)[0];
+    if (!block) return '';
+    current = block.content;
+  }
+  return decodeXmlEntities(current.replace(/<[^>]+>/g, '').trim());
+};
+
+const xmlAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`${name}="([^"]*)"`));
+  return match ? match[1] : '';
+};
+
+const parseCamt053 = (text) => {
+  const statements = xmlBlocks(text, 'Stmt');
+  if (statements.length === 0) {
+    return { error: 'No statement (Stmt) found in the CAMT.053 file' };
+  }
+
+  const accounts = [];
+  const entries = [];
+  const errors = [];
+  let entryNumber = 0;
+
+  statements.forEach(({ content: statement }) => {
+    const account = xmlValue(statement, ['Acct', 'Id', 'IBAN']) || xmlValue(statement, ['Acct', 'Id', 'Othr', 'Id']);
+    accounts.push(account);
+    const statementEntries = [];
+
+    xmlBlocks(statement, 'Ntry').forEach(({ content: entry }) => {
+      entryNumber++;
+
+      // Only booked entries are final; pending (PDNG) and information (INFO) entries can still change
+      const status = xmlValue(entry, ['Sts']).toUpperCase();
+      if (status && status !== 'BOOK') return;
+
+      const entryErrors = [];
+      const amountBlock = xmlBlocks(entry, 'Amt')[0];
+      const amount = amountBlock ? parseImportAmount(decodeXmlEntities(amountBlock.content.trim())) : null;
+      const currency = amountBlock ? xmlAttribute(amountBlock.attributes, 'Ccy').toUpperCase() : '';
+      if (amount === null || amount <= 0) entryErrors.push('Invalid or missing Amt');
+      if (currency && currency !== STATEMENT_CURRENCY) {
+        entryErrors.push(`Only ${STATEMENT_CURRENCY} entries can be imported (found ${currency})`);
+      }
+
+      const indicator = xmlValue(entry, ['CdtDbtInd']).toUpperCase();
+      if (indicator !== 'CRDT' && indicator !== 'DBIT') entryErrors.push('Invalid or missing CdtDbtInd');
+
+      const date = (xmlValue(entry, ['BookgDt', 'Dt']) || xmlValue(entry, ['BookgDt', 'DtTm'])
+        || xmlValue(entry, ['ValDt', 'Dt']) || xmlValue(entry, ['ValDt', 'DtTm'])).slice(0, 10);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) entryErrors.push('Invalid or missing booking date');
+
+      if (entryErrors.length > 0) {
+        errors.push({ entry: entryNumber, errors: entryErrors });
+        return;
+      }
+
+      const type = indicator === 'CRDT' ? 'income' : 'expense';
+      const counterparty = type === 'income'
+        ? xmlValue(entry, ['RltdPties', 'Dbtr', 'Nm']) || xmlValue(entry, ['RltdPties', 'Dbtr', 'Pty', 'Nm'])
+        : xmlValue(entry, ['RltdPties', 'Cdtr', 'Nm']) || xmlValue(entry, ['RltdPties', 'Cdtr', 'Pty', 'Nm']);
+      const remittance = xmlBlocks(entry, 'Ustrd').map((block) => decodeXmlEntities(block.content.trim())).join(' ');
+      const description = [counterparty, remittance || xmlValue(entry, ['AddtlNtryInf'])].filter(Boolean).join(' - ');
+
+      const endToEndId = xmlValue(entry, ['EndToEndId']);
+      const reference = xmlValue(entry, ['AcctSvcrRef'])
+        || xmlValue(entry, ['NtryRef'])
+        || (endToEndId && endToEndId !== 'NOTPROVIDED' ? endToEndId : '');
+
+      statementEntries.push({
+        date,
+        type,
+        amount,
+        description: description || null,
+        reference: reference || null
+      });
+    });
+
+    entries.push(...assignExternalIds('camt', account, statementEntries));
+  });
+
+  return { account: accounts.filter(Boolean).join(', '), entries, errors };
+};
+
+// Helper function to parse an OFX or CAMT.053 statement
+// Returns { format, account, entries: [{ date, type, amount, description, reference, external_id }], errors }
+const parseBankStatement = (buffer) => {
+  const text = decodeStatement(buffer);
+
+  if (/OFXHEADER|<OFX>/i.test(text)) {
+    return { format: 'ofx', ...parseOfx(text) };
+  }
+  if (/camt\.053|<(?:[\w-]+:)?BkToCstmrStmt[\s>]/.test(text)) {
+    return { format: 'camt053', ...parseCamt053(text) };
+  }
+  return { error: 'Unrecognised statement format. Upload an OFX or CAMT.053 file' };
+};
+
+module.exports = {
+  parseBankStatementUpload,
+  parseBankStatement
+};
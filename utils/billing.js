@@ -0,0 +1,183 @@
+const pool = require('../config/database');
+const { getUserPlan } = require('./plans');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDays = (value, fallback) => {
+  const days = parseInt(value);
+  return Number.isInteger(days) && days >= 0 ? days : fallback;
+};
+
+// Billing policy: the single source for when a subscription is due, when access is blocked,
+// when reminders go out and what is charged. The auth middleware, my-status and the payment
+// checks all read it so they agree on every date.
+const BILLING_POLICY = {
+  // A payment covers this many days, counted from the day it was paid
+  cycleDays: parseDays(process.env.BILLING_CYCLE_DAYS, 30) || 30,
+  // Extra days of access after the covered period before the account is blocked
+  graceDays: parseDays(process.env.BILLING_GRACE_DAYS, 0),
+  // Days before the block date on which the "payment due soon" email is sent
+  reminderDaysBeforeBlock: (process.env.BILLING_REMINDER_DAYS || '2')
+    .split(',')
+    .map((value) => parseInt(value))
+    .filter((days) => Number.isInteger(days) && days > 0),
+  // Monthly fee used when no plan can be found at all (plans set their own price)
+  defaultFee: parseFloat(process.env.BILLING_DEFAULT_FEE) >= 0 ? parseFloat(process.env.BILLING_DEFAULT_FEE) : 15000
+};
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const addDays = (value, days) => {
+  const date = new Date(value);
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+// Whole days from `from` to `to` (both taken at midnight)
+const daysBetween = (from, to) => Math.round((startOfDay(to).getTime() - startOfDay(from).getTime()) / DAY_MS);
+
+const getPlanPrice = (plan) => (plan ? parseFloat(plan.price) : BILLING_POLICY.defaultFee);
+
+// Free plans need no payment and are never blocked
+const isFreePlan = (plan) => plan !== null && getPlanPrice(plan) === 0;
+
+// What a plan's users keep once their subscription lapses (plans.lapsed_access)
+const LAPSED_ACCESS_MODES = ['read_only', 'blocked'];
+
+const getLapsedAccess = (plan) => (plan && plan.lapsed_access === 'blocked' ? 'blocked' : 'read_only');
+
+// Days of access a paid payment gives
+const getCoveredDays = (payment) => BILLING_POLICY.cycleDays * (payment.months_covered || 1) + (payment.days_adjusted || 0);
+
+// Helper function to work out the paid-through date (last covered day) from a user's paid payments
+// A payment covers months_covered billing cycles from the day it was paid, plus or minus the days its
+// adjustments (credits, refunds, corrections) added or took away. A payment made in advance
+// (for a later month than the one it was paid in) starts where the time already paid for ends, so
+// paying early never loses days; payments for the current or past months don't stack.
+// Returns { lastPaidAt, paidThrough }, both null when nothing was ever paid
+const computePaidThrough = (payments) => {
+  let lastPaidAt = null;
+  let paidThrough = null;
+
+  const byMonth = [...payments].sort((a, b) => new Date(a.payment_month) - new Date(b.payment_month));
+  for (const payment of byMonth) {
+    const paidDay = startOfDay(payment.paid_at);
+    const paidInAdvance = startOfDay(payment.payment_month) > new Date(paidDay.getFullYear(), paidDay.getMonth(), 1);
+    const start = paidInAdvance && paidThrough && paidThrough > paidDay ? paidThrough : paidDay;
+    const coveredDays = getCoveredDays(payment);
+    if (coveredDays <= 0) continue;
+    const end = addDays(start, coveredDays);
+
+    if (!paidThrough || end > paidThrough) paidThrough = end;
+    if (!lastPaidAt || new Date(payment.paid_at) > lastPaidAt) lastPaidAt = new Date(payment.paid_at);
+  }
+
+  return { lastPaidAt, paidThrough };
+};
+
+// Helper function to work out where a subscription stands from computePaidThrough()
+// `paidThrough` is the last covered day and `blockDate` the first day without access
+const computeBillingStatus = ({ lastPaidAt, paidThrough }, today = new Date()) => {
+  if (!paidThrough) {
+    return { lastPaidAt: null, paidThrough: null, blockDate: null, daysUntilBlock: 0, inGracePeriod: false, blocked: true };
+  }
+
+  const blockDate = addDays(paidThrough, BILLING_POLICY.graceDays + 1);
+  const daysUntilBlock = Math.max(0, daysBetween(today, blockDate));
+
+  return {
+    lastPaidAt,
+    paidThrough,
+    blockDate,
+    daysUntilBlock,
+    inGracePeriod: daysUntilBlock > 0 && daysBetween(today, paidThrough) < 0,
+    blocked: daysUntilBlock === 0
+  };
+};
+
+const getPaidPayments = async (userId) => {
+  const result = await pool.query(
+    `SELECT payment_month, months_covered, days_adjusted, paid_at
+     FROM user_payments
+     WHERE user_id = $1 AND status = 'paid' AND paid_at IS NOT NULL`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// Most months one payment record can cover (prepaid subscriptions)
+const MAX_MONTHS_COVERED = 24;
+
+// Helper function to find the payment record covering a month ('YYYY-MM-01'); prepaid records cover several
+const findPaymentForMonth = async (userId, month, db = pool) => {
+  const result = await db.query(
+    `SELECT *
+     FROM user_payments
+     WHERE user_id = $1
+       AND payment_month <= $2::date
+       AND payment_month + months_covered * INTERVAL '1 month' > $2::date
+     ORDER BY payment_month DESC
+     LIMIT 1`,
+    [userId, month]
+  );
+  return result.rows[0] || null;
+};
+
+// Helper function to find a payment record (other than `excludeId`) sharing a month with `months` months from `month`
+const findOverlappingPayment = async (userId, month, months, excludeId = null, db = pool) => {
+  const result = await db.query(
+    `SELECT *
+     FROM user_payments
+     WHERE user_id = $1
+       AND ($4::int IS NULL OR id != $4)
+       AND payment_month < $2::date + $3 * INTERVAL '1 month'
+       AND payment_month + months_covered * INTERVAL '1 month' > $2::date
+     ORDER BY payment_month ASC
+     LIMIT 1`,
+    [userId, month, months, excludeId]
+  );
+  return result.rows[0] || null;
+};
+
+// Amount still owed on a payment record (partial payments add up to its amount)
+const getAmountRemaining = (payment) => Math.max(0, parseFloat(payment.amount) - parseFloat(payment.amount_paid || 0));
+
+// Helper function to get a user's billing status (pass `plan` when it is already loaded)
+// Returns computeBillingStatus() plus { plan, fee, freePlan, access }; free plans are never blocked
+// `access` is 'full', or the plan's lapsed access ('read_only' / 'blocked') once blocked
+const getBillingStatus = async (userId, plan) => {
+  const userPlan = plan === undefined ? await getUserPlan(userId) : plan;
+  const status = computeBillingStatus(computePaidThrough(await getPaidPayments(userId)));
+  const freePlan = isFreePlan(userPlan);
+  const blocked = freePlan ? false : status.blocked;
+
+  return {
+    ...status,
+    blocked,
+    access: blocked ? getLapsedAccess(userPlan) : 'full',
+    plan: userPlan,
+    fee: getPlanPrice(userPlan),
+    freePlan
+  };
+};
+
+// Whether the "payment due soon" email goes out today for this status
+const isReminderDay = (status) => !status.blocked && BILLING_POLICY.reminderDaysBeforeBlock.includes(status.daysUntilBlock);
+
+module.exports = {
+  BILLING_POLICY,
+  LAPSED_ACCESS_MODES,
+  MAX_MONTHS_COVERED,
+  getPlanPrice,
+  isFreePlan,
+  findPaymentForMonth,
+  findOverlappingPayment,
+  getAmountRemaining,
+  getCoveredDays,
+  getBillingStatus,
+  isReminderDay
+};
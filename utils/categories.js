@@ -0,0 +1,101 @@
+const pool = require('../config/database');
+
+// SQL condition matching a category column against a category and all of its subcategories
+// `paramRef` is the placeholder holding the category id (e.g. '$2')
+const categorySubtreeCondition = (columnName, paramRef) => (
+  `${columnName} IN (
+     WITH RECURSIVE category_tree AS (
+       SELECT id FROM categories WHERE id = ${paramRef}
+       UNION ALL
+       SELECT c.id FROM categories c JOIN category_tree ct ON c.parent_id = ct.id
+     )
+     SELECT id FROM category_tree
+   )`
+);
+
+// Helper function to check whether a user may see/use a category
+// Organization categories (user_id NULL) are shared by everyone
+const getAccessibleCategory = async (categoryId, userIds) => {
+  const result = await pool.query(
+    `SELECT * FROM categories
+     WHERE id = $1 AND (user_id IS NULL OR user_id = ANY($2::int[]))`,
+    [categoryId, userIds]
+  );
+  return result.rows[0] || null;
+};
+
+const categoryTypeError = (category) => `Category "${category.name}" can only be used for ${category.type} entries`;
+
+// Helper function to validate the category of a task or transaction
+// The category must belong to the organization, the acting user or the project owner,
+// and its type (when set) must match the entry type
+const validateEntryCategory = async (categoryId, { userId, projectOwnerId, type }) => {
+  if (categoryId === undefined || categoryId === null) {
+    return { valid: true, category: null };
+  }
+
+  const category = await getAccessibleCategory(categoryId, [userId, projectOwnerId]);
+  if (!category) {
+    return { valid: false, error: 'Category not found' };
+  }
+
+  if (type && category.type && category.type !== type) {
+    return { valid: false, error: categoryTypeError(category) };
+  }
+
+  return { valid: true, category };
+};
+
+// Helper function to check that an entry's current category still fits a new type
+// (used when an update changes the type but not the category)
+const validateCategoryType = async (categoryId, type) => {
+  if (!categoryId || !type) {
+    return { valid: true };
+  }
+
+  const result = await pool.query('SELECT name, type FROM categories WHERE id = $1', [categoryId]);
+  const category = result.rows[0];
+  if (category && category.type && category.type !== type) {
+    return { valid: false, error: categoryTypeError(category) };
+  }
+
+  return { valid: true };
+};
+
+// Helper function to group tasks and transactions by category
+// Rows must carry category_id and category_name (LEFT JOIN categories)
+const buildCategoryBreakdown = (tasks, transactions) => {
+  const groups = new Map();
+
+  const addEntry = (categoryId, categoryName, type, amount) => {
+    const key = categoryId || 0;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        category_id: categoryId || null,
+        category_name: categoryName || 'Uncategorized',
+        income: 0,
+        expense: 0,
+        count: 0
+      });
+    }
+    const group = groups.get(key);
+    if (type === 'income') group.income += amount;
+    if (type === 'expense') group.expense += amount;
+    group.count++;
+  };
+
+  tasks.forEach((t) => addEntry(t.category_id, t.category_name, t.type, parseFloat(t.cost || 0)));
+  transactions.forEach((t) => addEntry(t.category_id, t.category_name, t.type, parseFloat(t.amount || 0)));
+
+  return [...groups.values()]
+    .map((group) => ({ ...group, balance: group.income - group.expense }))
+    .sort((a, b) => (b.expense + b.income) - (a.expense + a.income));
+};
+
+module.exports = {
+  categorySubtreeCondition,
+  getAccessibleCategory,
+  validateEntryCategory,
+  validateCategoryType,
+  buildCategoryBreakdown
+};
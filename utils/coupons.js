@@ -0,0 +1,90 @@
+const pool = require('../config/database');
+
+// Kinds of discount a coupon gives (coupons.discount_type)
+const COUPON_DISCOUNT_TYPES = ['percent', 'fixed'];
+
+const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+const getCouponById = async (couponId, db = pool) => {
+  const result = await db.query('SELECT * FROM coupons WHERE id = $1', [couponId]);
+  return result.rows[0] || null;
+};
+
+const getCouponByCode = async (code, db = pool) => {
+  const result = await db.query('SELECT * FROM coupons WHERE code = $1', [normalizeCouponCode(code)]);
+  return result.rows[0] || null;
+};
+
+// Helper function to check that a coupon can be redeemed now on a plan
+// Returns an error message, or null when the coupon is usable
+const checkCouponUsable = (coupon, plan, now = new Date()) => {
+  if (!coupon || !coupon.is_active) {
+    return 'This coupon code is not valid';
+  }
+  if (coupon.valid_from && new Date(coupon.valid_from) > now) {
+    return 'This coupon is not valid yet';
+  }
+  if (coupon.valid_until && new Date(coupon.valid_until) < now) {
+    return 'This coupon has expired';
+  }
+  if (coupon.max_redemptions !== null && coupon.redemption_count >= coupon.max_redemptions) {
+    return 'This coupon has already been used the maximum number of times';
+  }
+  if (coupon.plan_ids && coupon.plan_ids.length > 0 && (!plan || !coupon.plan_ids.includes(plan.id))) {
+    return `This coupon cannot be used on the ${plan ? plan.name : 'current'} plan`;
+  }
+  return null;
+};
+
+// Helper function to work out a coupon's discount on an amount (never more than the amount itself)
+// Fixed discounts come off the payment once, however many months it covers
+const computeDiscount = (coupon, amount) => {
+  const value = parseFloat(coupon.discount_value);
+  const discount = coupon.discount_type === 'percent' ? (amount * value) / 100 : value;
+  return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+// Helper function to look up a coupon code for a user's plan
+// Returns { coupon } or { status, error }
+const resolveCoupon = async (code, plan) => {
+  const coupon = await getCouponByCode(code);
+  const error = checkCouponUsable(coupon, plan);
+  if (error) {
+    return { status: coupon ? 400 : 404, error };
+  }
+  return { coupon };
+};
+
+// Helper function to count a coupon's use on a payment record, inside `client`'s transaction
+// The redemption limit is checked again under the row lock, so two payments can't take the last use
+// Returns false when the coupon ran out meanwhile
+const redeemCoupon = async (client, coupon, payment, discountAmount) => {
+  const counted = await client.query(
+    `UPDATE coupons
+     SET redemption_count = redemption_count + 1
+     WHERE id = $1 AND (max_redemptions IS NULL OR redemption_count < max_redemptions)
+     RETURNING id`,
+    [coupon.id]
+  );
+  if (counted.rows.length === 0) {
+    return false;
+  }
+
+  await client.query(
+    `INSERT INTO coupon_redemptions (coupon_id, payment_id, user_id, discount_amount)
+     VALUES ($1, $2, $3, $4)`,
+    [coupon.id, payment.id, payment.user_id, discountAmount]
+  );
+  return true;
+};
+
+module.exports = {
+  COUPON_DISCOUNT_TYPES,
+  normalizeCouponCode,
+  getCouponById,
+  getCouponByCode,
+  checkCouponUsable,
+  computeDiscount,
+  resolveCoupon,
+  redeemCoupon
+};
@@ -0,0 +1,149 @@
+// UTF-8 byte order mark so Excel detects the encoding (accents, RWF amounts, etc.)
+const CSV_BOM = '\uFEFF';
+
+// Helper function to escape a single CSV value (RFC 4180)
+// Text starting with =, +, - or @ is prefixed with ' so spreadsheets don't run it as a formula
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Date formatting helper for CSV (YYYY-MM-DD, avoids raw ISO strings / timezones)
+const formatCsvDate = (value) => {
+  if (!value) return '';
+  const d = value instanceof Date ? value : new Date(value);
+  if (isNaN(d.getTime())) return '';
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+const formatCsvAmount = (value) => (
+  value === null || value === undefined || value === '' ? '' : parseFloat(value).toFixed(2)
+);
+
+const toCsvLine = (values) => values.map(escapeCsvValue).join(',') + '\r\n';
+
+// Helper function to stream rows as a CSV download
+// `columns` is a list of { header, value: (row) => any }
+const sendCsv = (res, filename, columns, rows) => {
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+
+  res.write(CSV_BOM + toCsvLine(columns.map((column) => column.header)));
+  for (const row of rows) {
+    res.write(toCsvLine(columns.map((column) => column.value(row))));
+  }
+  res.end();
+};
+
+// Helper function to guess the delimiter of a CSV file from its first line
+// Spreadsheets saved with a French/Kinyarwanda locale often use ";" instead of ","
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map((delimiter) => ({
+    delimiter,
+    count: firstLine.split(delimiter).length - 1
+  }));
+  const best = counts.sort((a, b) => b.count - a.count)[0];
+  return best.count > 0 ? best.delimiter : ',';
+};
+
+// Helper function to parse CSV text (RFC 4180: quoted fields, "" escapes, newlines inside quotes)
+// Returns an array of rows (arrays of strings); blank lines are skipped, so each row keeps the
+// file line it starts on as `row.line` (1-based) for error messages
+const parseCsv = (text, delimiter) => {
+  const input = text.startsWith(CSV_BOM) ? text.slice(1) : text;
+  const separator = delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      row.line = rowLine;
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+// Column definitions shared by task/transaction lists and project exports
+const TASK_CSV_COLUMNS = [
+  { header: 'Task ID', value: (t) => t.id },
+  { header: 'Project', value: (t) => t.project_name },
+  { header: 'Date', value: (t) => formatCsvDate(t.task_date) },
+  { header: 'Task', value: (t) => t.task_name },
+  { header: 'Type', value: (t) => t.type },
+  { header: 'Category', value: (t) => t.category_name },
+  { header: 'Cost (RWF)', value: (t) => formatCsvAmount(t.cost) },
+  { header: 'Worker', value: (t) => t.worker_name },
+  { header: 'Worker Phone', value: (t) => t.worker_phone },
+  { header: 'Description', value: (t) => t.description }
+];
+
+const TRANSACTION_CSV_COLUMNS = [
+  { header: 'Transaction ID', value: (t) => t.id },
+  { header: 'Project', value: (t) => t.project_name },
+  { header: 'Date', value: (t) => formatCsvDate(t.transaction_date) },
+  { header: 'Type', value: (t) => t.type },
+  { header: 'Category', value: (t) => t.category_name },
+  { header: 'Amount (RWF)', value: (t) => formatCsvAmount(t.amount) },
+  { header: 'Task ID', value: (t) => t.task_id },
+  { header: 'Description', value: (t) => t.description }
+];
+
+module.exports = {
+  escapeCsvValue,
+  formatCsvDate,
+  formatCsvAmount,
+  sendCsv,
+  parseCsv,
+  TASK_CSV_COLUMNS,
+  TRANSACTION_CSV_COLUMNS
+};
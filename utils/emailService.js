@@ -1,11 +1,15 @@
 const SibApiV3Sdk = require('sib-api-v3-sdk');
 require('dotenv').config();
+const { BILLING_POLICY } = require('./billing');
 
 // Configure API key authorization
 const defaultClient = SibApiV3Sdk.ApiClient.instance;
 const apiKey = defaultClient.authentications['api-key'];
 apiKey.apiKey = process.env.BREVO_API_KEY;
 
+// Monthly fee shown in payment emails (the caller passes the user's plan price; the billing policy's default otherwise)
+const formatFee = (amount) => `${Number(amount ?? BILLING_POLICY.defaultFee).toLocaleString('en-US')} RWF`;
+
 const sendPasswordResetEmail = async (email, resetToken) => {
   try {
     const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
@@ -33,7 +37,35 @@ const sendPasswordResetEmail = async (email, resetToken) => {
   }
 };
 
-const sendTemporaryPasswordEmail = async (email, tempPassword) => {
+const sendVerificationEmail = async (email, username, verificationToken) => {
+  try {
+    const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
+    const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${verificationToken}`;
+
+    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+    sendSmtpEmail.to = [{ email }];
+    sendSmtpEmail.sender = {
+      email: process.env.BREVO_SENDER_EMAIL || 'noreply@SPEMS.com',
+      name: process.env.BREVO_SENDER_NAME || 'Smart Project Earnings Management System'
+    };
+    sendSmtpEmail.subject = 'Verify Your Email Address';
+    sendSmtpEmail.htmlContent = `
+      <p>Dear ${username || 'User'},</p>
+      <p>Please confirm that this is your email address by clicking the link below:</p>
+      <p><a href="${verifyUrl}">Verify Email Address</a></p>
+      <p>This link will expire in 24 hours.</p>
+      <p>If you didn't create an account or change your email address, please ignore this email.</p>
+    `;
+
+    await apiInstance.sendTransacEmail(sendSmtpEmail);
+    return true;
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    throw new Error('Failed to send verification email');
+  }
+};
+
+const sendTemporaryPasswordEmail = async (email, tempPassword, { mustChange = false } = {}) => {
   try {
     const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
     const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
@@ -44,10 +76,12 @@ const sendTemporaryPasswordEmail = async (email, tempPassword) => {
     };
     sendSmtpEmail.subject = 'Your Temporary Password';
     sendSmtpEmail.htmlContent = `
-      <p>A temporary password has been generated for your account.</p>
+      <p>An administrator has set a temporary password for your account.</p>
       <p><strong>Temporary Password:</strong> ${tempPassword}</p>
-      <p>Use this password to login. After logging in, go to Profile Settings and change your password.</p>
-      <p>If you didn't request this, please ignore this email.</p>
+      ${mustChange
+        ? '<p>Use this password to login. You will be asked to choose a new password before you can continue.</p>'
+        : '<p>Use this password to login. After logging in, go to Profile Settings and change your password.</p>'}
+      <p>If you didn't ask for this, please contact your administrator.</p>
     `;
     await apiInstance.sendTransacEmail(sendSmtpEmail);
     return true;
@@ -57,7 +91,7 @@ const sendTemporaryPasswordEmail = async (email, tempPassword) => {
   }
 };
 
-const sendPaymentReminderEmail = async (email, username) => {
+const sendPaymentReminderEmail = async (email, username, { amount } = {}) => {
   try {
     const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
     const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
@@ -73,13 +107,13 @@ const sendPaymentReminderEmail = async (email, username) => {
         <p>Dear ${username || 'User'},</p>
         <p>This is a reminder that your monthly subscription payment is due.</p>
         <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
-          <p style="margin: 5px 0;"><strong>Amount:</strong> 15,000 RWF</p>
+          <p style="margin: 5px 0;"><strong>Amount:</strong> ${formatFee(amount)}</p>
           <p style="margin: 5px 0;"><strong>Pay To:</strong> NKUSI ENGINEERING GROUP LTD</p>
           <p style="margin: 5px 0;"><strong>Payment Instructions:</strong></p>
           <p style="margin: 5px 0;">Use the phone number <strong>Press *182*8*1*7930391#</strong> when paying to ensure your payment is matched.</p>
         </div>
         <p><strong>Important:</strong> Please make your payment to continue using the system. Your account will be blocked if payment is not received.</p>
-        <p>If you have already made the payment, please contact the administrator to update your payment status.</p>
+        <p>If you have already made the payment, submit the MoMo transaction ID (and a screenshot if you have one) in the app under payment claims, and an administrator will confirm it.</p>
         <p>Thank you for your continued use of SPEMS.</p>
         <hr style="border: none; border-top: 1px solid #eee; margin: 20px 0;">
         <p style="color: #666; font-size: 12px;">This is an automated reminder. Please do not reply to this email.</p>
@@ -93,7 +127,7 @@ const sendPaymentReminderEmail = async (email, username) => {
   }
 };
 
-const sendUpcomingBlockReminderEmail = async (email, username, { lastPaidAt, blockDate, daysUntilBlock }) => {
+const sendUpcomingBlockReminderEmail = async (email, username, { lastPaidAt, blockDate, daysUntilBlock, amount }) => {
   try {
     const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
     const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
@@ -111,12 +145,12 @@ const sendUpcomingBlockReminderEmail = async (email, username, { lastPaidAt, blo
       ? new Date(blockDate).toLocaleString()
       : 'Not available';
 
-    sendSmtpEmail.subject = 'Payment Due Soon - 2 Days Remaining';
+    sendSmtpEmail.subject = `Payment Due Soon - ${daysUntilBlock} Day(s) Remaining`;
     sendSmtpEmail.htmlContent = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
         <h2 style="color: #1d4ed8;">Payment Reminder - ${daysUntilBlock} Day(s) Left</h2>
         <p>Dear ${username || 'User'},</p>
-        <p>This is a friendly reminder that your 30-day access window is about to end.</p>
+        <p>This is a friendly reminder that your paid access period is about to end.</p>
         <div style="background-color: #fef3c7; border-left: 4px solid #facc15; padding: 12px 16px; border-radius: 6px; margin: 18px 0;">
           <p style="margin: 4px 0;"><strong>Last payment:</strong> ${lastPaidLabel}</p>
           <p style="margin: 4px 0;"><strong>Block on:</strong> ${blockDateLabel}</p>
@@ -125,7 +159,7 @@ const sendUpcomingBlockReminderEmail = async (email, username, { lastPaidAt, blo
         <p>Please make sure your next monthly payment is done in time to avoid your account being blocked.</p>
         <h3 style="margin-top: 20px; color: #111827;">Payment Instructions</h3>
         <div style="background-color: #eef6ff; padding: 15px; border-radius: 5px; margin: 12px 0;">
-          <p style="margin: 5px 0;"><strong>Amount:</strong> 15,000 RWF</p>
+          <p style="margin: 5px 0;"><strong>Amount:</strong> ${formatFee(amount)}</p>
           <p style="margin: 5px 0;"><strong>Pay To:</strong> NKUSI ENGINEERING GROUP LTD</p>
           <p style="margin: 5px 0;">Use the phone number <strong>Press *182*8*1*7930391#</strong> when paying to ensure your payment is matched.</p>
         </div>
@@ -141,7 +175,8 @@ const sendUpcomingBlockReminderEmail = async (email, username, { lastPaidAt, blo
   }
 };
 
-const sendPaymentStatusUpdateEmail = async (email, username, { status, paymentMonth, amount, paymentMethod, paidAt }) => {
+// `receipt` ({ name, content }) is attached as a PDF when given
+const sendPaymentStatusUpdateEmail = async (email, username, { status, paymentMonth, monthsCovered, amount, amountPaid, discountAmount, couponCode, paymentMethod, paidAt, planPrice, receipt }) => {
   try {
     const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
     const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
@@ -151,9 +186,16 @@ const sendPaymentStatusUpdateEmail = async (email, username, { status, paymentMo
       name: process.env.BREVO_SENDER_NAME || 'Smart Project Earnings Management System'
     };
 
-    const monthLabel = paymentMonth
-      ? new Date(paymentMonth).toLocaleDateString('en-US', { year: 'numeric', month: 'long' })
-      : 'this month';
+    const formatMonth = (date) => date.toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+    let monthLabel = 'this month';
+    if (paymentMonth) {
+      const firstMonth = new Date(paymentMonth);
+      monthLabel = formatMonth(firstMonth);
+      // Prepaid payments cover several months
+      if (monthsCovered > 1) {
+        monthLabel += ` - ${formatMonth(new Date(firstMonth.getFullYear(), firstMonth.getMonth() + monthsCovered - 1, 1))}`;
+      }
+    }
 
     const statusLabel = status ? status.toUpperCase() : 'UPDATED';
 
@@ -165,14 +207,18 @@ const sendPaymentStatusUpdateEmail = async (email, username, { status, paymentMo
         <p>Your payment status for <strong>${monthLabel}</strong> has been updated to: <strong>${statusLabel}</strong>.</p>
 
         <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
-          <p style="margin: 5px 0;"><strong>Amount:</strong> ${amount ? `${amount} RWF` : '15,000 RWF'}</p>
+          <p style="margin: 5px 0;"><strong>Amount:</strong> ${formatFee(amount ?? planPrice)}</p>
+          ${parseFloat(discountAmount) > 0 ? `<p style="margin: 5px 0;"><strong>Discount${couponCode ? ` (${couponCode})` : ''}:</strong> ${formatFee(discountAmount)}</p>` : ''}
+          ${status === 'partial' ? `<p style="margin: 5px 0;"><strong>Paid So Far:</strong> ${formatFee(amountPaid)}</p>
+          <p style="margin: 5px 0;"><strong>Still Due:</strong> ${formatFee(Math.max(0, amount - amountPaid))}</p>` : ''}
           <p style="margin: 5px 0;"><strong>Payment Method:</strong> ${paymentMethod || 'MOMO'}</p>
           <p style="margin: 5px 0;"><strong>Paid At:</strong> ${paidAt ? new Date(paidAt).toLocaleString() : '-'}</p>
         </div>
+        ${receipt ? '<p>Your receipt is attached to this email.</p>' : ''}
 
         <h3 style="margin-top: 24px; color: #333;">Payment Instructions</h3>
         <div style="background-color: #eef6ff; padding: 15px; border-radius: 5px; margin: 12px 0;">
-          <p style="margin: 5px 0;"><strong>Amount:</strong> 15,000 RWF</p>
+          <p style="margin: 5px 0;"><strong>Amount:</strong> ${formatFee(planPrice)}</p>
           <p style="margin: 5px 0;"><strong>Pay To:</strong> NKUSI ENGINEERING GROUP LTD</p>
           <p style="margin: 5px 0;">Use the phone number <strong>Press *182*8*1*7930391#</strong> when paying to ensure your payment is matched.</p>
         </div>
@@ -181,6 +227,10 @@ const sendPaymentStatusUpdateEmail = async (email, username, { status, paymentMo
       </div>
     `;
 
+    if (receipt) {
+      sendSmtpEmail.attachment = [{ name: receipt.name, content: receipt.content.toString('base64') }];
+    }
+
     await apiInstance.sendTransacEmail(sendSmtpEmail);
     return true;
   } catch (error) {
@@ -189,10 +239,133 @@ const sendPaymentStatusUpdateEmail = async (email, username, { status, paymentMo
   }
 };
 
+const sendBudgetAlertEmail = async (email, username, { projectName, categoryName, threshold, budget, spent, percentUsed }) => {
+  try {
+    const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
+    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+    sendSmtpEmail.to = [{ email }];
+    sendSmtpEmail.sender = {
+      email: process.env.BREVO_SENDER_EMAIL || 'noreply@SPEMS.com',
+      name: process.env.BREVO_SENDER_NAME || 'Smart Project Earnings Management System'
+    };
+
+    const isOverBudget = threshold >= 100;
+    const remaining = budget - spent;
+    const budgetLabel = categoryName ? `${projectName} (${categoryName})` : projectName;
+
+    sendSmtpEmail.subject = isOverBudget
+      ? `Budget Exceeded - ${budgetLabel}`
+      : `Budget Alert (${threshold}%) - ${budgetLabel}`;
+    sendSmtpEmail.htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: ${isOverBudget ? '#dc2626' : '#b45309'};">${isOverBudget ? 'Project Budget Exceeded' : 'Project Budget Alert'}</h2>
+        <p>Dear ${username || 'User'},</p>
+        <p>Spending on <strong>${budgetLabel}</strong> has reached <strong>${percentUsed}%</strong> of its budget (alert threshold: ${threshold}%).</p>
+        <div style="background-color: #fef3c7; border-left: 4px solid #facc15; padding: 12px 16px; border-radius: 6px; margin: 18px 0;">
+          <p style="margin: 4px 0;"><strong>Budget:</strong> ${budget.toFixed(2)} RWF</p>
+          <p style="margin: 4px 0;"><strong>Spent:</strong> ${spent.toFixed(2)} RWF</p>
+          <p style="margin: 4px 0; color: ${remaining < 0 ? '#dc2626' : '#111827'};"><strong>Remaining:</strong> ${remaining.toFixed(2)} RWF</p>
+        </div>
+        <p>Review the project's tasks and transactions, or adjust the budget if the plan has changed.</p>
+        <p style="color: #666; font-size: 12px;">This is an automated message. Please do not reply to this email.</p>
+      </div>
+    `;
+
+    await apiInstance.sendTransacEmail(sendSmtpEmail);
+    return true;
+  } catch (error) {
+    console.error('Error sending budget alert email:', error);
+    throw new Error('Failed to send budget alert email');
+  }
+};
+
+const sendPaymentClaimRejectedEmail = async (email, username, { paymentMonth, transactionReference, reason }) => {
+  try {
+    const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
+    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+    sendSmtpEmail.to = [{ email }];
+    sendSmtpEmail.sender = {
+      email: process.env.BREVO_SENDER_EMAIL || 'noreply@SPEMS.com',
+      name: process.env.BREVO_SENDER_NAME || 'Smart Project Earnings Management System'
+    };
+
+    const monthLabel = paymentMonth
+      ? new Date(paymentMonth).toLocaleDateString('en-US', { year: 'numeric', month: 'long' })
+      : 'this month';
+
+    sendSmtpEmail.subject = 'Payment Claim Not Confirmed - SPEMS';
+    sendSmtpEmail.htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #dc2626;">Payment Claim Not Confirmed</h2>
+        <p>Dear ${username || 'User'},</p>
+        <p>We could not confirm the payment you submitted for <strong>${monthLabel}</strong>.</p>
+        <div style="background-color: #fef2f2; border-left: 4px solid #dc2626; padding: 12px 16px; border-radius: 6px; margin: 18px 0;">
+          <p style="margin: 4px 0;"><strong>Transaction reference:</strong> ${transactionReference}</p>
+          <p style="margin: 4px 0;"><strong>Reason:</strong> ${reason}</p>
+        </div>
+        <p>Please check the transaction ID in your MoMo SMS and submit the claim again, or pay from the app.</p>
+        <p style="color: #666; font-size: 12px;">This is an automated message. Please do not reply to this email.</p>
+      </div>
+    `;
+
+    await apiInstance.sendTransacEmail(sendSmtpEmail);
+    return true;
+  } catch (error) {
+    console.error('Error sending payment claim rejection email:', error);
+    throw new Error('Failed to send payment claim rejection email');
+  }
+};
+
+const sendAccountLockedEmail = async (email, username, { lockedUntil, ipAddress, failedAttempts }) => {
+  try {
+    const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
+    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+    sendSmtpEmail.to = [{ email }];
+    sendSmtpEmail.sender = {
+      email: process.env.BREVO_SENDER_EMAIL || 'noreply@SPEMS.com',
+      name: process.env.BREVO_SENDER_NAME || 'Smart Project Earnings Management System'
+    };
+
+    const unlockTime = new Date(lockedUntil).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    sendSmtpEmail.subject = 'Your Account Was Locked - SPEMS';
+    sendSmtpEmail.htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #dc2626;">Account Temporarily Locked</h2>
+        <p>Dear ${username || 'User'},</p>
+        <p>Your account was locked after <strong>${failedAttempts}</strong> failed login attempts in a row.</p>
+        <div style="background-color: #fef2f2; border-left: 4px solid #dc2626; padding: 12px 16px; border-radius: 6px; margin: 18px 0;">
+          <p style="margin: 4px 0;"><strong>Locked until:</strong> ${unlockTime}</p>
+          ${ipAddress ? `<p style="margin: 4px 0;"><strong>Last attempt from IP address:</strong> ${ipAddress}</p>` : ''}
+        </div>
+        <p>If this was you, wait until the lock ends or ask an administrator to unlock your account.</p>
+        <p>If it wasn't you, someone may be trying to guess your password. Change your password once you are back in, and consider turning on two-factor authentication.</p>
+        <p style="color: #666; font-size: 12px;">This is an automated message. Please do not reply to this email.</p>
+      </div>
+    `;
+
+    await apiInstance.sendTransacEmail(sendSmtpEmail);
+    return true;
+  } catch (error) {
+    console.error('Error sending account locked email:', error);
+    throw new Error('Failed to send account locked email');
+  }
+};
+
 module.exports = {
   sendPasswordResetEmail,
   sendTemporaryPasswordEmail,
+  sendVerificationEmail,
   sendPaymentReminderEmail,
   sendPaymentStatusUpdateEmail,
-  sendUpcomingBlockReminderEmail
+  sendPaymentClaimRejectedEmail,
+  sendUpcomingBlockReminderEmail,
+  sendBudgetAlertEmail,
+  sendAccountLockedEmail
 };
@@ -0,0 +1,56 @@
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const { sendVerificationEmail } = require('./emailService');
+
+// How long a verification link works (the email tells the user 24 hours)
+const EMAIL_VERIFICATION_TTL = '24h';
+
+// The link carries a signed token naming the user and the address it was sent to,
+// so changing the email makes earlier links useless and nothing needs to be stored
+const createEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { userId: user.id, email: user.email, purpose: 'email_verification' },
+    process.env.JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_TTL }
+  );
+};
+
+// Helper function to email a user a verification link
+// Returns false when the email could not be sent (the error is logged, the caller carries on)
+const sendEmailVerification = async (user) => {
+  try {
+    await sendVerificationEmail(user.email, user.username, createEmailVerificationToken(user));
+    return true;
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    return false;
+  }
+};
+
+// Helper function to mark the address in a verification token as verified
+// Returns the user ({ id, email, email_verified }), or null when the token is invalid, expired
+// or for an address the user no longer has
+const verifyEmailToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== 'email_verification') return null;
+
+  const result = await pool.query(
+    `UPDATE users
+     SET email_verified = true,
+         email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+     WHERE id = $1 AND email = $2
+     RETURNING id, email, email_verified`,
+    [decoded.userId, decoded.email]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  sendEmailVerification,
+  verifyEmailToken
+};
@@ -1,8 +1,12 @@
 // Helper function to generate JWT token
 const jwt = require('jsonwebtoken');
 
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '30d' });
+// Access tokens are short-lived; clients renew them with their session's refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// `sessionId` is the user_sessions row the token belongs to, so revoking the session ends the token too
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
 };
 
 // Helper function to handle async errors
@@ -0,0 +1,182 @@
+const pool = require('../config/database');
+const { sendAccountLockedEmail } = require('./emailService');
+
+const parseLimit = (value, fallback) => {
+  const limit = parseInt(value);
+  return Number.isInteger(limit) && limit > 0 ? limit : fallback;
+};
+
+// Throttling policy for login and password reset requests
+const THROTTLE_POLICY = {
+  // Failed logins in a row (password or two-factor code) before the account is locked
+  maxFailures: parseLimit(process.env.LOGIN_MAX_FAILURES, 5),
+  // How long a locked account stays locked
+  lockoutMinutes: parseLimit(process.env.LOGIN_LOCKOUT_MINUTES, 15),
+  // Failures allowed before each further attempt has to wait (1s, 2s, 4s... up to maxDelaySeconds)
+  freeFailures: 2,
+  maxDelaySeconds: 30,
+  // Failed logins from one IP address (any accounts) within ipWindowMinutes before it is blocked
+  ipMaxFailures: parseLimit(process.env.LOGIN_IP_MAX_FAILURES, 20),
+  ipWindowMinutes: 15,
+  // Password reset (or verification) emails per hour, per account and per IP address; each kind is counted separately
+  emailRequestsPerAccount: parseLimit(process.env.PASSWORD_RESET_MAX_PER_HOUR, 3),
+  emailRequestsPerIp: 10
+};
+
+// Attempts counted against an IP address's login limit
+const LOGIN_ACTIONS = ['login', 'two_factor'];
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Seconds an account has to wait after `failures` failed logins in a row
+const delayAfterFailures = (failures) => {
+  if (failures <= THROTTLE_POLICY.freeFailures) return 0;
+  return Math.min(2 ** (failures - THROTTLE_POLICY.freeFailures - 1), THROTTLE_POLICY.maxDelaySeconds);
+};
+
+const recordAttempt = async (req, { action, email, userId, succeeded }) => {
+  await pool.query(
+    `INSERT INTO login_attempts (action, email, user_id, ip_address, succeeded)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [action, email ? normalizeEmail(email) : null, userId || null, req.ip || null, succeeded]
+  );
+};
+
+// Helper function to check whether the request's IP address may try to log in
+// Returns { retryAfter, error } when it has failed too often, or null
+const checkIpLoginThrottle = async (req) => {
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS failures,
+            EXTRACT(EPOCH FROM MIN(created_at) + make_interval(mins => $3) - NOW())::float AS seconds_left
+     FROM login_attempts
+     WHERE ip_address = $1 AND action = ANY($2::varchar[]) AND succeeded = false
+       AND created_at > NOW() - make_interval(mins => $3)`,
+    [req.ip || null, LOGIN_ACTIONS, THROTTLE_POLICY.ipWindowMinutes]
+  );
+  const { failures, seconds_left } = result.rows[0];
+
+  if (failures < THROTTLE_POLICY.ipMaxFailures) return null;
+  return {
+    retryAfter: Math.max(Math.ceil(seconds_left), 1),
+    error: 'Too many failed login attempts from your network. Please try again later'
+  };
+};
+
+// Helper function to check whether a user's account may try to log in
+// Returns { retryAfter, error, locked } while it is locked or has to wait after recent failures, or null
+const checkAccountThrottle = async (userId) => {
+  const result = await pool.query(
+    `SELECT failed_login_count,
+            EXTRACT(EPOCH FROM locked_until - NOW())::float AS lock_seconds_left,
+            EXTRACT(EPOCH FROM NOW() - last_failed_login_at)::float AS seconds_since_failure
+     FROM users
+     WHERE id = $1`,
+    [userId]
+  );
+  const account = result.rows[0];
+  if (!account) return null;
+
+  if (account.lock_seconds_left > 0) {
+    const minutes = Math.ceil(account.lock_seconds_left / 60);
+    return {
+      locked: true,
+      retryAfter: Math.ceil(account.lock_seconds_left),
+      error: `Account locked after too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or ask an admin to unlock it`
+    };
+  }
+
+  const wait = Math.ceil(delayAfterFailures(account.failed_login_count) - (account.seconds_since_failure || 0));
+  if (wait > 0) {
+    return {
+      locked: false,
+      retryAfter: wait,
+      error: `Too many failed login attempts. Wait ${wait} second${wait === 1 ? '' : 's'} before trying again`
+    };
+  }
+
+  return null;
+};
+
+// Helper function to record a failed login (`user` is null for unknown emails)
+// The failure that reaches maxFailures locks the account and emails its owner
+const recordLoginFailure = async (req, { email, user, action = 'login' }) => {
+  await recordAttempt(req, { action, email, userId: user && user.id, succeeded: false });
+  if (!user) return;
+
+  const result = await pool.query(
+    `UPDATE users
+     SET failed_login_count = failed_login_count + 1,
+         last_failed_login_at = CURRENT_TIMESTAMP,
+         locked_until = CASE WHEN failed_login_count + 1 >= $1 THEN NOW() + make_interval(mins => $2) ELSE locked_until END
+     WHERE id = $3
+     RETURNING failed_login_count, locked_until`,
+    [THROTTLE_POLICY.maxFailures, THROTTLE_POLICY.lockoutMinutes, user.id]
+  );
+  const account = result.rows[0];
+
+  if (account && account.failed_login_count >= THROTTLE_POLICY.maxFailures) {
+    console.warn(`Account ${user.id} locked after ${account.failed_login_count} failed login attempts`);
+    try {
+      await sendAccountLockedEmail(user.email, user.username, {
+        lockedUntil: account.locked_until,
+        ipAddress: req.ip,
+        failedAttempts: account.failed_login_count
+      });
+    } catch (error) {
+      console.error('Error sending account locked email:', error);
+    }
+  }
+};
+
+// Helper function to record a completed login; clears the account's failures
+const recordLoginSuccess = async (req, { user, action = 'login' }) => {
+  await recordAttempt(req, { action, email: user.email, userId: user.id, succeeded: true });
+  await pool.query(
+    'UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = $1',
+    [user.id]
+  );
+};
+
+// Helper function to check and record a request that emails an account ('forgot_password' or 'verification_email')
+// Returns { retryAfter, error } when the IP address is over its limit. `skip` is true when the account has
+// had enough of these emails this hour: the caller answers as usual without sending another one
+const throttleEmailRequest = async (req, email, action) => {
+  const result = await pool.query(
+    `SELECT COUNT(*) FILTER (WHERE ip_address = $1)::int AS ip_requests,
+            COUNT(*) FILTER (WHERE email = $2)::int AS account_requests,
+            EXTRACT(EPOCH FROM MIN(created_at) FILTER (WHERE ip_address = $1) + INTERVAL '1 hour' - NOW())::float AS ip_seconds_left
+     FROM login_attempts
+     WHERE action = $3 AND created_at > NOW() - INTERVAL '1 hour'
+       AND (ip_address = $1 OR email = $2)`,
+    [req.ip || null, normalizeEmail(email), action]
+  );
+  const { ip_requests, account_requests, ip_seconds_left } = result.rows[0];
+
+  if (ip_requests >= THROTTLE_POLICY.emailRequestsPerIp) {
+    return {
+      retryAfter: Math.max(Math.ceil(ip_seconds_left), 1),
+      error: 'Too many requests. Please try again later'
+    };
+  }
+
+  await recordAttempt(req, { action, email, succeeded: true });
+  return { skip: account_requests >= THROTTLE_POLICY.emailRequestsPerAccount };
+};
+
+// Helper function to unlock an account and forget its failed logins
+const unlockAccount = async (userId) => {
+  await pool.query(
+    'UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = $1',
+    [userId]
+  );
+};
+
+module.exports = {
+  THROTTLE_POLICY,
+  checkIpLoginThrottle,
+  checkAccountThrottle,
+  recordLoginFailure,
+  recordLoginSuccess,
+  throttleEmailRequest,
+  unlockAccount
+};
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const path = require('path');
+const { parseCsv } = require('./csv');
+const { readWorksheetRows } = require('./xlsx');
+const { createUploadParser } = require('./upload');
+const { parseImportDate, parseImportAmount } = require('./transactionImport');
+
+const MAX_STATEMENT_SIZE_MB = 5;
+
+// MoMo statements are downloaded as CSV or Excel from the MoMo app / business portal
+const parseStatementUpload = createUploadParser({
+  allowedMimeTypes: [
+    'text/csv',
+    'text/plain',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  ],
+  allowedExtensions: ['.csv', '.txt', '.xlsx'],
+  maxSizeMb: MAX_STATEMENT_SIZE_MB,
+  typeLabel: 'CSV (.csv) or Excel (.xlsx)'
+});
+
+// Statement column headers (lowercase), in order of preference
+const STATEMENT_COLUMNS = {
+  reference: ['financial transaction id', 'transaction id', 'txn id', 'id', 'reference', 'ref'],
+  external_reference: ['external transaction id', 'external id'],
+  date: ['date', 'transaction date', 'date time', 'datetime', 'date & time'],
+  status: ['status', 'transaction status'],
+  type: ['type', 'transaction type'],
+  amount: ['amount', 'amount (rwf)', 'transaction amount'],
+  credit: ['credit', 'money in', 'amount in'],
+  debit: ['debit', 'money out', 'amount out'],
+  fee: ['fee', 'fees', 'charges'],
+  from_name: ['from name', 'sender name', 'sender', 'from'],
+  to_name: ['to name', 'receiver name', 'recipient', 'receiver', 'to'],
+  counterparty: ['name', 'counterparty', 'party'],
+  description: ['information', 'note', 'message', 'description', 'narration', 'details']
+};
+
+// MoMo transaction types that tell the direction when the amount is not signed
+const INCOMING_TYPES = ['deposit', 'cash_in', 'cash in', 'receive', 'received', 'credit', 'transfer_in', 'payment_received', 'refund'];
+const OUTGOING_TYPES = ['withdrawal', 'cash_out', 'cash out', 'payment', 'debit', 'transfer_out', 'bill_payment', 'bill payment', 'purchase', 'send'];
+
+// Only completed operations are imported
+const SKIPPED_STATUSES = ['failed', 'rejected', 'cancelled', 'canceled', 'pending', 'expired'];
+
+// Statements often start with a few title lines (account name, period...) before the header row
+const HEADER_SEARCH_ROWS = 20;
+
+const findColumns = (headerRow) => {
+  const headers = headerRow.map((header) => header.trim().toLowerCase());
+  const columns = {};
+  Object.entries(STATEMENT_COLUMNS).forEach(([field, aliases]) => {
+    for (const alias of aliases) {
+      const index = headers.indexOf(alias);
+      if (index !== -1 && !Object.values(columns).includes(index)) {
+        columns[field] = index;
+        break;
+      }
+    }
+  });
+  return columns;
+};
+
+// Helper function to read an uploaded statement (CSV or XLSX) as rows of text
+const readStatementRows = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (extension === '.xlsx' || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    try {
+      return { rows: await readWorksheetRows(file.buffer) };
+    } catch (error) {
+      return { error: 'Could not read the Excel file' };
+    }
+  }
+  return { rows: parseCsv(file.buffer.toString('utf8')) };
+};
+
+// Stable key for a line that has no transaction ID, so importing the same statement again skips it
+// `occurrence` tells apart identical lines in the same statement (e.g. two equal transfers on one day).
+// Migration 026 computes the same key for lines imported before it
+const lineKey = (line, occurrence) => crypto
+  .createHash('md5')
+  .update([line.line_date, line.type, line.amount.toFixed(2), line.description || '', occurrence].join('|'))
+  .digest('hex');
+
+const assignLineKeys = (lines) => {
+  const seen = new Map();
+  return lines.map((line) => {
+    if (line.reference) return { ...line, line_key: null };
+    const key = [line.line_date, line.type, line.amount.toFixed(2), line.description || ''].join('|');
+    const occurrence = (seen.get(key) || 0) + 1;
+    seen.set(key, occurrence);
+    return { ...line, line_key: lineKey(line, occurrence) };
+  });
+};
+
+// Helper function to turn statement rows into lines ready for reconciliation
+// Returns { lines, errors: [{ row, errors }], skipped } or { error } when the layout is not recognised
+const parseMomoStatement = (rows) => {
+  let headerIndex = -1;
+  let columns = {};
+  for (let i = 0; i < Math.min(rows.length, HEADER_SEARCH_ROWS); i++) {
+    const found = findColumns(rows[i]);
+    if (found.date !== undefined && (found.amount !== undefined || found.credit !== undefined || found.debit !== undefined)) {
+      headerIndex = i;
+      columns = found;
+      break;
+    }
+  }
+
+  if (headerIndex === -1) {
+    return { error: 'Could not find the statement header (a Date column and an Amount or Credit/Debit column)' };
+  }
+
+  const cell = (record, field) => (columns[field] === undefined ? '' : (record[columns[field]] || '').trim());
+  const lines = [];
+  const errors = [];
+  let skipped = 0;
+
+  rows.slice(headerIndex + 1).forEach((record) => {
+    const rowNumber = record.line;
+    const rowErrors = [];
+
+    if (SKIPPED_STATUSES.includes(cell(record, 'status').toLowerCase())) {
+      skipped++;
+      return;
+    }
+
+    const lineDate = parseImportDate(cell(record, 'date'));
+    if (!lineDate) {
+      rowErrors.push(cell(record, 'date') ? `Invalid date "${cell(record, 'date')}"` : 'Date is required');
+    }
+
+    // Direction: separate credit/debit columns, then the sign of the amount, then the MoMo transaction type
+    let type = null;
+    let amount = null;
+    const credit = parseImportAmount(cell(record, 'credit'));
+    const debit = parseImportAmount(cell(record, 'debit'));
+    if (credit) {
+      type = 'income';
+      amount = Math.abs(credit);
+    } else if (debit) {
+      type = 'expense';
+      amount = Math.abs(debit);
+    } else {
+      const signedAmount = parseImportAmount(cell(record, 'amount'));
+      const momoType = cell(record, 'type').toLowerCase();
+      if (signedAmount === null || signedAmount === 0) {
+        rowErrors.push(cell(record, 'amount') ? `Invalid amount "${cell(record, 'amount')}"` : 'Amount is required');
+      } else {
+        amount = Math.abs(signedAmount);
+        if (signedAmount < 0) type = 'expense';
+        else if (INCOMING_TYPES.includes(momoType)) type = 'income';
+        else if (OUTGOING_TYPES.includes(momoType)) type = 'expense';
+        else rowErrors.push('Could not tell whether money came in or went out');
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: rowNumber, errors: rowErrors });
+      return;
+    }
+
+    const fee = parseImportAmount(cell(record, 'fee'));
+    const counterparty = (type === 'income' ? cell(record, 'from_name') : cell(record, 'to_name'))
+      || cell(record, 'counterparty')
+      || null;
+
+    lines.push({
+      row: rowNumber,
+      line_date: lineDate,
+      type,
+      amount,
+      fee: fee === null ? null : Math.abs(fee),
+      reference: cell(record, 'reference') || cell(record, 'external_reference') || null,
+      counterparty,
+      description: cell(record, 'description') || null
+    });
+  });
+
+  return { lines: assignLineKeys(lines), errors, skipped };
+};
+
+module.exports = {
+  parseStatementUpload,
+  readStatementRows,
+  parseMomoStatement
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+// How long an emailed reset link works (the email tells the user 1 hour)
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Helper function to give a user a new password reset token; any earlier link stops working
+// Returns the token to email: only its hash is stored
+const createPasswordResetToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await pool.query(
+    `UPDATE users
+     SET reset_token = $1, reset_token_expires = NOW() + make_interval(mins => $2)
+     WHERE id = $3`,
+    [hashToken(token), RESET_TOKEN_TTL_MINUTES, userId]
+  );
+  return token;
+};
+
+// Helper function to set a new password with a reset token; the token is used up in the same update
+// Also clears a pending forced password change and a lockout (the user proved they own the email)
+// Returns the user ({ id, email }), or null when the token is unknown, used or expired
+const consumePasswordResetToken = async (token, hashedPassword) => {
+  const result = await pool.query(
+    `UPDATE users
+     SET password = $1,
+         reset_token = NULL,
+         reset_token_expires = NULL,
+         must_change_password = false,
+         failed_login_count = 0,
+         last_failed_login_at = NULL,
+         locked_until = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE reset_token = $2 AND reset_token_expires > NOW()
+     RETURNING id, email`,
+    [hashedPassword, hashToken(token)]
+  );
+  return result.rows[0] || null;
+};
+
+// Helper function to generate a 12 character temporary password (letters and digits)
+const generateTemporaryPassword = () => {
+  const parts = [];
+  while (parts.join('').length < 12) {
+    parts.push(crypto.randomBytes(9).toString('base64').replace(/[^a-zA-Z0-9]/g, ''));
+  }
+  return parts.join('').slice(0, 12);
+};
+
+module.exports = {
+  createPasswordResetToken,
+  consumePasswordResetToken,
+  generateTemporaryPassword
+};
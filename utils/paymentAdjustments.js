@@ -0,0 +1,188 @@
+const pool = require('../config/database');
+const { BILLING_POLICY, getCoveredDays } = require('./billing');
+
+// Kinds of ledger entry an admin can add to a payment (payment_adjustments.adjustment_type)
+// refund: money given back; credit: extra days of access; correction: fixes the amount received or the days covered;
+// reversal: cancels the payment (what deleting a payment with money on it does)
+const ADJUSTMENT_TYPES = ['refund', 'credit', 'correction', 'reversal'];
+
+// Statuses of a payment that has money on it
+const FUNDED_STATUSES = ['paid', 'partial'];
+
+// Statuses of a payment whose money was taken back through the ledger; only a correction brings money back
+const SETTLED_STATUSES = ['refunded', 'reversed'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Helper function to work out the changes an adjustment makes to a payment
+// Refunds take back their share of the covered days unless `days` says otherwise; a refund of everything
+// received leaves the payment 'refunded', and a reversal takes back all the money and days ('reversed').
+// Returns { changes: { amount, days, status } } or { status: <http status>, error }
+const planAdjustment = (payment, { type, amount, days }) => {
+  const amountPaid = parseFloat(payment.amount_paid || 0);
+  const daysAdjusted = payment.days_adjusted || 0;
+
+  if (payment.status === 'pending') {
+    return { status: 409, error: 'A mobile money payment or claim is waiting on this payment. Settle it first' };
+  }
+
+  if (type === 'reversal') {
+    if (!FUNDED_STATUSES.includes(payment.status)) {
+      return { status: 400, error: 'Only payments with money received can be reversed' };
+    }
+    return { changes: { amount: -amountPaid, days: -daysAdjusted, status: 'reversed' } };
+  }
+
+  if (type === 'refund') {
+    if (!FUNDED_STATUSES.includes(payment.status)) {
+      return { status: 400, error: 'Only payments with money received can be refunded' };
+    }
+    if (!(amount > 0)) {
+      return { status: 400, error: 'Refund amount must be a positive number' };
+    }
+    if (amount > amountPaid) {
+      return { status: 400, error: `Refund cannot be more than the ${amountPaid.toLocaleString('en-US')} RWF received` };
+    }
+    if (days !== undefined && days > 0) {
+      return { status: 400, error: 'A refund cannot add days' };
+    }
+
+    const fullRefund = roundAmount(amountPaid - amount) === 0;
+    // A paid payment gives back the days the refunded money paid for
+    const refundedDays = payment.status === 'paid' && !fullRefund
+      ? -Math.round(BILLING_POLICY.cycleDays * payment.months_covered * (amount / parseFloat(payment.amount)))
+      : 0;
+    return {
+      changes: {
+        amount: -amount,
+        days: fullRefund ? -daysAdjusted : (days !== undefined ? days : refundedDays),
+        status: fullRefund ? 'refunded' : payment.status
+      }
+    };
+  }
+
+  // A correction also brings back money a refund or reversal took back by mistake
+  const restoring = type === 'correction' && SETTLED_STATUSES.includes(payment.status);
+  if (payment.status !== 'paid' && !restoring) {
+    return { status: 400, error: `Only paid payments can get a ${type}` };
+  }
+
+  if (type === 'credit') {
+    if (!(days > 0)) {
+      return { status: 400, error: 'A credit must add a positive number of days' };
+    }
+    return { changes: { amount: 0, days, status: payment.status } };
+  }
+
+  // correction
+  const amountChange = amount || 0;
+  const daysChange = days || 0;
+  if (restoring) {
+    if (!(amountChange > 0)) {
+      return { status: 400, error: `A correction of a ${payment.status} payment must add back the amount received` };
+    }
+    const fullyPaid = roundAmount(amountPaid + amountChange) >= parseFloat(payment.amount);
+    return { changes: { amount: amountChange, days: daysChange, status: fullyPaid ? 'paid' : 'partial' } };
+  }
+  if (amountChange === 0 && daysChange === 0) {
+    return { status: 400, error: 'A correction must change the amount received or the days covered' };
+  }
+  if (roundAmount(amountPaid + amountChange) <= 0) {
+    return { status: 400, error: 'A correction cannot take away everything received. Refund or reverse the payment instead' };
+  }
+  if (getCoveredDays(payment) + daysChange <= 0) {
+    return { status: 400, error: 'A correction cannot take away all the days the payment covers' };
+  }
+  return { changes: { amount: amountChange, days: daysChange, status: payment.status } };
+};
+
+// Helper function to add an adjustment to a payment, inside `client`'s transaction (lock the payment first)
+// Returns { payment, adjustment } or { status, error }
+const applyPaymentAdjustment = async (client, payment, { type, amount, days, reason, transactionReference, createdBy }) => {
+  const planned = planAdjustment(payment, { type, amount, days });
+  if (planned.error) {
+    return planned;
+  }
+  const { changes } = planned;
+
+  const adjustmentResult = await client.query(
+    `INSERT INTO payment_adjustments (payment_id, user_id, adjustment_type, amount, days, reason, transaction_reference,
+                                      previous_status, new_status, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      payment.id,
+      payment.user_id,
+      type,
+      changes.amount,
+      changes.days,
+      reason,
+      transactionReference || null,
+      payment.status,
+      changes.status,
+      createdBy || null
+    ]
+  );
+
+  // Reversed and refunded payments stop counting as paid; a corrected one counts again from now
+  const paymentResult = await client.query(
+    `UPDATE user_payments
+     SET amount_paid = amount_paid + $1,
+         days_adjusted = days_adjusted + $2,
+         status = $3,
+         paid_at = CASE WHEN $3 IN ('refunded', 'reversed') THEN NULL
+                        WHEN $3 = 'paid' THEN COALESCE(paid_at, CURRENT_TIMESTAMP)
+                        ELSE paid_at END
+     WHERE id = $4
+     RETURNING *`,
+    [changes.amount, changes.days, changes.status, payment.id]
+  );
+
+  return { payment: paymentResult.rows[0], adjustment: adjustmentResult.rows[0] };
+};
+
+// Helper function to list ledger entries, newest first
+// Filters: { paymentId, userId, type, startDate, endDate }
+const getPaymentAdjustments = async ({ paymentId, userId, type, startDate, endDate } = {}) => {
+  let query = `
+    SELECT pa.*, up.payment_month, up.months_covered, u.username, u.email, actor.username AS created_by_username
+    FROM payment_adjustments pa
+    JOIN user_payments up ON pa.payment_id = up.id
+    JOIN users u ON pa.user_id = u.id
+    LEFT JOIN users actor ON pa.created_by = actor.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (paymentId) {
+    params.push(paymentId);
+    query += ` AND pa.payment_id = $${params.length}`;
+  }
+  if (userId) {
+    params.push(userId);
+    query += ` AND pa.user_id = $${params.length}`;
+  }
+  if (type) {
+    params.push(type);
+    query += ` AND pa.adjustment_type = $${params.length}`;
+  }
+  if (startDate) {
+    params.push(startDate);
+    query += ` AND pa.created_at >= $${params.length}`;
+  }
+  if (endDate) {
+    params.push(endDate);
+    query += ` AND pa.created_at < ($${params.length}::date + INTERVAL '1 day')`;
+  }
+
+  query += ' ORDER BY pa.created_at DESC, pa.id DESC';
+
+  const result = await pool.query(query, params);
+  return result.rows;
+};
+
+module.exports = {
+  ADJUSTMENT_TYPES,
+  applyPaymentAdjustment,
+  getPaymentAdjustments
+};
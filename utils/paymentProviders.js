@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+// Subscription payments are collected in RWF unless the provider account uses another currency
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'RWF';
+
+// Header carrying the HMAC-SHA256 (hex) of the raw callback body
+const SIGNATURE_HEADER = 'x-callback-signature';
+
+// Outside production an ephemeral secret is enough: the fake provider signs with it in-process
+let callbackSecret = process.env.PAYMENT_CALLBACK_SECRET || null;
+if (!callbackSecret && process.env.NODE_ENV !== 'production') {
+  callbackSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const signPayload = (body) => crypto.createHmac('sha256', callbackSecret).update(body).digest('hex');
+
+// Helper function to check the signature of a callback (needs req.rawBody, kept by express.json in index.js)
+const verifySignature = (req) => {
+  const signature = req.get(SIGNATURE_HEADER);
+  if (!callbackSecret || !signature || !req.rawBody) return false;
+
+  const expected = Buffer.from(signPayload(req.rawBody), 'hex');
+  const received = Buffer.from(signature, 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+// Helper function to turn a phone number into an MSISDN (Rwandan local numbers get the 250 prefix)
+// Returns null when the number cannot be valid
+const normalizeMsisdn = (phone) => {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length === 10 && digits.startsWith('07')) {
+    digits = `250${digits.slice(1)}`;
+  }
+  return digits.length >= 9 && digits.length <= 15 ? digits : null;
+};
+
+// --- Fake provider (offline testing) ---
+// Answers every request-to-pay, then posts a signed callback to the API after FAKE_PAYMENT_DELAY_MS.
+// Numbers ending in 0 are declined, every other number pays.
+
+const FAKE_PAYMENT_DELAY_MS = parseInt(process.env.FAKE_PAYMENT_DELAY_MS) || 3000;
+
+const fakeProvider = {
+  name: 'fake',
+  paymentMethod: 'MOMO',
+
+  requestToPay: async ({ reference, amount, currency, phone, callbackUrl }) => {
+    const declined = phone.endsWith('0');
+
+    const body = JSON.stringify({
+      reference,
+      status: declined ? 'FAILED' : 'SUCCESSFUL',
+      reason: declined ? 'Payer declined the request' : null,
+      amount,
+      currency,
+      payer: phone
+    });
+
+    setTimeout(() => {
+      fetch(callbackUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signPayload(body) },
+        body
+      }).catch((error) => console.error('Fake payment provider callback failed:', error.message));
+    }, FAKE_PAYMENT_DELAY_MS).unref();
+  },
+
+  verifyCallback: verifySignature,
+
+  parseCallback: (req) => ({
+    providerReference: req.body.reference,
+    status: req.body.status === 'SUCCESSFUL' ? 'successful' : 'failed',
+    failureReason: req.body.reason || null
+  })
+};
+
+// Payment providers by name. A provider implements:
+//   requestToPay({ reference, amount, currency, phone, description, callbackUrl }) -> resolves once the request is accepted
+//     (`reference` is generated by the API, like MoMo's X-Reference-Id, and comes back in the callback)
+//   verifyCallback(req) -> true when the callback really comes from the provider
+//   parseCallback(req) -> { providerReference, status: 'successful' | 'failed', failureReason }
+const PROVIDERS = {
+  fake: fakeProvider
+};
+
+// The fake provider is only the default outside production
+const DEFAULT_PROVIDER = process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'fake');
+
+const getPaymentProvider = (name = DEFAULT_PROVIDER) => PROVIDERS[name] || null;
+
+module.exports = {
+  PAYMENT_CURRENCY,
+  normalizeMsisdn,
+  getPaymentProvider
+};
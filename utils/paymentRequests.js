@@ -0,0 +1,106 @@
+const pool = require('../config/database');
+const { recordAuditEntries } = require('./audit');
+
+// Pending payment requests older than this are treated as abandoned (the payer never answered)
+const PAYMENT_REQUEST_TIMEOUT_MINUTES = parseInt(process.env.PAYMENT_REQUEST_TIMEOUT_MINUTES) || 15;
+
+// Helper function to take a payment out of 'pending' once nothing is waiting on it any more
+// (no pending payment request or claim). Returns the updated payment, or null when it stays as it is
+const restorePaymentStatus = async (client, payment, previousStatus) => {
+  if (payment.status !== 'pending') {
+    return null;
+  }
+
+  const waiting = await client.query(
+    `SELECT id FROM payment_requests WHERE payment_id = $1 AND status = 'pending'
+     UNION ALL
+     SELECT id FROM payment_claims WHERE payment_id = $1 AND status = 'pending'`,
+    [payment.id]
+  );
+  if (waiting.rows.length > 0) {
+    return null;
+  }
+
+  const result = await client.query(
+    'UPDATE user_payments SET status = $1 WHERE id = $2 RETURNING *',
+    [previousStatus || 'unpaid', payment.id]
+  );
+  return result.rows[0];
+};
+
+// Helper function to close a pending payment request that won't be answered ('expired' or 'cancelled')
+// The payment gets its previous status back once nothing else is waiting on it; the change is audited
+// Returns { paymentRequest, payment }, or null when the request was no longer pending
+const closePaymentRequest = async (req, requestId, status) => {
+  const client = await pool.connect();
+  let paymentRequest;
+  let before;
+  let after;
+
+  try {
+    await client.query('BEGIN');
+
+    const closed = await client.query(
+      `UPDATE payment_requests
+       SET status = $1, completed_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'pending'
+       RETURNING *`,
+      [status, requestId]
+    );
+    if (closed.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    paymentRequest = closed.rows[0];
+
+    const paymentResult = await client.query('SELECT * FROM user_payments WHERE id = $1 FOR UPDATE', [paymentRequest.payment_id]);
+    before = paymentResult.rows[0];
+    after = await restorePaymentStatus(client, before, paymentRequest.previous_payment_status);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (after) {
+    await recordAuditEntries(req, [{
+      action: 'update',
+      entityType: 'payment',
+      entityId: after.id,
+      before,
+      after
+    }]);
+  }
+
+  const { callback_data, ...publicFields } = paymentRequest;
+  return { paymentRequest: publicFields, payment: after || before };
+};
+
+// Helper function to expire pending requests older than PAYMENT_REQUEST_TIMEOUT_MINUTES
+// (every user's, or only `userId`'s). `req` is null for the scheduler
+// Returns the number of requests expired
+const expireStalePaymentRequests = async (req, { userId } = {}) => {
+  const stale = await pool.query(
+    `SELECT id FROM payment_requests
+     WHERE status = 'pending' AND created_at < NOW() - ($1 * INTERVAL '1 minute')
+       AND ($2::int IS NULL OR user_id = $2)
+     ORDER BY id`,
+    [PAYMENT_REQUEST_TIMEOUT_MINUTES, userId || null]
+  );
+
+  let expired = 0;
+  for (const row of stale.rows) {
+    if (await closePaymentRequest(req, row.id, 'expired')) expired++;
+  }
+  return expired;
+};
+
+module.exports = {
+  PAYMENT_REQUEST_TIMEOUT_MINUTES,
+  restorePaymentStatus,
+  closePaymentRequest,
+  expireStalePaymentRequests
+};
@@ -0,0 +1,99 @@
+const pool = require('../config/database');
+
+// Feature flags a plan can switch on (stored in plans.features)
+const PLAN_FEATURES = {
+  team_members: 'project members',
+  financial_summary: 'the financial summary',
+  audit_log: 'project history',
+  priority_support: 'priority support'
+};
+
+// Plan of users who have not been given one (e.g. new registrations)
+const DEFAULT_PLAN_CODE = process.env.DEFAULT_PLAN || 'starter';
+
+const getPlanById = async (planId) => {
+  const result = await pool.query('SELECT * FROM plans WHERE id = $1', [planId]);
+  return result.rows[0] || null;
+};
+
+const getDefaultPlan = async () => {
+  const result = await pool.query('SELECT * FROM plans WHERE code = $1', [DEFAULT_PLAN_CODE]);
+  return result.rows[0] || null;
+};
+
+// Helper function to get the plan of a user, falling back to the default plan
+const getUserPlan = async (userId) => {
+  const result = await pool.query(
+    `SELECT p.*
+     FROM users u
+     JOIN plans p ON u.plan_id = p.id
+     WHERE u.id = $1`,
+    [userId]
+  );
+  return result.rows[0] || getDefaultPlan();
+};
+
+// Without any plan configured nothing is restricted
+const hasPlanFeature = (plan, feature) => !plan || (plan.features || {})[feature] === true;
+
+// Helper function to check that a user's plan includes a feature
+// Returns { allowed, plan, error }; admins are never limited
+const checkPlanFeature = async (userId, role, feature) => {
+  if (role === 'admin') {
+    return { allowed: true, plan: null };
+  }
+
+  const plan = await getUserPlan(userId);
+  if (hasPlanFeature(plan, feature)) {
+    return { allowed: true, plan };
+  }
+
+  return {
+    allowed: false,
+    plan,
+    error: `Your ${plan.name} plan does not include ${PLAN_FEATURES[feature] || feature}. Upgrade your plan to use it.`
+  };
+};
+
+const countOwnedProjects = async (userId) => {
+  const result = await pool.query('SELECT COUNT(*) AS count FROM projects WHERE user_id = $1', [userId]);
+  return parseInt(result.rows[0].count);
+};
+
+// Helper function to check whether a user may create another project
+// Returns { allowed, plan, limit, used, error }
+const checkProjectLimit = async (userId, role) => {
+  if (role === 'admin') {
+    return { allowed: true, plan: null, limit: null };
+  }
+
+  const plan = await getUserPlan(userId);
+  const limit = plan && plan.max_projects !== null ? plan.max_projects : null;
+  if (limit === null) {
+    return { allowed: true, plan, limit };
+  }
+
+  const used = await countOwnedProjects(userId);
+  if (used < limit) {
+    return { allowed: true, plan, limit, used };
+  }
+
+  return {
+    allowed: false,
+    plan,
+    limit,
+    used,
+    error: `Your ${plan.name} plan allows up to ${limit} projects. Upgrade your plan to create more.`
+  };
+};
+
+module.exports = {
+  PLAN_FEATURES,
+  getPlanById,
+  getDefaultPlan,
+  getUserPlan,
+  hasPlanFeature,
+  checkPlanFeature,
+  countOwnedProjects,
+  checkProjectLimit
+};
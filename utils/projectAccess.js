@@ -0,0 +1,96 @@
+const pool = require('../config/database');
+
+// Roles a project owner can grant to other users
+const MEMBER_ROLES = ['viewer', 'editor', 'accountant'];
+
+// Which project roles may perform each action ('owner' is projects.user_id)
+const PROJECT_PERMISSIONS = {
+  view: ['owner', 'editor', 'accountant', 'viewer'],
+  edit_project: ['owner', 'editor'],
+  manage_tasks: ['owner', 'editor'],
+  manage_transactions: ['owner', 'editor', 'accountant'],
+  delete_project: ['owner'],
+  manage_members: ['owner'],
+  view_history: ['owner']
+};
+
+// Helper function to resolve the current user's role on a project
+// Returns null for project when it does not exist, and null for role when the user has no access
+const getProjectRole = async (projectId, userId) => {
+  const projectResult = await pool.query(
+    `SELECT p.*, pm.role AS member_role
+     FROM projects p
+     LEFT JOIN project_members pm ON pm.project_id = p.id AND pm.user_id = $2
+     WHERE p.id = $1`,
+    [projectId, userId]
+  );
+
+  if (projectResult.rows.length === 0) {
+    return { project: null, role: null };
+  }
+
+  const { member_role: memberRole, ...project } = projectResult.rows[0];
+  const role = project.user_id === userId ? 'owner' : memberRole || null;
+
+  return { project, role };
+};
+
+// Helper function to check project access for a given permission
+// Admins can only access their own projects (or projects shared with them), not other users' projects
+const checkProjectAccess = async (projectId, userId, role, permission = 'view') => {
+  const { project, role: projectRole } = await getProjectRole(projectId, userId);
+
+  if (!project) {
+    return { authorized: false, error: 'Project not found' };
+  }
+
+  if (!projectRole) {
+    return { authorized: false, error: 'Access denied to this project', project };
+  }
+
+  const allowedRoles = PROJECT_PERMISSIONS[permission] || [];
+  if (!allowedRoles.includes(projectRole)) {
+    return { authorized: false, error: `Your role (${projectRole}) does not allow this action on the project`, project, projectRole };
+  }
+
+  return { authorized: true, project, projectRole };
+};
+
+// SQL condition matching every project the user owns or is a member of
+// `projectAlias` is the alias of the projects table, `paramRef` the placeholder holding the user id (e.g. '$1')
+const accessibleProjectsCondition = (projectAlias, paramRef) => (
+  `(${projectAlias}.user_id = ${paramRef} OR EXISTS (
+     SELECT 1 FROM project_members pm_access
+     WHERE pm_access.project_id = ${projectAlias}.id AND pm_access.user_id = ${paramRef}
+   ))`
+);
+
+// SQL condition matching the projects where the user's role allows `permission` (see PROJECT_PERMISSIONS)
+// Same arguments as accessibleProjectsCondition
+const permittedProjectsCondition = (projectAlias, paramRef, permission) => {
+  const allowedRoles = PROJECT_PERMISSIONS[permission] || [];
+  const memberRoles = allowedRoles.filter((role) => role !== 'owner');
+  const conditions = [];
+
+  if (allowedRoles.includes('owner')) {
+    conditions.push(`${projectAlias}.user_id = ${paramRef}`);
+  }
+  if (memberRoles.length > 0) {
+    conditions.push(`EXISTS (
+     SELECT 1 FROM project_members pm_access
+     WHERE pm_access.project_id = ${projectAlias}.id AND pm_access.user_id = ${paramRef}
+       AND pm_access.role IN (${memberRoles.map((role) => `'${role}'`).join(', ')})
+   )`);
+  }
+
+  return conditions.length > 0 ? `(${conditions.join(' OR ')})` : 'FALSE';
+};
+
+module.exports = {
+  MEMBER_ROLES,
+  PROJECT_PERMISSIONS,
+  getProjectRole,
+  checkProjectAccess,
+  accessibleProjectsCondition,
+  permittedProjectsCondition
+};
@@ -0,0 +1,186 @@
+const pool = require('../config/database');
+const { sendBudgetAlertEmail } = require('./emailService');
+const { categorySubtreeCondition } = require('./categories');
+
+// Default alert thresholds (percent of budget), e.g. BUDGET_ALERT_THRESHOLDS=80,100
+const DEFAULT_THRESHOLDS = (process.env.BUDGET_ALERT_THRESHOLDS || '80,100')
+  .split(',')
+  .map((value) => parseInt(value.trim()))
+  .filter((value) => Number.isInteger(value) && value > 0)
+  .sort((a, b) => a - b);
+
+// Helper function to validate a list of thresholds sent by a client
+// Returns a sorted array of unique positive integers, or null if the input is invalid
+const normalizeThresholds = (thresholds) => {
+  if (!Array.isArray(thresholds) || thresholds.length === 0) {
+    return null;
+  }
+  const values = thresholds.map((value) => parseInt(value));
+  if (values.some((value) => !Number.isInteger(value) || value <= 0)) {
+    return null;
+  }
+  return [...new Set(values)].sort((a, b) => a - b);
+};
+
+const getAlertThresholds = (project) => {
+  const thresholds = normalizeThresholds(project.budget_thresholds);
+  return thresholds || DEFAULT_THRESHOLDS;
+};
+
+// Helper function to compute how much of a budget has been used
+const computeUsage = (budget, spent) => {
+  const budgetAmount = budget !== null && budget !== undefined ? parseFloat(budget) : null;
+  const spentAmount = parseFloat(spent || 0);
+
+  if (budgetAmount === null) {
+    return { budget: null, spent: spentAmount, remaining: null, percent_used: null };
+  }
+
+  return {
+    budget: budgetAmount,
+    spent: spentAmount,
+    remaining: budgetAmount - spentAmount,
+    percent_used: budgetAmount > 0 ? Math.round((spentAmount / budgetAmount) * 10000) / 100 : null
+  };
+};
+
+// Highest threshold reached by a usage percentage (0 if none)
+const getReachedLevel = (percentUsed, thresholds) => {
+  if (percentUsed === null) return 0;
+  return thresholds.filter((threshold) => percentUsed >= threshold).pop() || 0;
+};
+
+const getBudgetStatus = (percentUsed, thresholds) => {
+  if (percentUsed === null) return 'no_budget';
+  if (percentUsed > 100) return 'over_budget';
+  if (getReachedLevel(percentUsed, thresholds) > 0) return 'warning';
+  return 'on_track';
+};
+
+// Helper function to sum expense tasks and transactions of a project in a category (and its subcategories)
+const getCategorySpend = async (projectId, categoryId) => {
+  const result = await pool.query(
+    `SELECT
+       (SELECT COALESCE(SUM(amount), 0) FROM transactions
+        WHERE project_id = $1 AND type = 'expense' AND status = 'posted' AND ${categorySubtreeCondition('category_id', '$2')})
+       +
+       (SELECT COALESCE(SUM(cost), 0) FROM tasks
+        WHERE project_id = $1 AND type = 'expense' AND ${categorySubtreeCondition('category_id', '$2')})
+       AS total`,
+    [projectId, categoryId]
+  );
+  return parseFloat(result.rows[0].total);
+};
+
+// Helper function to load a project's budget lines with actual spend
+// Lines without a linked category have no measurable spend (spent is null)
+const getBudgetLines = async (projectId) => {
+  const linesResult = await pool.query(
+    `SELECT id, category, category_id, amount, alert_level
+     FROM project_budget_lines
+     WHERE project_id = $1
+     ORDER BY category ASC`,
+    [projectId]
+  );
+
+  const lines = [];
+  for (const line of linesResult.rows) {
+    const spent = line.category_id ? await getCategorySpend(projectId, line.category_id) : null;
+    lines.push({
+      ...line,
+      usage: spent === null
+        ? { budget: parseFloat(line.amount), spent: null, remaining: null, percent_used: null }
+        : computeUsage(line.amount, spent)
+    });
+  }
+  return lines;
+};
+
+// Helper function to build the budget-vs-actual section for a project
+// `project` must be a full projects row (total_expense is kept up to date by updateProjectTotals)
+const getBudgetSummary = async (project) => {
+  const thresholds = getAlertThresholds(project);
+  const usage = computeUsage(project.budget, project.total_expense);
+
+  const lines = await getBudgetLines(project.id);
+
+  return {
+    ...usage,
+    thresholds,
+    status: getBudgetStatus(usage.percent_used, thresholds),
+    lines: lines.map((line) => ({
+      id: line.id,
+      category: line.category,
+      category_id: line.category_id,
+      ...line.usage,
+      status: getBudgetStatus(line.usage.percent_used, thresholds)
+    }))
+  };
+};
+
+// Helper function to email the project owner when spend passes a new budget threshold
+// Called by updateProjectTotals after totals have been recalculated
+const checkBudgetAlerts = async (projectId) => {
+  const projectResult = await pool.query(
+    `SELECT p.*, u.email AS owner_email, u.username AS owner_username
+     FROM projects p
+     LEFT JOIN users u ON p.user_id = u.id
+     WHERE p.id = $1`,
+    [projectId]
+  );
+
+  if (projectResult.rows.length === 0) return;
+
+  const project = projectResult.rows[0];
+  const thresholds = getAlertThresholds(project);
+
+  // Compares a usage against the level already alerted and emails the owner when a new threshold is passed
+  // When spend drops back (e.g. a deleted expense) the stored level is lowered so crossing it again alerts again
+  const alertIfNeeded = async (usage, alertedLevel, saveLevel, categoryName) => {
+    const reachedLevel = getReachedLevel(usage.percent_used, thresholds);
+    if (reachedLevel === (alertedLevel || 0)) return;
+
+    await saveLevel(reachedLevel);
+
+    if (reachedLevel > (alertedLevel || 0) && project.owner_email) {
+      try {
+        await sendBudgetAlertEmail(project.owner_email, project.owner_username, {
+          projectName: project.project_name,
+          categoryName,
+          threshold: reachedLevel,
+          budget: usage.budget,
+          spent: usage.spent,
+          percentUsed: usage.percent_used
+        });
+      } catch (error) {
+        console.error(`Failed to send budget alert for project ${projectId}:`, error);
+      }
+    }
+  };
+
+  if (project.budget !== null && parseFloat(project.budget) > 0) {
+    await alertIfNeeded(
+      computeUsage(project.budget, project.total_expense),
+      project.budget_alert_level,
+      (level) => pool.query('UPDATE projects SET budget_alert_level = $1 WHERE id = $2', [level, projectId])
+    );
+  }
+
+  const lines = await getBudgetLines(projectId);
+  for (const line of lines) {
+    if (line.usage.spent === null || !(line.usage.budget > 0)) continue;
+    await alertIfNeeded(
+      line.usage,
+      line.alert_level,
+      (level) => pool.query('UPDATE project_budget_lines SET alert_level = $1 WHERE id = $2', [level, line.id]),
+      line.category
+    );
+  }
+};
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  normalizeThresholds,
+  getBudgetSummary,
+  checkBudgetAlerts
+};
@@ -0,0 +1,53 @@
+const pool = require('../config/database');
+const { checkBudgetAlerts } = require('./projectBudget');
+
+// Helper function to update project totals (including tasks and transactions)
+const updateProjectTotals = async (projectId) => {
+  // Calculate totals from transactions (pending bank imports don't count until confirmed)
+  const incomeTransactionsResult = await pool.query(
+    `SELECT COALESCE(SUM(amount), 0) as total 
+     FROM transactions 
+     WHERE project_id = $1 AND type = 'income' AND status = 'posted'`,
+    [projectId]
+  );
+
+  const expenseTransactionsResult = await pool.query(
+    `SELECT COALESCE(SUM(amount), 0) as total 
+     FROM transactions 
+     WHERE project_id = $1 AND type = 'expense' AND status = 'posted'`,
+    [projectId]
+  );
+
+  // Calculate totals from tasks
+  const incomeTasksResult = await pool.query(
+    `SELECT COALESCE(SUM(cost), 0) as total 
+     FROM tasks 
+     WHERE project_id = $1 AND type = 'income'`,
+    [projectId]
+  );
+
+  const expenseTasksResult = await pool.query(
+    `SELECT COALESCE(SUM(cost), 0) as total 
+     FROM tasks 
+     WHERE project_id = $1 AND type = 'expense'`,
+    [projectId]
+  );
+
+  const totalIncome = parseFloat(incomeTransactionsResult.rows[0].total) + parseFloat(incomeTasksResult.rows[0].total);
+  const totalExpense = parseFloat(expenseTransactionsResult.rows[0].total) + parseFloat(expenseTasksResult.rows[0].total);
+
+  // Update project totals (balance is auto-calculated)
+  await pool.query(
+    `UPDATE projects 
+     SET total_income = $1, total_expense = $2, updated_at = CURRENT_TIMESTAMP 
+     WHERE id = $3`,
+    [totalIncome, totalExpense, projectId]
+  );
+
+  // Email the owner if spend has passed a budget alert threshold
+  await checkBudgetAlerts(projectId);
+};
+
+module.exports = {
+  updateProjectTotals
+};
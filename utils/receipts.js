@@ -0,0 +1,151 @@
+const PDFDocument = require('pdfkit');
+const pool = require('../config/database');
+
+// Issuer details printed on every receipt
+const RECEIPT_ISSUER = {
+  name: process.env.RECEIPT_ISSUER_NAME || 'NKUSI ENGINEERING GROUP LTD',
+  tin: process.env.RECEIPT_ISSUER_TIN || null,
+  address: process.env.RECEIPT_ISSUER_ADDRESS || null,
+  phone: process.env.RECEIPT_ISSUER_PHONE || null,
+  email: process.env.RECEIPT_ISSUER_EMAIL || process.env.BREVO_SENDER_EMAIL || null
+};
+
+// Helper function to give a paid payment its receipt number (RCT-<year>-<6 digits>)
+// A payment keeps its number for good, even if it is marked unpaid and paid again
+const issueReceipt = async (payment) => {
+  if (payment.receipt_number || payment.status !== 'paid') {
+    return payment;
+  }
+
+  const result = await pool.query(
+    `UPDATE user_payments
+     SET receipt_number = 'RCT-' || TO_CHAR(CURRENT_DATE, 'YYYY') || '-' || LPAD(nextval('payment_receipt_seq')::text, 6, '0'),
+         receipt_issued_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND receipt_number IS NULL AND status = 'paid'
+     RETURNING *`,
+    [payment.id]
+  );
+
+  if (result.rows.length > 0) {
+    return { ...payment, ...result.rows[0] };
+  }
+
+  // Numbered by a concurrent request meanwhile
+  const current = await pool.query('SELECT * FROM user_payments WHERE id = $1', [payment.id]);
+  return { ...payment, ...current.rows[0] };
+};
+
+const formatDate = (value) => {
+  if (!value) return 'N/A';
+  const d = value instanceof Date ? value : new Date(value);
+  return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+};
+
+const formatMonth = (value) => new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+
+// "March 2025", or "March 2025 - May 2025" for a prepaid payment
+const formatMonthsCovered = (payment) => {
+  const first = new Date(payment.payment_month);
+  const months = payment.months_covered || 1;
+  if (months <= 1) return formatMonth(first);
+  return `${formatMonth(first)} - ${formatMonth(new Date(first.getFullYear(), first.getMonth() + months - 1, 1))}`;
+};
+
+const formatAmount = (value) => `${Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} RWF`;
+
+// Helper function to render the receipt of a paid payment
+// `payer` is { username, email, phone }; resolves with the PDF as a Buffer
+const generateReceiptPdf = (payment, payer) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ margin: 40, size: 'A5' });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const primaryBlue = '#1d4ed8';
+  const accentYellow = '#facc15';
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const left = doc.page.margins.left;
+
+  // Header bar
+  doc
+    .save()
+    .rect(left, doc.page.margins.top - 10, contentWidth, 36)
+    .fill(primaryBlue)
+    .restore();
+  doc.fillColor('#ffffff').fontSize(18).text('Payment Receipt', left + 10, doc.page.margins.top);
+
+  doc.moveDown(1.2);
+  doc.fillColor('#111827').fontSize(11).text(`Receipt No: ${payment.receipt_number}`, left);
+  doc.text(`Issued: ${formatDate(payment.receipt_issued_at || payment.paid_at)}`);
+
+  // Issuer
+  doc.moveDown();
+  doc.fontSize(12).fillColor(primaryBlue).text('Issued by');
+  doc.fontSize(10).fillColor('#111827').text(RECEIPT_ISSUER.name);
+  if (RECEIPT_ISSUER.tin) doc.text(`TIN: ${RECEIPT_ISSUER.tin}`);
+  if (RECEIPT_ISSUER.address) doc.text(RECEIPT_ISSUER.address);
+  if (RECEIPT_ISSUER.phone) doc.text(`Phone: ${RECEIPT_ISSUER.phone}`);
+  if (RECEIPT_ISSUER.email) doc.text(`Email: ${RECEIPT_ISSUER.email}`);
+
+  // Payer
+  doc.moveDown();
+  doc.fontSize(12).fillColor(primaryBlue).text('Received from');
+  doc.fontSize(10).fillColor('#111827').text(payer.username);
+  doc.text(payer.email);
+  if (payer.phone) doc.text(`Phone: ${payer.phone}`);
+
+  // Payment details card
+  doc.moveDown();
+  const cardY = doc.y;
+  const rows = [
+    ['Description', (payment.months_covered || 1) > 1 ? `SPEMS subscription (${payment.months_covered} months)` : 'SPEMS monthly subscription'],
+    [(payment.months_covered || 1) > 1 ? 'Months covered' : 'Month covered', formatMonthsCovered(payment)],
+    ['Payment method', payment.payment_method || 'MOMO'],
+    ['Transaction reference', payment.transaction_reference || 'N/A'],
+    ['Paid on', formatDate(payment.paid_at)]
+  ];
+  // Coupon discounts show the price before the discount and what came off it
+  const discount = parseFloat(payment.discount_amount || 0);
+  if (discount > 0) {
+    rows.push(
+      ['Subtotal', formatAmount(parseFloat(payment.amount) + discount)],
+      [payment.coupon_code ? `Discount (${payment.coupon_code})` : 'Discount', `-${formatAmount(discount)}`]
+    );
+  }
+  const cardHeight = 24 + rows.length * 16 + 24;
+
+  doc
+    .save()
+    .roundedRect(left, cardY, contentWidth, cardHeight, 8)
+    .fill(accentYellow + '80')
+    .restore();
+
+  doc.fontSize(12).fillColor(primaryBlue).text('Payment details', left + 10, cardY + 8);
+  doc.fontSize(10).fillColor('#111827');
+  rows.forEach(([label, value], index) => {
+    const y = cardY + 26 + index * 16;
+    doc.text(label, left + 10, y, { width: 130 });
+    doc.text(value, left + 140, y, { width: contentWidth - 150 });
+  });
+  doc
+    .fontSize(12)
+    .text('Amount paid', left + 10, cardY + 30 + rows.length * 16, { width: 130 })
+    .text(formatAmount(payment.amount_paid || payment.amount), left + 140, cardY + 30 + rows.length * 16, { width: contentWidth - 150 });
+
+  doc.y = cardY + cardHeight + 20;
+  doc
+    .fontSize(8)
+    .fillColor('#6b7280')
+    .text('This receipt was generated electronically and is valid without a signature.', left, doc.y, { width: contentWidth, align: 'center' });
+
+  doc.end();
+});
+
+const getReceiptFilename = (payment) => `receipt_${payment.receipt_number}.pdf`;
+
+module.exports = {
+  issueReceipt,
+  generateReceiptPdf,
+  getReceiptFilename
+};
@@ -0,0 +1,162 @@
+const pool = require('../config/database');
+const { permittedProjectsCondition } = require('./projectAccess');
+
+// How far apart (in days) a statement line and a transaction can be and still match
+const MATCH_WINDOW_DAYS = parseInt(process.env.RECONCILIATION_MATCH_DAYS) || 3;
+
+// A reference match is certain, so it is confirmed automatically; other matches are only suggested
+const REFERENCE_MATCH_SCORE = 100;
+// The reference appearing in the description is likely but not certain (short references turn up by chance)
+const DESCRIPTION_MATCH_SCORE = 90;
+
+const daysBetween = (a, b) => Math.round(Math.abs(new Date(a) - new Date(b)) / (24 * 60 * 60 * 1000));
+
+const toDateString = (value) => {
+  const d = value instanceof Date ? value : new Date(value);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+// Helper function to score a candidate transaction for a statement line
+// Same reference: 100; reference quoted in the description: 90; otherwise the closer the date, the higher
+const scoreCandidate = (line, transaction) => {
+  if (line.reference) {
+    const reference = line.reference.toLowerCase();
+    if ((transaction.reference || '').toLowerCase() === reference) {
+      return REFERENCE_MATCH_SCORE;
+    }
+    if ((transaction.description || '').toLowerCase().includes(reference)) {
+      return DESCRIPTION_MATCH_SCORE;
+    }
+  }
+  if (!transaction.transaction_date) return 0;
+  const days = daysBetween(toDateString(transaction.transaction_date), toDateString(line.line_date));
+  if (days > MATCH_WINDOW_DAYS) return 0;
+  return 80 - days * 10;
+};
+
+// Helper function to find the transaction that best matches a statement line
+// Candidates are transactions of the same type and amount in projects where the user can manage transactions
+// (the same permission confirming a match by hand needs) that are not already reconciled with another line; `excludedIds` holds ids claimed earlier in the same run
+const findTransactionMatch = async (line, userId, excludedIds = new Set()) => {
+  const lineDate = toDateString(line.line_date);
+  const candidates = await pool.query(
+    `SELECT t.id, t.project_id, t.transaction_date, t.reference, t.description
+     FROM transactions t
+     JOIN projects p ON t.project_id = p.id
+     WHERE ${permittedProjectsCondition('p', '$1', 'manage_transactions')}
+       AND t.type = $2
+       AND t.amount = $3
+       AND NOT EXISTS (
+         SELECT 1 FROM statement_lines sl
+         WHERE sl.transaction_id = t.id AND sl.status IN ('matched', 'created') AND sl.id <> $4
+       )
+       AND (
+         ($5::text IS NOT NULL AND (LOWER(t.reference) = LOWER($5) OR POSITION(LOWER($5) IN LOWER(COALESCE(t.description, ''))) > 0))
+         OR t.transaction_date BETWEEN $6::date - $7::int AND $6::date + $7::int
+       )`,
+    [userId, line.type, line.amount, line.id || 0, line.reference || null, lineDate, MATCH_WINDOW_DAYS]
+  );
+
+  let best = null;
+  for (const transaction of candidates.rows) {
+    if (excludedIds.has(transaction.id)) continue;
+    const score = scoreCandidate(line, transaction);
+    if (score > 0 && (!best || score > best.score)) {
+      best = { transaction, score };
+    }
+  }
+  return best;
+};
+
+// Helper function to guess the project of a line with no matching transaction:
+// the project last used for the same counterparty, otherwise the import's default project
+const suggestProject = async (line, userId, defaultProjectId) => {
+  if (line.counterparty) {
+    const previous = await pool.query(
+      `SELECT sl.project_id
+       FROM statement_lines sl
+       JOIN projects p ON sl.project_id = p.id
+       WHERE sl.user_id = $1
+         AND LOWER(sl.counterparty) = LOWER($2)
+         AND sl.status IN ('matched', 'created')
+         AND ${permittedProjectsCondition('p', '$1', 'manage_transactions')}
+       ORDER BY sl.updated_at DESC
+       LIMIT 1`,
+      [userId, line.counterparty]
+    );
+    if (previous.rows.length > 0) return previous.rows[0].project_id;
+  }
+  return defaultProjectId || null;
+};
+
+// Helper function to reconcile unmatched statement lines (rows of statement_lines)
+// Reference matches are confirmed, other matches and projects are stored as suggestions for review
+const reconcileLines = async (lines, userId, defaultProjectId) => {
+  const claimed = new Set();
+  const counts = { matched: 0, suggested: 0, unmatched: 0 };
+
+  for (const line of lines) {
+    const match = await findTransactionMatch(line, userId, claimed);
+
+    if (match && match.score === REFERENCE_MATCH_SCORE) {
+      claimed.add(match.transaction.id);
+      await pool.query(
+        `UPDATE statement_lines
+         SET status = 'matched', transaction_id = $1, project_id = $2,
+             suggested_transaction_id = NULL, suggested_project_id = NULL, match_score = $3,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [match.transaction.id, match.transaction.project_id, match.score, line.id]
+      );
+      counts.matched++;
+      continue;
+    }
+
+    if (match) claimed.add(match.transaction.id);
+    const suggestedProjectId = match
+      ? match.transaction.project_id
+      : await suggestProject(line, userId, defaultProjectId);
+
+    await pool.query(
+      `UPDATE statement_lines
+       SET suggested_transaction_id = $1, suggested_project_id = $2, match_score = $3,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [match ? match.transaction.id : null, suggestedProjectId, match ? match.score : null, line.id]
+    );
+    if (match) counts.suggested++;
+    else counts.unmatched++;
+  }
+
+  return counts;
+};
+
+// Helper function to put lines reconciled with deleted transactions back in the review queue
+// Call before deleting a transaction (transactionId) or a whole project (projectId)
+const releaseStatementLines = async ({ transactionId, projectId }) => {
+  if (transactionId) {
+    await pool.query(
+      `UPDATE statement_lines
+       SET status = 'unmatched', transaction_id = NULL, project_id = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE transaction_id = $1`,
+      [transactionId]
+    );
+  }
+  if (projectId) {
+    await pool.query(
+      `UPDATE statement_lines
+       SET status = 'unmatched', transaction_id = NULL, project_id = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE project_id = $1 AND status IN ('matched', 'created')`,
+      [projectId]
+    );
+  }
+};
+
+module.exports = {
+  MATCH_WINDOW_DAYS,
+  findTransactionMatch,
+  reconcileLines,
+  releaseStatementLines
+};
@@ -0,0 +1,116 @@
+const pool = require('../config/database');
+
+// Helper to build date filters for a given column
+// `period` holds the month/year/start_date/end_date query parameters shared by all project reports
+// (a date range takes priority over month/year)
+const buildDateFilter = (projectId, columnName, { month, year, start_date, end_date } = {}) => {
+  const conditions = ['project_id = $1'];
+  const params = [projectId];
+  let paramIndex = 2;
+
+  if (start_date && end_date) {
+    conditions.push(`${columnName} >= $${paramIndex}`);
+    params.push(start_date);
+    paramIndex++;
+    conditions.push(`${columnName} <= $${paramIndex}`);
+    params.push(end_date);
+    paramIndex++;
+  } else if (start_date) {
+    conditions.push(`${columnName} >= $${paramIndex}`);
+    params.push(start_date);
+    paramIndex++;
+  } else if (end_date) {
+    conditions.push(`${columnName} <= $${paramIndex}`);
+    params.push(end_date);
+    paramIndex++;
+  } else if (month) {
+    let m;
+    let y;
+    if (year) {
+      m = parseInt(month);
+      y = parseInt(year);
+    } else if (month.includes('-')) {
+      const [yearPart, monthPart] = month.split('-');
+      m = parseInt(monthPart);
+      y = parseInt(yearPart);
+    } else {
+      const currentYear = new Date().getFullYear();
+      m = parseInt(month);
+      y = currentYear;
+    }
+    conditions.push(`EXTRACT(MONTH FROM ${columnName}) = $${paramIndex}`);
+    params.push(m);
+    paramIndex++;
+    conditions.push(`EXTRACT(YEAR FROM ${columnName}) = $${paramIndex}`);
+    params.push(y);
+    paramIndex++;
+  }
+
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+  return { whereClause, params };
+};
+
+// Helper function to load a project's tasks and transactions for a period (with category names)
+// Pending transactions (unconfirmed bank imports) are left out of reports
+const getProjectEntries = async (projectId, period) => {
+  const taskFilter = buildDateFilter(projectId, 'task_date', period);
+  const transactionFilter = buildDateFilter(projectId, 'transaction_date', period);
+
+  const tasksResult = await pool.query(
+    `SELECT t.*, c.name AS category_name
+     FROM tasks t
+     LEFT JOIN categories c ON t.category_id = c.id
+     ${taskFilter.whereClause}
+     ORDER BY task_date DESC`,
+    taskFilter.params
+  );
+
+  const transactionsResult = await pool.query(
+    `SELECT t.*, c.name AS category_name
+     FROM transactions t
+     LEFT JOIN categories c ON t.category_id = c.id
+     ${transactionFilter.whereClause} AND t.status = 'posted'
+     ORDER BY transaction_date DESC`,
+    transactionFilter.params
+  );
+
+  return { tasks: tasksResult.rows, transactions: transactionsResult.rows };
+};
+
+// Helper function to total income and expense over tasks (cost) and transactions (amount)
+const computeTotals = (tasks, transactions) => {
+  const incomeTotal = transactions
+    .filter(t => t.type === 'income')
+    .reduce((sum, t) => sum + parseFloat(t.amount || 0), 0)
+    +
+    tasks
+      .filter(t => t.type === 'income')
+      .reduce((sum, t) => sum + parseFloat(t.cost || 0), 0);
+
+  const expenseTotal = transactions
+    .filter(t => t.type === 'expense')
+    .reduce((sum, t) => sum + parseFloat(t.amount || 0), 0)
+    +
+    tasks
+      .filter(t => t.type === 'expense')
+      .reduce((sum, t) => sum + parseFloat(t.cost || 0), 0);
+
+  return { income: incomeTotal, expense: expenseTotal, balance: incomeTotal - expenseTotal };
+};
+
+// Helper function to describe a report period in words (for exports)
+const describePeriod = ({ month, year, start_date, end_date } = {}) => {
+  if (start_date || end_date) {
+    return `${start_date || '...'} to ${end_date || '...'}`;
+  }
+  if (month && year) return `${month}/${year}`;
+  if (month) return `${month}`;
+  return 'All time';
+};
+
+module.exports = {
+  buildDateFilter,
+  describePeriod,
+  getProjectEntries,
+  computeTotals
+};
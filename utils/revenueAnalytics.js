@@ -0,0 +1,386 @@
+const PDFDocument = require('pdfkit');
+const pool = require('../config/database');
+const { BILLING_POLICY } = require('./billing');
+const { formatCsvAmount } = require('./csv');
+
+const MONTH_KEY_PATTERN = /^(\d{4})-(\d{2})/;
+
+// Longest period the analytics cover in one request (every month is computed and charted)
+const MAX_ANALYTICS_MONTHS = 60;
+
+// Month keys are 'YYYY-MM' strings so they compare and sort as text
+const toMonthKey = (year, monthIndex) => {
+  const date = new Date(year, monthIndex, 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const shiftMonth = (monthKey, offset) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return toMonthKey(year, month - 1 + offset);
+};
+
+// Helper function to read a YYYY-MM or YYYY-MM-DD query value as a month key (null when invalid)
+const parseMonthKey = (value) => {
+  const match = MONTH_KEY_PATTERN.exec(String(value || ''));
+  if (!match || parseInt(match[2]) < 1 || parseInt(match[2]) > 12) return null;
+  return `${match[1]}-${match[2]}`;
+};
+
+const listMonths = (startMonth, endMonth) => {
+  const months = [];
+  for (let month = startMonth; month <= endMonth; month = shiftMonth(month, 1)) {
+    months.push(month);
+  }
+  return months;
+};
+
+// Helper function to resolve the analytics period from start_date / end_date (default: the last 12 months)
+// Returns { startMonth, endMonth } or { error } (also when it is longer than MAX_ANALYTICS_MONTHS)
+const resolveAnalyticsPeriod = ({ start_date, end_date } = {}) => {
+  const now = new Date();
+  const endMonth = end_date ? parseMonthKey(end_date) : toMonthKey(now.getFullYear(), now.getMonth());
+  const startMonth = start_date ? parseMonthKey(start_date) : (endMonth && shiftMonth(endMonth, -11));
+
+  if (!startMonth || !endMonth) {
+    return { error: 'Dates must be in YYYY-MM or YYYY-MM-DD format' };
+  }
+  if (startMonth > endMonth) {
+    return { error: 'Start date must be before end date' };
+  }
+  if (shiftMonth(startMonth, MAX_ANALYTICS_MONTHS - 1) < endMonth) {
+    return { error: `The period can be at most ${MAX_ANALYTICS_MONTHS} months` };
+  }
+  return { startMonth, endMonth };
+};
+
+const roundTo = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const collectionRate = (collected, billed) => (billed > 0 ? roundTo((collected / billed) * 100, 1) : null);
+
+// Non-admin payment records, one row per month they cover (month_offset 0 is the payment's own month)
+const COVERED_MONTHS_SQL = `
+  SELECT up.*, covered.month_offset,
+         (up.payment_month + covered.month_offset * INTERVAL '1 month')::date AS covered_month
+  FROM user_payments up
+  JOIN users u ON up.user_id = u.id
+  CROSS JOIN LATERAL generate_series(0, up.months_covered - 1) AS covered(month_offset)
+  WHERE u.role != 'admin'`;
+
+// Helper function to compute subscription revenue analytics for a range of months
+// A month's revenue (MRR) is what was paid for that month, and collected what was received for it so far
+// (partial payments included, refunds and corrections taken into account); a prepaid payment is spread evenly over the months it covers. A payment
+// counts as late when it was paid after the first day of its (first) month plus the grace period.
+// Billed amounts are after coupon discounts; the discounts given are totalled per month and per code. Churned users paid the previous month but
+// not this one; reactivated users pay again after missing at least one month; new payers pay for the
+// first time. Admin accounts are left out.
+const getRevenueAnalytics = async ({ startMonth, endMonth }) => {
+  const startDate = `${startMonth}-01`;
+  const endDate = `${endMonth}-01`;
+
+  const monthlyResult = await pool.query(
+    `WITH covered AS (${COVERED_MONTHS_SQL})
+     SELECT TO_CHAR(up.covered_month, 'YYYY-MM') AS month,
+            COUNT(*)::int AS billed_count,
+            COALESCE(SUM(up.amount / up.months_covered), 0) AS billed_amount,
+            COUNT(*) FILTER (WHERE up.status = 'paid')::int AS paid_count,
+            COALESCE(SUM(up.amount_paid / up.months_covered) FILTER (WHERE up.status = 'paid'), 0) AS paid_amount,
+            COALESCE(SUM(up.amount_paid / up.months_covered), 0) AS collected_amount,
+            COALESCE(SUM(up.discount_amount / up.months_covered), 0) AS discount_amount,
+            COUNT(*) FILTER (WHERE up.status = 'partial')::int AS partial_count,
+            COUNT(*) FILTER (WHERE up.status = 'unpaid')::int AS unpaid_count,
+            COUNT(*) FILTER (WHERE up.status IN ('late', 'overdue'))::int AS late_count,
+            COUNT(*) FILTER (WHERE up.status = 'pending')::int AS pending_count,
+            COUNT(*) FILTER (WHERE up.status IN ('refunded', 'reversed'))::int AS refunded_count,
+            COUNT(*) FILTER (WHERE up.month_offset = 0 AND up.status = 'paid' AND up.paid_at::date > up.payment_month + $3::int)::int AS paid_late_count,
+            COALESCE(SUM(up.paid_at::date - (up.payment_month + $3::int))
+              FILTER (WHERE up.month_offset = 0 AND up.status = 'paid' AND up.paid_at::date > up.payment_month + $3::int), 0)::int AS days_late_total
+     FROM covered up
+     WHERE up.covered_month >= $1 AND up.covered_month <= $2
+     GROUP BY 1`,
+    [startDate, endDate, BILLING_POLICY.graceDays]
+  );
+
+  // Paid months of every user up to the end of the range (for churn and reactivation)
+  const paidMonthsResult = await pool.query(
+    `WITH covered AS (${COVERED_MONTHS_SQL})
+     SELECT up.user_id, TO_CHAR(up.covered_month, 'YYYY-MM') AS month
+     FROM covered up
+     WHERE up.status = 'paid' AND up.covered_month <= $1`,
+    [endDate]
+  );
+
+  // Coupon codes used on the months of the range
+  const couponsResult = await pool.query(
+    `WITH covered AS (${COVERED_MONTHS_SQL})
+     SELECT up.coupon_code AS code,
+            COUNT(DISTINCT up.id)::int AS payments,
+            COALESCE(SUM(up.discount_amount / up.months_covered), 0) AS discount_amount
+     FROM covered up
+     WHERE up.coupon_code IS NOT NULL AND up.covered_month >= $1 AND up.covered_month <= $2
+     GROUP BY up.coupon_code
+     ORDER BY discount_amount DESC`,
+    [startDate, endDate]
+  );
+
+  const signupsResult = await pool.query(
+    `SELECT TO_CHAR(created_at, 'YYYY-MM') AS month, COUNT(*)::int AS count
+     FROM users
+     WHERE role != 'admin' AND created_at >= $1 AND created_at < ($2::date + INTERVAL '1 month')
+     GROUP BY 1`,
+    [startDate, endDate]
+  );
+
+  const monthlyByKey = new Map(monthlyResult.rows.map((row) => [row.month, row]));
+  const signupsByKey = new Map(signupsResult.rows.map((row) => [row.month, row.count]));
+
+  const paidMonthsByUser = new Map();
+  for (const row of paidMonthsResult.rows) {
+    if (!paidMonthsByUser.has(row.user_id)) paidMonthsByUser.set(row.user_id, new Set());
+    paidMonthsByUser.get(row.user_id).add(row.month);
+  }
+
+  const months = listMonths(startMonth, endMonth).map((month) => {
+    const row = monthlyByKey.get(month) || {};
+    const previousMonth = shiftMonth(month, -1);
+
+    let activeSubscribers = 0;
+    let newPayers = 0;
+    let reactivated = 0;
+    let churned = 0;
+    for (const paidMonths of paidMonthsByUser.values()) {
+      const paidNow = paidMonths.has(month);
+      const paidBefore = paidMonths.has(previousMonth);
+      if (paidNow) {
+        activeSubscribers++;
+        if (!paidBefore) {
+          const paidEarlier = [...paidMonths].some((paidMonth) => paidMonth < previousMonth);
+          if (paidEarlier) reactivated++;
+          else newPayers++;
+        }
+      } else if (paidBefore) {
+        churned++;
+      }
+    }
+
+    const billedAmount = roundTo(parseFloat(row.billed_amount || 0));
+    const paidAmount = roundTo(parseFloat(row.paid_amount || 0));
+    const collectedAmount = roundTo(parseFloat(row.collected_amount || 0));
+    const discountAmount = roundTo(parseFloat(row.discount_amount || 0));
+    const paidLateCount = row.paid_late_count || 0;
+
+    return {
+      month,
+      mrr: paidAmount,
+      billed_amount: billedAmount,
+      collected_amount: collectedAmount,
+      discount_amount: discountAmount,
+      billed_count: row.billed_count || 0,
+      paid_count: row.paid_count || 0,
+      partial_count: row.partial_count || 0,
+      unpaid_count: row.unpaid_count || 0,
+      late_count: row.late_count || 0,
+      pending_count: row.pending_count || 0,
+      refunded_count: row.refunded_count || 0,
+      paid_late_count: paidLateCount,
+      average_days_late: paidLateCount > 0 ? roundTo(row.days_late_total / paidLateCount, 1) : 0,
+      collection_rate: collectionRate(collectedAmount, billedAmount),
+      active_subscribers: activeSubscribers,
+      new_payers: newPayers,
+      reactivated_users: reactivated,
+      churned_users: churned,
+      signups: signupsByKey.get(month) || 0
+    };
+  });
+
+  const sum = (key) => months.reduce((total, month) => total + month[key], 0);
+  const totalBilled = sum('billed_amount');
+  const totalCollected = roundTo(sum('collected_amount'));
+  const totalPaidLate = sum('paid_late_count');
+  const daysLateTotal = monthlyResult.rows.reduce((total, row) => total + row.days_late_total, 0);
+
+  return {
+    period: { start_month: startMonth, end_month: endMonth },
+    summary: {
+      current_mrr: months[months.length - 1].mrr,
+      average_mrr: roundTo(sum('mrr') / months.length),
+      total_billed: roundTo(totalBilled),
+      total_collected: totalCollected,
+      collection_rate: collectionRate(totalCollected, totalBilled),
+      total_discounts: roundTo(sum('discount_amount')),
+      paid_count: sum('paid_count'),
+      partial_count: sum('partial_count'),
+      unpaid_count: sum('unpaid_count'),
+      late_count: sum('late_count'),
+      pending_count: sum('pending_count'),
+      refunded_count: sum('refunded_count'),
+      paid_late_count: totalPaidLate,
+      average_days_late: totalPaidLate > 0 ? roundTo(daysLateTotal / totalPaidLate, 1) : 0,
+      new_payers: sum('new_payers'),
+      reactivated_users: sum('reactivated_users'),
+      churned_users: sum('churned_users'),
+      signups: sum('signups')
+    },
+    months,
+    coupons: couponsResult.rows.map((row) => ({
+      code: row.code,
+      payments: row.payments,
+      discount_amount: roundTo(parseFloat(row.discount_amount))
+    })),
+    // Parallel arrays, one value per month, ready for chart libraries
+    series: {
+      labels: months.map((m) => m.month),
+      mrr: months.map((m) => m.mrr),
+      billed: months.map((m) => m.billed_amount),
+      collected: months.map((m) => m.collected_amount),
+      discounts: months.map((m) => m.discount_amount),
+      paid: months.map((m) => m.paid_count),
+      partial: months.map((m) => m.partial_count),
+      unpaid: months.map((m) => m.unpaid_count),
+      late: months.map((m) => m.late_count),
+      collection_rate: months.map((m) => m.collection_rate),
+      active_subscribers: months.map((m) => m.active_subscribers),
+      churned: months.map((m) => m.churned_users),
+      reactivated: months.map((m) => m.reactivated_users)
+    }
+  };
+};
+
+const formatRate = (rate) => (rate === null ? '' : `${rate}%`);
+
+// One CSV row per month of getRevenueAnalytics()
+const REVENUE_CSV_COLUMNS = [
+  { header: 'Month', value: (m) => m.month },
+  { header: 'MRR (RWF)', value: (m) => formatCsvAmount(m.mrr) },
+  { header: 'Billed (RWF)', value: (m) => formatCsvAmount(m.billed_amount) },
+  { header: 'Collected (RWF)', value: (m) => formatCsvAmount(m.collected_amount) },
+  { header: 'Discounts (RWF)', value: (m) => formatCsvAmount(m.discount_amount) },
+  { header: 'Collection Rate (%)', value: (m) => m.collection_rate },
+  { header: 'Payments', value: (m) => m.billed_count },
+  { header: 'Paid', value: (m) => m.paid_count },
+  { header: 'Partial', value: (m) => m.partial_count },
+  { header: 'Unpaid', value: (m) => m.unpaid_count },
+  { header: 'Late', value: (m) => m.late_count },
+  { header: 'Pending', value: (m) => m.pending_count },
+  { header: 'Refunded / Reversed', value: (m) => m.refunded_count },
+  { header: 'Paid Late', value: (m) => m.paid_late_count },
+  { header: 'Average Days Late', value: (m) => m.average_days_late },
+  { header: 'Active Subscribers', value: (m) => m.active_subscribers },
+  { header: 'New Payers', value: (m) => m.new_payers },
+  { header: 'Reactivated', value: (m) => m.reactivated_users },
+  { header: 'Churned', value: (m) => m.churned_users },
+  { header: 'Signups', value: (m) => m.signups }
+];
+
+const formatAmount = (value) => `${Number(value).toLocaleString('en-US', { maximumFractionDigits: 0 })} RWF`;
+
+// Helper function to write the revenue analytics PDF (summary, MRR chart and monthly table) to a stream
+const writeRevenuePdf = (analytics, stream) => {
+  const doc = new PDFDocument({ margin: 40, size: 'A4', layout: 'landscape' });
+  doc.pipe(stream);
+
+  const primaryBlue = '#1d4ed8';
+  const accentYellow = '#facc15';
+  const left = doc.page.margins.left;
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const { summary, months, period } = analytics;
+
+  // Header bar
+  doc
+    .save()
+    .rect(left, doc.page.margins.top - 10, contentWidth, 36)
+    .fill(primaryBlue)
+    .restore();
+  doc.fillColor('#ffffff').fontSize(18).text('Subscription Revenue Report', left + 10, doc.page.margins.top);
+
+  doc.moveDown(1.2);
+  doc.fillColor('#111827').fontSize(11).text(`Period: ${period.start_month} to ${period.end_month}`, left);
+  doc.text(`Generated At: ${new Date().toLocaleString()}`);
+
+  // Summary card
+  doc.moveDown();
+  const cardY = doc.y;
+  const summaryLines = [
+    [`Current MRR: ${formatAmount(summary.current_mrr)}`, `Average MRR: ${formatAmount(summary.average_mrr)}`, `Collected: ${formatAmount(summary.total_collected)} of ${formatAmount(summary.total_billed)}`],
+    [`Collection rate: ${formatRate(summary.collection_rate) || 'N/A'}`, `Paid / Partial / Unpaid / Late: ${summary.paid_count} / ${summary.partial_count} / ${summary.unpaid_count} / ${summary.late_count}`, `Average days late: ${summary.average_days_late}`],
+    [`New payers: ${summary.new_payers}`, `Reactivated: ${summary.reactivated_users}`, `Churned: ${summary.churned_users}`],
+    [
+      `Coupon discounts: ${formatAmount(summary.total_discounts)}`,
+      `Discounted payments: ${analytics.coupons.reduce((total, c) => total + c.payments, 0)}`,
+      `Coupon codes used: ${analytics.coupons.length}`
+    ]
+  ];
+  doc
+    .save()
+    .roundedRect(left, cardY, contentWidth, 22 + summaryLines.length * 16, 8)
+    .fill(accentYellow + '80')
+    .restore();
+  doc.fontSize(10).fillColor('#111827');
+  const columnWidth = (contentWidth - 20) / 3;
+  summaryLines.forEach((line, row) => {
+    line.forEach((text, column) => {
+      doc.text(text, left + 10 + column * columnWidth, cardY + 11 + row * 16, { width: columnWidth - 10 });
+    });
+  });
+  doc.y = cardY + 22 + summaryLines.length * 16 + 16;
+
+  // MRR bar chart
+  const chartHeight = 110;
+  const chartY = doc.y + 14;
+  const maxMrr = Math.max(...months.map((m) => m.mrr), 1);
+  const barSlot = contentWidth / months.length;
+  doc.fontSize(12).fillColor(primaryBlue).text('Monthly recurring revenue', left, doc.y);
+  months.forEach((m, index) => {
+    const barHeight = (m.mrr / maxMrr) * chartHeight;
+    const x = left + index * barSlot + barSlot * 0.15;
+    doc
+      .save()
+      .rect(x, chartY + chartHeight - barHeight, barSlot * 0.7, barHeight)
+      .fill(primaryBlue)
+      .restore();
+    if (months.length <= 24) {
+      doc.fontSize(7).fillColor('#6b7280').text(m.month, left + index * barSlot, chartY + chartHeight + 3, { width: barSlot, align: 'center' });
+    }
+  });
+  doc.y = chartY + chartHeight + 20;
+
+  // Monthly table
+  const columns = [
+    ['Month', (m) => m.month],
+    ['MRR', (m) => formatAmount(m.mrr)],
+    ['Billed', (m) => formatAmount(m.billed_amount)],
+    ['Rate', (m) => formatRate(m.collection_rate)],
+    ['Paid', (m) => m.paid_count],
+    ['Partial', (m) => m.partial_count],
+    ['Unpaid', (m) => m.unpaid_count],
+    ['Late', (m) => m.late_count],
+    ['Days late', (m) => m.average_days_late],
+    ['Active', (m) => m.active_subscribers],
+    ['New', (m) => m.new_payers],
+    ['Reactivated', (m) => m.reactivated_users],
+    ['Churned', (m) => m.churned_users]
+  ];
+  const cellWidth = contentWidth / columns.length;
+  const writeRow = (values, options = {}) => {
+    if (doc.y + 14 > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    doc.fontSize(8).fillColor(options.color || '#111827');
+    values.forEach((value, index) => {
+      doc.text(String(value), left + index * cellWidth, y, { width: cellWidth - 4 });
+    });
+    doc.y = y + 14;
+  };
+
+  writeRow(columns.map(([header]) => header), { color: primaryBlue });
+  months.forEach((m) => writeRow(columns.map(([, value]) => value(m))));
+
+  doc.end();
+};
+
+module.exports = {
+  resolveAnalyticsPeriod,
+  getRevenueAnalytics,
+  writeRevenuePdf,
+  REVENUE_CSV_COLUMNS
+};
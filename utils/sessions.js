@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { generateToken } = require('./helpers');
+
+// How long a refresh token stays usable without being refreshed (each refresh starts the period again)
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Session fields safe to show the user (never the token hashes)
+const formatSession = (session, currentSessionId = null) => ({
+  id: session.id,
+  user_agent: session.user_agent,
+  ip_address: session.ip_address,
+  created_at: session.created_at,
+  last_used_at: session.last_used_at,
+  expires_at: session.expires_at,
+  current: session.id === currentSessionId
+});
+
+const issueTokens = (session, refreshToken) => ({
+  token: generateToken(session.user_id, session.id),
+  refresh_token: refreshToken,
+  refresh_token_expires_at: session.expires_at,
+  session: formatSession(session, session.id)
+});
+
+// Helper function to open a session for a user who just signed in
+// Returns { token, refresh_token, refresh_token_expires_at, session }
+const createSession = async (req, userId) => {
+  const refreshToken = newRefreshToken();
+  const result = await pool.query(
+    `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [userId, hashToken(refreshToken), req.get('user-agent') || null, req.ip || null, refreshExpiry()]
+  );
+  return issueTokens(result.rows[0], refreshToken);
+};
+
+// Helper function to swap a refresh token for a new access token and refresh token
+// A token that was already swapped being used again means it was copied: the whole session is revoked
+// Returns the new tokens, or { error }
+const rotateSession = async (req, refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+
+  const result = await pool.query(
+    `UPDATE user_sessions s
+     SET refresh_token_hash = $1,
+         previous_token_hash = s.refresh_token_hash,
+         last_used_at = CURRENT_TIMESTAMP,
+         expires_at = $2,
+         ip_address = COALESCE($3, s.ip_address),
+         user_agent = COALESCE($4, s.user_agent)
+     FROM users u
+     WHERE s.refresh_token_hash = $5 AND s.user_id = u.id
+       AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.approve_user = true
+     RETURNING s.*`,
+    [hashToken(nextToken), refreshExpiry(), req.ip || null, req.get('user-agent') || null, tokenHash]
+  );
+
+  if (result.rows.length > 0) {
+    return issueTokens(result.rows[0], nextToken);
+  }
+
+  const reused = await pool.query(
+    `UPDATE user_sessions
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'token_reuse'
+     WHERE previous_token_hash = $1 AND revoked_at IS NULL
+     RETURNING id`,
+    [tokenHash]
+  );
+  if (reused.rows.length > 0) {
+    console.warn(`Refresh token reused; session ${reused.rows[0].id} revoked`);
+  }
+
+  return { error: 'Invalid or expired refresh token' };
+};
+
+// Helper function to check that the session an access token names is still open
+const isSessionActive = async (sessionId, userId) => {
+  const result = await pool.query(
+    `SELECT id FROM user_sessions
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+const listActiveSessions = async (userId) => {
+  const result = await pool.query(
+    `SELECT * FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// Helper function to revoke one of a user's sessions; returns false when there was no such open session
+const revokeSession = async (userId, sessionId, reason) => {
+  const result = await pool.query(
+    `UPDATE user_sessions
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1
+     WHERE id = $2 AND user_id = $3 AND revoked_at IS NULL
+     RETURNING id`,
+    [reason, sessionId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+// Helper function to revoke every open session of a user, except `keepSessionId` when given
+// Returns how many sessions were revoked
+const revokeUserSessions = async (userId, reason, keepSessionId = null) => {
+  const result = await pool.query(
+    `UPDATE user_sessions
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1
+     WHERE user_id = $2 AND revoked_at IS NULL AND ($3::int IS NULL OR id != $3)`,
+    [reason, userId, keepSessionId]
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  formatSession,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  listActiveSessions,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Local disk storage (default). Files are kept under ATTACHMENT_DIR (default: ./uploads)
+const createLocalStorage = (baseDir) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    // Never allow a key to escape the storage directory
+    if (!filePath.startsWith(path.resolve(baseDir) + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    save: async ({ buffer, originalName }) => {
+      const now = new Date();
+      const folder = `${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}`;
+      const extension = path.extname(originalName || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+      const key = `${folder}/${crypto.randomUUID()}${extension}`;
+      const filePath = resolveKey(key);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return key;
+    },
+
+    read: async (key) => fs.promises.readFile(resolveKey(key)),
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+// Storage adapters by name. Other backends (S3, Supabase Storage...) can be added with registerStorageAdapter;
+// an adapter must implement save({ buffer, originalName, mimeType }) => key, read(key) => Buffer and remove(key)
+const adapterFactories = {
+  local: () => createLocalStorage(process.env.ATTACHMENT_DIR || path.join(__dirname, '..', 'uploads'))
+};
+const adapterInstances = {};
+
+const registerStorageAdapter = (name, factory) => {
+  adapterFactories[name] = factory;
+  delete adapterInstances[name];
+};
+
+// Helper function to get a storage adapter (defaults to ATTACHMENT_STORAGE, then 'local')
+// Each attachment stores the backend it was saved with, so old files stay readable after switching
+const getStorage = (name = process.env.ATTACHMENT_STORAGE || 'local') => {
+  if (!adapterFactories[name]) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  if (!adapterInstances[name]) {
+    adapterInstances[name] = adapterFactories[name]();
+  }
+  return adapterInstances[name];
+};
+
+module.exports = {
+  getStorage,
+  registerStorageAdapter
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as shown by Google Authenticator, Authy, 1Password...
+// 6 digits, 30 second steps, HMAC-SHA1
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+// Codes from one step before or after are accepted too, for phones whose clock is slightly off
+const TOTP_WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Returns null when `text` isn't valid base32 (spaces, dashes, padding and lower case are tolerated)
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) return null;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Helper function to generate a new base32 secret (160 bits, the size RFC 4226 recommends)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+// Helper function to compute the code of a secret for one time step
+const generateTotp = (secret, step = currentStep()) => {
+  const key = base32Decode(secret);
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Helper function to check a code against a secret
+// Returns the time step the code belongs to (so it can't be used twice), or null when it doesn't match
+const verifyTotp = (secret, code, time = Date.now()) => {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(clean)) return null;
+
+  const step = currentStep(time);
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const expected = generateTotp(secret, step + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+      return step + drift;
+    }
+  }
+
+  return null;
+};
+
+// Helper function to build the otpauth:// URI authenticator apps read (usually shown as a QR code)
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  TOTP_DIGITS,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
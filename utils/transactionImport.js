@@ -0,0 +1,239 @@
+const { parseCsv } = require('./csv');
+const { createUploadParser } = require('./upload');
+
+// Transaction fields a CSV column can be mapped to
+const IMPORT_FIELDS = ['date', 'type', 'amount', 'description', 'task'];
+const REQUIRED_IMPORT_FIELDS = ['date', 'amount'];
+const MAX_IMPORT_ROWS = 5000;
+const MAX_IMPORT_SIZE_MB = 5;
+
+// Spreadsheet exports are sent with all sorts of MIME types, so the extension is accepted too
+const parseImportUpload = createUploadParser({
+  allowedMimeTypes: ['text/csv', 'text/plain', 'application/vnd.ms-excel'],
+  allowedExtensions: ['.csv', '.txt'],
+  maxSizeMb: MAX_IMPORT_SIZE_MB,
+  typeLabel: 'CSV (.csv)'
+});
+
+// Header names recognised when no mapping is sent (lowercase)
+const HEADER_ALIASES = {
+  date: ['date', 'transaction date', 'transaction_date', 'value date', 'day'],
+  type: ['type', 'transaction type', 'kind', 'direction', 'in/out'],
+  amount: ['amount', 'amount (rwf)', 'amount rwf', 'value', 'total', 'sum'],
+  description: ['description', 'details', 'narration', 'memo', 'note', 'notes', 'label'],
+  task: ['task', 'task id', 'task_id']
+};
+
+const TYPE_ALIASES = {
+  income: ['income', 'in', 'credit', 'cr', 'received', 'revenue'],
+  expense: ['expense', 'out', 'debit', 'dr', 'paid', 'payment', 'cost']
+};
+
+// Helper function to read an uploaded CSV into a header row and data records
+const readCsvImport = (file) => {
+  const rows = parseCsv(file.buffer.toString('utf8'));
+  if (rows.length === 0) {
+    return { error: 'The file is empty' };
+  }
+
+  const headers = rows[0].map((header) => header.trim());
+  const records = rows.slice(1);
+  if (records.length === 0) {
+    return { error: 'The file has a header row but no data rows' };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `The file has too many rows. Maximum is ${MAX_IMPORT_ROWS} per import` };
+  }
+  return { headers, records };
+};
+
+// Helper function to guess a column mapping from the header row
+const suggestMapping = (headers) => {
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const header = headers.find((h) => HEADER_ALIASES[field].includes(h.toLowerCase()));
+    if (header) mapping[field] = header;
+  });
+  return mapping;
+};
+
+// Helper function to validate a mapping sent by the client ({ field: header name })
+// The mapping may arrive as a JSON string because imports are multipart requests
+const parseMapping = (rawMapping, headers) => {
+  if (!rawMapping) {
+    const mapping = suggestMapping(headers);
+    const missing = REQUIRED_IMPORT_FIELDS.filter((field) => !mapping[field]);
+    if (missing.length > 0) {
+      return { error: `Could not detect columns for: ${missing.join(', ')}. Send a mapping`, mapping };
+    }
+    return { mapping };
+  }
+
+  let mapping = rawMapping;
+  if (typeof rawMapping === 'string') {
+    try {
+      mapping = JSON.parse(rawMapping);
+    } catch (error) {
+      return { error: 'Mapping must be valid JSON' };
+    }
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { error: 'Mapping must be an object of field: column header' };
+  }
+
+  const unknownFields = Object.keys(mapping).filter((field) => !IMPORT_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return { error: `Unknown mapping fields: ${unknownFields.join(', ')}. Allowed fields: ${IMPORT_FIELDS.join(', ')}` };
+  }
+  const missing = REQUIRED_IMPORT_FIELDS.filter((field) => !mapping[field]);
+  if (missing.length > 0) {
+    return { error: `Mapping is missing required fields: ${missing.join(', ')}` };
+  }
+  const unknownHeaders = Object.values(mapping).filter((header) => header && !headers.includes(header));
+  if (unknownHeaders.length > 0) {
+    return { error: `Columns not found in the file: ${unknownHeaders.join(', ')}` };
+  }
+
+  return { mapping };
+};
+
+const isValidCalendarDate = (year, month, day) => {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+};
+
+// Helper function to parse a date cell into YYYY-MM-DD
+// Accepts ISO dates (optionally with a time) and day-first dates (31/01/2024, 31-01-2024, 31.01.2024);
+// pass dateFormat "MDY" for month-first files
+const parseImportDate = (value, dateFormat = 'DMY') => {
+  const text = (value || '').trim();
+  let year;
+  let month;
+  let day;
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T].*)?$/);
+  if (match) {
+    [year, month, day] = [match[1], match[2], match[3]].map(Number);
+  } else {
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:\s.*)?$/);
+    if (!match) return null;
+    const [first, second] = [Number(match[1]), Number(match[2])];
+    year = Number(match[3]);
+    month = dateFormat === 'MDY' ? first : second;
+    day = dateFormat === 'MDY' ? second : first;
+  }
+
+  if (!isValidCalendarDate(year, month, day)) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Helper function to parse an amount cell ("1,250,000", "1 250 000,50", "RWF 5000", "(3000)", "-3000")
+// Returns a signed number, or null if the cell is not a number
+const parseImportAmount = (value) => {
+  let text = (value || '').replace(/rwf|frw/gi, '').replace(/\s/g, '');
+  if (text === '') return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.startsWith('-')) {
+    negative = !negative;
+    text = text.slice(1);
+  } else if (text.startsWith('+')) {
+    text = text.slice(1);
+  }
+
+  if (text.includes(',') && text.includes('.')) {
+    // Whichever separator comes last is the decimal separator
+    text = text.lastIndexOf(',') > text.lastIndexOf('.')
+      ? text.replace(/\./g, '').replace(',', '.')
+      : text.replace(/,/g, '');
+  } else if (text.includes(',')) {
+    text = /^\d{1,3}(,\d{3})+$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.');
+  }
+
+  if (!/^\d+(\.\d+)?$/.test(text)) return null;
+  const amount = parseFloat(text);
+  return negative ? -amount : amount;
+};
+
+const parseImportType = (value) => {
+  const text = (value || '').trim().toLowerCase();
+  if (TYPE_ALIASES.income.includes(text)) return 'income';
+  if (TYPE_ALIASES.expense.includes(text)) return 'expense';
+  return null;
+};
+
+// Helper function to turn CSV records into transactions, with validation errors per row
+// When no type column is mapped, negative amounts are expenses and others use defaultType (income if not set)
+// `taskIds` holds the ids of the project's tasks; a mapped task must be one of them
+// Data rows are numbered from 2, as in a spreadsheet (the header is row 1)
+const validateImportRows = (records, headers, mapping, { taskIds, defaultType, dateFormat }) => {
+  const columnIndex = {};
+  Object.entries(mapping).forEach(([field, header]) => {
+    if (header) columnIndex[field] = headers.indexOf(header);
+  });
+  const cell = (record, field) => (columnIndex[field] === undefined ? '' : (record[columnIndex[field]] || '').trim());
+
+  return records.map((record) => {
+    const errors = [];
+
+    const transactionDate = parseImportDate(cell(record, 'date'), dateFormat);
+    if (!transactionDate) {
+      errors.push(cell(record, 'date') ? `Invalid date "${cell(record, 'date')}"` : 'Date is required');
+    }
+
+    const signedAmount = parseImportAmount(cell(record, 'amount'));
+    if (signedAmount === null) {
+      errors.push(cell(record, 'amount') ? `Invalid amount "${cell(record, 'amount')}"` : 'Amount is required');
+    } else if (signedAmount === 0) {
+      errors.push('Amount must not be zero');
+    }
+
+    let type = null;
+    if (columnIndex.type !== undefined) {
+      type = parseImportType(cell(record, 'type'));
+      if (!type) {
+        errors.push(cell(record, 'type') ? `Unknown type "${cell(record, 'type')}" (use income or expense)` : 'Type is required');
+      }
+    } else if (signedAmount !== null) {
+      type = signedAmount < 0 ? 'expense' : (defaultType || 'income');
+    }
+
+    let taskId = null;
+    if (cell(record, 'task')) {
+      taskId = parseInt(cell(record, 'task'));
+      if (!/^\d+$/.test(cell(record, 'task')) || !taskIds.has(taskId)) {
+        errors.push(`Task ${cell(record, 'task')} does not belong to this project`);
+        taskId = null;
+      }
+    }
+
+    return {
+      row: record.line,
+      data: {
+        transaction_date: transactionDate,
+        type,
+        amount: signedAmount === null ? null : Math.abs(signedAmount),
+        description: cell(record, 'description') || null,
+        task_id: taskId
+      },
+      errors
+    };
+  });
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  parseImportUpload,
+  readCsvImport,
+  suggestMapping,
+  parseMapping,
+  parseImportDate,
+  parseImportAmount,
+  parseImportType,
+  validateImportRows
+};
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('./totp');
+
+// Name authenticator apps show next to the account
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'SPEMS';
+
+// Recovery codes handed out when 2FA is enabled (or the codes are regenerated)
+const RECOVERY_CODE_COUNT = 10;
+
+// How long the second login step can wait for a code after the password was accepted
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+const REQUIRE_ADMIN_SETTING = 'require_admin_two_factor';
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Recovery codes are compared without dashes, spaces or case
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+// e.g. "3f9a2-c81d7"
+const newRecoveryCode = () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+};
+
+// Helper function to check whether every admin account must use 2FA
+const isAdminTwoFactorRequired = async () => {
+  const result = await pool.query('SELECT value FROM app_settings WHERE key = $1', [REQUIRE_ADMIN_SETTING]);
+  return result.rows.length > 0 && result.rows[0].value === true;
+};
+
+const setAdminTwoFactorRequired = async (required, updatedBy) => {
+  await pool.query(
+    `INSERT INTO app_settings (key, value, updated_by, updated_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP`,
+    [REQUIRE_ADMIN_SETTING, JSON.stringify(Boolean(required)), updatedBy]
+  );
+};
+
+// Helper function to describe a user's 2FA state (never the secret)
+const getTwoFactorStatus = async (userId) => {
+  const result = await pool.query(
+    `SELECT u.two_factor_enabled, u.two_factor_enabled_at,
+            (SELECT COUNT(*) FROM two_factor_recovery_codes rc WHERE rc.user_id = u.id AND rc.used_at IS NULL)::int AS recovery_codes_remaining
+     FROM users u
+     WHERE u.id = $1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Helper function to start setting up an authenticator: stores a new secret until a code from it is confirmed
+// Returns { secret, otpauth_uri } to show the user (as text and as a QR code)
+const startTwoFactorSetup = async (user) => {
+  const secret = generateSecret();
+  await pool.query('UPDATE users SET two_factor_pending_secret = $1 WHERE id = $2', [secret, user.id]);
+  return {
+    secret,
+    otpauth_uri: buildOtpauthUri(secret, user.email, TWO_FACTOR_ISSUER)
+  };
+};
+
+// Helper function to replace a user's recovery codes, inside `client`'s transaction
+// Returns the new codes; only their hashes are stored, so this is the only time they can be shown
+const replaceRecoveryCodes = async (client, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+
+  await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::varchar[])`,
+    [userId, codes.map((code) => hashCode(normalizeRecoveryCode(code)))]
+  );
+
+  return codes;
+};
+
+// Helper function to finish setup: a code from the pending secret turns 2FA on
+// Returns { recoveryCodes } or { status, error }
+const enableTwoFactor = async (userId, code) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      'SELECT two_factor_enabled, two_factor_pending_secret FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+    const user = userResult.rows[0];
+
+    if (user.two_factor_enabled) {
+      await client.query('ROLLBACK');
+      return { status: 400, error: 'Two-factor authentication is already enabled' };
+    }
+    if (!user.two_factor_pending_secret) {
+      await client.query('ROLLBACK');
+      return { status: 400, error: 'Start the setup first' };
+    }
+
+    const step = verifyTotp(user.two_factor_pending_secret, code);
+    if (step === null) {
+      await client.query('ROLLBACK');
+      return { status: 400, error: 'Invalid code. Check the time on your phone and try again' };
+    }
+
+    await client.query(
+      `UPDATE users
+       SET two_factor_enabled = true,
+           two_factor_secret = two_factor_pending_secret,
+           two_factor_pending_secret = NULL,
+           two_factor_enabled_at = CURRENT_TIMESTAMP,
+           two_factor_last_step = $1
+       WHERE id = $2`,
+      [step, userId]
+    );
+    const recoveryCodes = await replaceRecoveryCodes(client, userId);
+
+    await client.query('COMMIT');
+    return { recoveryCodes };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Helper function to check a second factor: an authenticator `code` or an unused `recoveryCode`
+// Each code works once. Returns 'totp' or 'recovery_code' for the one used, or null when neither matches
+const verifyTwoFactorCode = async (userId, { code, recoveryCode }) => {
+  if (code) {
+    const userResult = await pool.query(
+      'SELECT two_factor_secret FROM users WHERE id = $1 AND two_factor_enabled = true',
+      [userId]
+    );
+    if (userResult.rows.length === 0) return null;
+
+    const step = verifyTotp(userResult.rows[0].two_factor_secret, code);
+    if (step === null) return null;
+
+    const used = await pool.query(
+      `UPDATE users SET two_factor_last_step = $1
+       WHERE id = $2 AND (two_factor_last_step IS NULL OR two_factor_last_step < $1)
+       RETURNING id`,
+      [step, userId]
+    );
+    return used.rows.length > 0 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const used = await pool.query(
+      `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, hashCode(normalizeRecoveryCode(recoveryCode))]
+    );
+    return used.rows.length > 0 ? 'recovery_code' : null;
+  }
+
+  return null;
+};
+
+// Helper function to give a user a fresh set of recovery codes (the old ones stop working)
+const regenerateRecoveryCodes = async (userId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const codes = await replaceRecoveryCodes(client, userId);
+    await client.query('COMMIT');
+    return codes;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Helper function to turn 2FA off and forget the secret and recovery codes
+const disableTwoFactor = async (userId) => {
+  await pool.query(
+    `UPDATE users
+     SET two_factor_enabled = false,
+         two_factor_secret = NULL,
+         two_factor_pending_secret = NULL,
+         two_factor_enabled_at = NULL,
+         two_factor_last_step = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+  await pool.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+// The first login step hands out a short-lived token naming the user; the second step exchanges it plus a code
+// for a session. It has no session, so it can't be used as an access token
+const createTwoFactorChallenge = (userId) => {
+  return jwt.sign({ userId, purpose: 'two_factor' }, process.env.JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+};
+
+// Returns the user ID of a valid challenge token, or null
+const readTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  isAdminTwoFactorRequired,
+  setAdminTwoFactorRequired,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  verifyTwoFactorCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createTwoFactorChallenge,
+  readTwoFactorChallenge
+};
@@ -0,0 +1,67 @@
+const path = require('path');
+const multer = require('multer');
+
+// Leading bytes of the binary file types we accept; the declared MIME type and extension come from the client
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const FILE_SIGNATURES = [
+  { mimeType: 'image/jpeg', matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { mimeType: 'image/png', matches: (buffer) => buffer.toString('hex', 0, 8) === '89504e470d0a1a0a' },
+  { mimeType: 'image/webp', matches: (buffer) => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' },
+  { mimeType: 'image/heic', matches: (buffer) => buffer.toString('ascii', 4, 8) === 'ftyp' && HEIC_BRANDS.includes(buffer.toString('ascii', 8, 12)) },
+  { mimeType: 'application/pdf', matches: (buffer) => buffer.toString('ascii', 0, 5) === '%PDF-' }
+];
+
+// Helper function to tell a file's real type from its content; returns null when it is none of FILE_SIGNATURES
+const detectMimeType = (buffer) => {
+  const signature = FILE_SIGNATURES.find((entry) => entry.matches(buffer));
+  return signature ? signature.mimeType : null;
+};
+
+// Helper function to build a single-file multipart parser (field name "file")
+// Files are kept in memory; they are either stored (attachments) or parsed straight away (imports)
+// A file is accepted when its MIME type or its extension is in the allowed lists
+// With `checkContent`, the file's bytes must also be one of the allowed MIME types, and file.mimetype is
+// replaced by the detected type (so a mislabeled or corrupt file can't be stored as an image)
+const createUploadParser = ({ allowedMimeTypes = [], allowedExtensions = [], maxSizeMb, typeLabel, checkContent = false }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSizeMb * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname || '').toLowerCase();
+      if (!allowedMimeTypes.includes(file.mimetype) && !allowedExtensions.includes(extension)) {
+        const error = new Error(`Unsupported file type. Allowed types: ${typeLabel || [...allowedMimeTypes, ...allowedExtensions].join(', ')}`);
+        error.code = 'UNSUPPORTED_FILE_TYPE';
+        return cb(error);
+      }
+      cb(null, true);
+    }
+  }).single('file');
+
+  // Resolves with an error message instead of throwing, so routes can answer with a 400
+  return (req, res) => new Promise((resolve) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        if (checkContent && req.file) {
+          const detectedType = detectMimeType(req.file.buffer);
+          if (!allowedMimeTypes.includes(detectedType)) {
+            return resolve({ error: 'File content does not match an allowed file type' });
+          }
+          req.file.mimetype = detectedType;
+        }
+        return resolve({ file: req.file || null });
+      }
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return resolve({ error: `File is too large. Maximum size is ${maxSizeMb} MB` });
+      }
+      if (error.code === 'UNSUPPORTED_FILE_TYPE' || error instanceof multer.MulterError) {
+        return resolve({ error: error.message });
+      }
+      resolve({ error: 'Invalid file upload' });
+    });
+  });
+};
+
+module.exports = {
+  detectMimeType,
+  createUploadParser
+};
@@ -0,0 +1,176 @@
+const ExcelJS = require('exceljs');
+
+// Cell formats: amounts as RWF numbers, dates as real Excel dates
+const RWF_FORMAT = '#,##0.00 "RWF"';
+const DATE_FORMAT = 'dd/mm/yyyy';
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1D4ED8' } };
+
+// Helper function to turn a database DATE into an Excel date
+// pg returns DATE columns at local midnight; Excel dates are UTC, so keep the calendar day
+const toExcelDate = (value) => {
+  if (!value) return null;
+  const d = value instanceof Date ? value : new Date(value);
+  if (isNaN(d.getTime())) return null;
+  return new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
+};
+
+const toAmount = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+// Helper function to add a formatted table sheet
+// `columns` is a list of { header, key, width, format: 'amount' | 'date' | undefined, value: (row) => any }
+const addTableSheet = (workbook, name, columns, rows) => {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  sheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: column.width || 15,
+    style: column.format === 'amount'
+      ? { numFmt: RWF_FORMAT }
+      : column.format === 'date' ? { numFmt: DATE_FORMAT } : {}
+  }));
+
+  rows.forEach((row) => {
+    const values = {};
+    columns.forEach((column) => {
+      const raw = column.value(row);
+      if (column.format === 'amount') values[column.key] = toAmount(raw);
+      else if (column.format === 'date') values[column.key] = toExcelDate(raw);
+      else values[column.key] = raw === undefined ? null : raw;
+    });
+    sheet.addRow(values);
+  });
+
+  const header = sheet.getRow(1);
+  header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  header.fill = HEADER_FILL;
+  if (rows.length > 0) {
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  }
+
+  return sheet;
+};
+
+// Helper function to add a two-column "label / value" sheet (report summary)
+// `items` is a list of { label, value, format: 'amount' | 'date' | undefined }; a null item adds a blank line
+const addSummarySheet = (workbook, title, items) => {
+  const sheet = workbook.addWorksheet('Summary');
+  sheet.columns = [{ key: 'label', width: 28 }, { key: 'value', width: 40 }];
+
+  const titleRow = sheet.addRow([title]);
+  titleRow.font = { bold: true, size: 14, color: { argb: 'FF1D4ED8' } };
+  sheet.addRow([]);
+
+  items.forEach((item) => {
+    if (!item) {
+      sheet.addRow([]);
+      return;
+    }
+    let value = item.value;
+    if (item.format === 'amount') value = toAmount(value);
+    if (item.format === 'date') value = toExcelDate(value);
+    const row = sheet.addRow([item.label, value === undefined ? null : value]);
+    row.getCell(1).font = { bold: true };
+    if (item.format === 'amount') row.getCell(2).numFmt = RWF_FORMAT;
+    if (item.format === 'date') row.getCell(2).numFmt = DATE_FORMAT;
+  });
+
+  return sheet;
+};
+
+// Column definitions shared by project and multi-project workbooks
+const TASK_XLSX_COLUMNS = [
+  { header: 'Task ID', key: 'id', width: 10, value: (t) => t.id },
+  { header: 'Project', key: 'project', width: 28, value: (t) => t.project_name },
+  { header: 'Date', key: 'date', width: 12, format: 'date', value: (t) => t.task_date },
+  { header: 'Task', key: 'task', width: 30, value: (t) => t.task_name },
+  { header: 'Type', key: 'type', width: 10, value: (t) => t.type },
+  { header: 'Category', key: 'category', width: 20, value: (t) => t.category_name },
+  { header: 'Cost', key: 'cost', width: 18, format: 'amount', value: (t) => t.cost },
+  { header: 'Worker', key: 'worker', width: 20, value: (t) => t.worker_name },
+  { header: 'Worker Phone', key: 'worker_phone', width: 16, value: (t) => t.worker_phone },
+  { header: 'Description', key: 'description', width: 40, value: (t) => t.description }
+];
+
+const TRANSACTION_XLSX_COLUMNS = [
+  { header: 'Transaction ID', key: 'id', width: 14, value: (t) => t.id },
+  { header: 'Project', key: 'project', width: 28, value: (t) => t.project_name },
+  { header: 'Date', key: 'date', width: 12, format: 'date', value: (t) => t.transaction_date },
+  { header: 'Type', key: 'type', width: 10, value: (t) => t.type },
+  { header: 'Category', key: 'category', width: 20, value: (t) => t.category_name },
+  { header: 'Amount', key: 'amount', width: 18, format: 'amount', value: (t) => t.amount },
+  { header: 'Task ID', key: 'task_id', width: 10, value: (t) => t.task_id },
+  { header: 'Description', key: 'description', width: 40, value: (t) => t.description }
+];
+
+const CATEGORY_XLSX_COLUMNS = [
+  { header: 'Category', key: 'category', width: 28, value: (g) => g.category_name },
+  { header: 'Entries', key: 'count', width: 10, value: (g) => g.count },
+  { header: 'Income', key: 'income', width: 18, format: 'amount', value: (g) => g.income },
+  { header: 'Expense', key: 'expense', width: 18, format: 'amount', value: (g) => g.expense },
+  { header: 'Balance', key: 'balance', width: 18, format: 'amount', value: (g) => g.balance }
+];
+
+const createWorkbook = () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'SPEMS';
+  workbook.created = new Date();
+  return workbook;
+};
+
+// Helper function to send a workbook as a download
+const sendWorkbook = async (res, workbook, filename) => {
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  await workbook.xlsx.write(res);
+  res.end();
+};
+
+// Helper function to turn a cell value into text (imports work on text like CSV cells)
+// Excel dates are stored as UTC, so they are written back as YYYY-MM-DD HH:MM:SS in UTC
+const cellToText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 19).replace('T', ' ');
+  }
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if (value.result !== undefined) return cellToText(value.result);
+    if (value.text !== undefined) return cellToText(value.text);
+    return '';
+  }
+  return String(value);
+};
+
+// Helper function to read the first worksheet of an uploaded workbook as rows of text
+// Returns the same shape as parseCsv (blank rows skipped, `line` is the worksheet row number)
+const readWorksheetRows = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const values = [];
+    for (let column = 1; column <= row.cellCount; column++) {
+      values.push(cellToText(row.getCell(column).value));
+    }
+    if (values.some((value) => value.trim() !== '')) {
+      values.line = row.number;
+      rows.push(values);
+    }
+  });
+  return rows;
+};
+
+module.exports = {
+  createWorkbook,
+  addTableSheet,
+  addSummarySheet,
+  sendWorkbook,
+  readWorksheetRows,
+  TASK_XLSX_COLUMNS,
+  TRANSACTION_XLSX_COLUMNS,
+  CATEGORY_XLSX_COLUMNS
+};